@@ -154,7 +154,8 @@ async function main() {
       nftIssuer: DEFAULT_ACCOUNT,
       ammAsset: null,
       ammAsset2: null,
-      ammId: null
+      ammId: null,
+      subscriptionId: null
     };
 
     const accountTxPrime = await call("xrpl_account_tx", {
@@ -314,19 +315,44 @@ async function main() {
       network_overview: () => ({}),
       ledger_summary: () => ({ ledger_index: "validated" }),
       tx_explain: () => ({ tx_hash: ctx.txHash }),
+      decode_blob: () => ({
+        blob: "1100612200000000240000000125000000072D0000000055DF530FB14C5304852F20080B0A8EEF3A6BDD044F41F4EBBD68B8B321145FE4F66240000002540BE4008114D0F5430B66E06498D4CEEC816C7B3337F9982337"
+      }),
       account_overview: () => ({ account: ctx.account }),
+      portfolio_valuation: () => ({ account: ctx.account, options: { max_assets: 5 } }),
+      export_account_history: () => ({ account: ctx.account, options: { max_pages: 1, page_limit: 20 } }),
+      resolve_ledger_range: () => ({ window: "1h" }),
       token_overview: () => ({
         issuer: ctx.tokenID.split(".")[1],
         currency: ctx.tokenID.split(".")[0]
       }),
+      issuer_profile: () => ({ issuer: ctx.tokenID.split(".")[1] }),
+      token_distribution: () => ({
+        issuer: ctx.tokenID.split(".")[1],
+        currency: ctx.tokenID.split(".")[0],
+        options: { max_lines: 800 }
+      }),
       market_snapshot: () => ({
         base: ctx.ammAsset ?? { currency: "XRP" },
         quote: ctx.ammAsset2 ?? { currency: "USD", issuer: "rhub8VRN55s94qWKDv6jmDy1pUykJzF3wq" }
       }),
+      pair_candles: () => ({
+        base: ctx.ammAsset ?? { currency: "XRP" },
+        quote: ctx.ammAsset2 ?? { currency: "USD", issuer: "rhub8VRN55s94qWKDv6jmDy1pUykJzF3wq" },
+        interval: "1h",
+        window: "6h",
+        options: { max_pages: 2, ledger_max_pages: 2 }
+      }),
       amm_overview: () => ({
         assetA: ctx.ammAsset ?? { currency: "XRP" },
         assetB: ctx.ammAsset2 ?? { currency: "USD", issuer: "rhub8VRN55s94qWKDv6jmDy1pUykJzF3wq" }
       }),
+      amm_simulate_swap: () => ({
+        assetA: ctx.ammAsset ?? { currency: "XRP" },
+        assetB: ctx.ammAsset2 ?? { currency: "USD", issuer: "rhub8VRN55s94qWKDv6jmDy1pUykJzF3wq" },
+        asset_in: ctx.ammAsset ?? { currency: "XRP" },
+        amount_in: "1"
+      }),
       validator_set_overview: () => ({ options: { group: ctx.network } }),
       validator_health: () => ({ pubkey_or_node: ctx.validatorPubkey }),
       amendment_status: () => ({ network: ctx.network }),
@@ -335,6 +361,11 @@ async function main() {
         size: 5
       }),
       resolve_entities: () => ({ input: ctx.txHash ?? ctx.account }),
+      xrpl_subscribe: () => ({ streams: ["ledger"] }),
+      xrpl_unsubscribe: () => ({ subscription_id: ctx.subscriptionId }),
+      xrpl_list_subscriptions: () => ({}),
+      xrpl_read_events: () => ({ limit: 5 }),
+      cache_control: () => ({ action: "stats" }),
       xrpl_list_recommended_methods: () => ({})
     };
 
@@ -355,7 +386,8 @@ async function main() {
         (toolName === "xrpl_tx" && !args.transaction) ||
         (toolName === "tx_explain" && !args.tx_hash) ||
         (toolName === "xrpl_nft_info" && !args.nft_id) ||
-        (toolName === "xrpl_nft_history" && !args.nft_id);
+        (toolName === "xrpl_nft_history" && !args.nft_id) ||
+        (toolName === "xrpl_unsubscribe" && !args.subscription_id);
 
       if (missingPrereq) {
         record(toolName, false, "Missing discovered prerequisite data for this tool");
@@ -364,6 +396,9 @@ async function main() {
 
       const res = await call(toolName, args);
       record(toolName, res.ok, res.ok ? "ok" : res.error);
+      if (toolName === "xrpl_subscribe" && res.ok) {
+        ctx.subscriptionId = res.payload?.data?.subscriptionId ?? null;
+      }
     }
 
     const results = [...byTool.values()].sort((a, b) => a.name.localeCompare(b.name));
@@ -0,0 +1,175 @@
+// XRPL address codec: base58check classic r-addresses, X-addresses (XLS-5), which pack a
+// classic address, an optional 32-bit destination tag and a main/test network flag, and
+// node/validator public keys ("n..." encoding of a 33-byte key).
+
+import { createHash } from "node:crypto";
+
+const ALPHABET = "rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz";
+const ALPHABET_INDEX = new Map([...ALPHABET].map((char, index) => [char, index]));
+const ACCOUNT_ID_VERSION = 0x00;
+const ACCOUNT_ID_LENGTH = 20;
+const NODE_PUBLIC_VERSION = 0x1c;
+const PUBLIC_KEY_LENGTH = 33;
+const X_ADDRESS_PREFIX = { main: [0x05, 0x44], test: [0x04, 0x93] };
+const MAX_TAG = 0xffffffff;
+
+function checksum(bytes) {
+  const once = createHash("sha256").update(bytes).digest();
+  return createHash("sha256").update(once).digest().subarray(0, 4);
+}
+
+function base58Encode(bytes) {
+  let n = BigInt(`0x${Buffer.from(bytes).toString("hex") || "0"}`);
+  let out = "";
+  while (n > 0n) {
+    out = ALPHABET[Number(n % 58n)] + out;
+    n /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) {
+      break;
+    }
+    out = ALPHABET[0] + out;
+  }
+  return out;
+}
+
+function base58Decode(text) {
+  let n = 0n;
+  for (const char of text) {
+    const digit = ALPHABET_INDEX.get(char);
+    if (digit === undefined) {
+      throw new Error(`Invalid character "${char}" in address ${text}.`);
+    }
+    n = n * 58n + BigInt(digit);
+  }
+  let hex = n === 0n ? "" : n.toString(16);
+  if (hex.length % 2) {
+    hex = `0${hex}`;
+  }
+  let leadingZeros = 0;
+  while (text[leadingZeros] === ALPHABET[0]) {
+    leadingZeros += 1;
+  }
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, "hex")]);
+}
+
+function encodeChecked(payload) {
+  return base58Encode(Buffer.concat([payload, checksum(payload)]));
+}
+
+function decodeChecked(text) {
+  const bytes = base58Decode(text);
+  if (bytes.length < 5) {
+    throw new Error(`Address ${text} is too short.`);
+  }
+  const payload = bytes.subarray(0, -4);
+  if (!checksum(payload).equals(bytes.subarray(-4))) {
+    throw new Error(`Address ${text} has an invalid checksum (likely a typo).`);
+  }
+  return payload;
+}
+
+// Classic r-address -> 20-byte account ID. Throws on bad characters/checksum.
+export function decodeAccountId(address) {
+  const payload = decodeChecked(String(address));
+  if (payload.length !== ACCOUNT_ID_LENGTH + 1 || payload[0] !== ACCOUNT_ID_VERSION) {
+    throw new Error(`${address} is not a classic account address.`);
+  }
+  return payload.subarray(1);
+}
+
+export function encodeAccountId(accountId) {
+  const bytes = Buffer.from(accountId);
+  if (bytes.length !== ACCOUNT_ID_LENGTH) {
+    throw new Error("Account ID must be 20 bytes.");
+  }
+  return encodeChecked(Buffer.concat([Buffer.from([ACCOUNT_ID_VERSION]), bytes]));
+}
+
+export function isValidClassicAddress(address) {
+  try {
+    decodeAccountId(address);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "n..." node public key -> 33-byte public key (0xED prefix for Ed25519, 0x02/0x03 for secp256k1).
+export function decodeNodePublicKey(text) {
+  const payload = decodeChecked(String(text));
+  if (payload.length !== PUBLIC_KEY_LENGTH + 1 || payload[0] !== NODE_PUBLIC_VERSION) {
+    throw new Error(`${text} is not a node public key.`);
+  }
+  return payload.subarray(1);
+}
+
+export function encodeNodePublicKey(publicKey) {
+  const bytes = Buffer.from(publicKey);
+  if (bytes.length !== PUBLIC_KEY_LENGTH) {
+    throw new Error("Node public key must be 33 bytes.");
+  }
+  return encodeChecked(Buffer.concat([Buffer.from([NODE_PUBLIC_VERSION]), bytes]));
+}
+
+export function encodeXAddress(classicAddress, tag = null, { test = false } = {}) {
+  const accountId = decodeAccountId(classicAddress);
+  if (tag !== null && (!Number.isInteger(tag) || tag < 0 || tag > MAX_TAG)) {
+    throw new Error(`Destination tag must be an integer between 0 and ${MAX_TAG}.`);
+  }
+  const tagBytes = Buffer.alloc(8);
+  if (tag !== null) {
+    tagBytes.writeUInt32LE(tag, 0);
+  }
+  const prefix = Buffer.from(test ? X_ADDRESS_PREFIX.test : X_ADDRESS_PREFIX.main);
+  return encodeChecked(Buffer.concat([prefix, accountId, Buffer.from([tag === null ? 0 : 1]), tagBytes]));
+}
+
+// X-address -> { classicAddress, tag, network }. Throws on malformed input.
+export function decodeXAddress(xAddress) {
+  const payload = decodeChecked(String(xAddress));
+  if (payload.length !== 2 + ACCOUNT_ID_LENGTH + 1 + 8) {
+    throw new Error(`${xAddress} is not a valid X-address.`);
+  }
+  const prefix = [payload[0], payload[1]];
+  const network = Object.keys(X_ADDRESS_PREFIX).find(
+    (key) => X_ADDRESS_PREFIX[key][0] === prefix[0] && X_ADDRESS_PREFIX[key][1] === prefix[1]
+  );
+  if (!network) {
+    throw new Error(`${xAddress} has an unknown X-address network prefix.`);
+  }
+  const flag = payload[22];
+  const tagBytes = payload.subarray(23);
+  if (flag > 1 || tagBytes.readUInt32LE(4) !== 0 || (flag === 0 && tagBytes.readUInt32LE(0) !== 0)) {
+    throw new Error(`${xAddress} has an invalid destination tag field.`);
+  }
+  return {
+    classicAddress: encodeAccountId(payload.subarray(2, 22)),
+    tag: flag === 1 ? tagBytes.readUInt32LE(0) : null,
+    network
+  };
+}
+
+export function isValidXAddress(address) {
+  try {
+    decodeXAddress(address);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Accept either address form and return { classicAddress, tag, network, isXAddress }.
+// `network` is null for classic addresses, which do not carry one.
+export function normalizeAddress(address) {
+  const text = String(address ?? "").trim();
+  if (text.startsWith("X") || text.startsWith("T")) {
+    return { ...decodeXAddress(text), isXAddress: true };
+  }
+  if (!text.startsWith("r")) {
+    throw new Error(`"${text}" is not an XRPL address (expected an r-address or X-address).`);
+  }
+  decodeAccountId(text);
+  return { classicAddress: text, tag: null, network: null, isXAddress: false };
+}
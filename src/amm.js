@@ -0,0 +1,104 @@
+// XRPL AMM swap math (XLS-30 constant product with equal weights). `trading_fee` is in units
+// of 1/100000 (1000 = 1%) and is charged on the input side of a swap.
+
+import {
+  add,
+  assetKey,
+  compare,
+  div,
+  isZero,
+  mul,
+  parseAmount,
+  roundScale,
+  roundSignificant,
+  sign,
+  sub,
+  toDecimalString,
+  toNumber
+} from "./amount.js";
+
+const TRADING_FEE_UNITS = 100000;
+const IOU_SIGNIFICANT_DIGITS = 15;
+
+// Round to what the ledger can represent, never in the trader's favor: outputs down, inputs up.
+function ledgerRound(value, asset, mode) {
+  return assetKey(asset) === "XRP" ? roundScale(value, 6, mode) : roundSignificant(value, IOU_SIGNIFICANT_DIGITS, mode);
+}
+
+export function feeFraction(tradingFee) {
+  return div(tradingFee ?? 0, TRADING_FEE_UNITS);
+}
+
+// Amount received for selling `amountIn` into the pool.
+export function swapOut(reserveIn, reserveOut, amountIn, tradingFee) {
+  const netIn = mul(amountIn, sub(1, feeFraction(tradingFee)));
+  return div(mul(reserveOut, netIn), add(reserveIn, netIn));
+}
+
+// Amount that must be sold into the pool to receive `amountOut`.
+export function swapIn(reserveIn, reserveOut, amountOut, tradingFee) {
+  if (compare(amountOut, reserveOut) >= 0) {
+    throw new Error("Requested output meets or exceeds the pool reserve.");
+  }
+  const grossFactor = sub(1, feeFraction(tradingFee));
+  return div(mul(reserveIn, amountOut), mul(sub(reserveOut, amountOut), grossFactor));
+}
+
+// `amm` is an amm_info `amm` object; `assetIn` selects which pool asset is sold. Exactly one of
+// `amountIn`/`amountOut` (whole units, XRP not drops) must be given.
+export function simulateSwap(amm, { assetIn, amountIn, amountOut }) {
+  const pool = [parseAmount(amm?.amount), parseAmount(amm?.amount2)];
+  if (!pool[0] || !pool[1]) {
+    throw new Error("AMM reserves are missing from amm_info.");
+  }
+  const inIndex = pool.findIndex((p) => assetKey(p.asset) === assetKey(assetIn));
+  if (inIndex === -1) {
+    throw new Error(`asset_in ${assetKey(assetIn)} is not in this pool (${pool.map((p) => assetKey(p.asset)).join(", ")}).`);
+  }
+  const reserveIn = pool[inIndex];
+  const reserveOut = pool[1 - inIndex];
+  if (sign(reserveIn.value) <= 0 || sign(reserveOut.value) <= 0) {
+    throw new Error("AMM pool is empty.");
+  }
+  const tradingFee = Number(amm.trading_fee ?? 0);
+
+  let input;
+  let output;
+  if (amountIn !== undefined) {
+    input = amountIn;
+    output = ledgerRound(swapOut(reserveIn.value, reserveOut.value, input, tradingFee), reserveOut.asset, "down");
+  } else {
+    output = amountOut;
+    input = ledgerRound(swapIn(reserveIn.value, reserveOut.value, output, tradingFee), reserveIn.asset, "up");
+  }
+  if (sign(input) <= 0 || sign(output) <= 0) {
+    throw new Error("Swap amount must be positive and large enough to produce a non-zero result.");
+  }
+
+  // Prices are output per input; the spot price excludes the fee so impact includes it.
+  const spotPrice = div(reserveOut.value, reserveIn.value, { digits: 15 });
+  const effectivePrice = div(output, input, { digits: 15 });
+  const postTradePrice = div(sub(reserveOut.value, output), add(reserveIn.value, input), { digits: 15 });
+  const impact = isZero(spotPrice) ? null : sub(1, div(effectivePrice, spotPrice));
+  const feePaid = mul(input, feeFraction(tradingFee));
+
+  return {
+    direction: amountIn !== undefined ? "exact_in" : "exact_out",
+    assetIn: assetKey(reserveIn.asset),
+    assetOut: assetKey(reserveOut.asset),
+    amountIn: toDecimalString(input),
+    amountOut: toDecimalString(output),
+    tradingFee,
+    tradingFeePercent: toNumber(div(tradingFee, TRADING_FEE_UNITS / 100)),
+    feePaid: { asset: assetKey(reserveIn.asset), value: toDecimalString(roundSignificant(feePaid, IOU_SIGNIFICANT_DIGITS)) },
+    spotPrice: toDecimalString(spotPrice),
+    effectivePrice: toDecimalString(effectivePrice),
+    effectivePriceInverse: toDecimalString(div(input, output, { digits: 15 })),
+    postTradeSpotPrice: toDecimalString(postTradePrice),
+    priceImpactPercent: impact === null ? null : toNumber(roundSignificant(mul(impact, 100), 6)),
+    reserves: {
+      before: { in: toDecimalString(reserveIn.value), out: toDecimalString(reserveOut.value) },
+      after: { in: toDecimalString(add(reserveIn.value, input)), out: toDecimalString(sub(reserveOut.value, output)) }
+    }
+  };
+}
@@ -0,0 +1,285 @@
+// Exact XRPL amount model. Decimals are { c: bigint coefficient, e: exponent } with value
+// c * 10^e, so drops and 15-significant-digit IOU values never pass through float math.
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+const DROPS_PER_XRP_EXPONENT = -6;
+// IOU values are a 16-digit significand times 10^-96..10^80, so no XRPL amount has an order of
+// magnitude outside -96..96 (drops top out near 10^17). Parsing rejects anything beyond it,
+// which also keeps a hostile "1e999999" from sizing a bigint or string after its exponent.
+const MIN_MAGNITUDE = -96;
+const MAX_MAGNITUDE = 96;
+
+function normalize(c, e) {
+  if (c === 0n) {
+    return { c: 0n, e: 0 };
+  }
+  while (c % 10n === 0n) {
+    c /= 10n;
+    e += 1;
+  }
+  return { c, e };
+}
+
+function digitCount(c) {
+  return (c < 0n ? -c : c).toString().length;
+}
+
+function isDecimal(value) {
+  return Boolean(value) && typeof value === "object" && typeof value.c === "bigint" && Number.isInteger(value.e);
+}
+
+// Accepts decimal strings (including exponent notation), finite numbers, bigints and decimals.
+export function decimal(value) {
+  if (isDecimal(value)) {
+    return value;
+  }
+  if (typeof value === "bigint") {
+    return normalize(value, 0);
+  }
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid decimal value: ${value}`);
+    }
+    return decimal(String(value));
+  }
+  const raw = String(value ?? "").trim();
+  const match = DECIMAL_PATTERN.exec(raw);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid decimal value: ${JSON.stringify(value)}`);
+  }
+  const [, sign, whole, fraction = "", exponent = "0"] = match;
+  const digits = `${whole}${fraction}` || "0";
+  const c = BigInt(digits) * (sign === "-" ? -1n : 1n);
+  const parsed = normalize(c, Number.parseInt(exponent, 10) - fraction.length);
+  const magnitude = digitCount(parsed.c) + parsed.e - 1;
+  if (parsed.c !== 0n && (magnitude < MIN_MAGNITUDE || magnitude > MAX_MAGNITUDE)) {
+    throw new Error(`Decimal value is outside the XRPL amount range: ${JSON.stringify(value)}`);
+  }
+  return parsed;
+}
+
+// Like decimal(), but returns null instead of throwing for missing/invalid input.
+export function tryDecimal(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  try {
+    return decimal(value);
+  } catch {
+    return null;
+  }
+}
+
+export const ZERO = { c: 0n, e: 0 };
+
+function align(a, b) {
+  const e = Math.min(a.e, b.e);
+  return [a.c * 10n ** BigInt(a.e - e), b.c * 10n ** BigInt(b.e - e), e];
+}
+
+export function add(a, b) {
+  const [x, y, e] = align(decimal(a), decimal(b));
+  return normalize(x + y, e);
+}
+
+export function sub(a, b) {
+  const [x, y, e] = align(decimal(a), decimal(b));
+  return normalize(x - y, e);
+}
+
+export function mul(a, b) {
+  const x = decimal(a);
+  const y = decimal(b);
+  return normalize(x.c * y.c, x.e + y.e);
+}
+
+export function neg(a) {
+  const x = decimal(a);
+  return normalize(-x.c, x.e);
+}
+
+export function abs(a) {
+  const x = decimal(a);
+  return x.c < 0n ? normalize(-x.c, x.e) : x;
+}
+
+export function isZero(a) {
+  return decimal(a).c === 0n;
+}
+
+export function sign(a) {
+  const c = decimal(a).c;
+  return c === 0n ? 0 : c < 0n ? -1 : 1;
+}
+
+export function compare(a, b) {
+  const [x, y] = align(decimal(a), decimal(b));
+  return x === y ? 0 : x < y ? -1 : 1;
+}
+
+// Drop the lowest `drop` digits of the coefficient. `mode` is "half-up" (half away from zero),
+// "down" (toward zero) or "up" (away from zero).
+function dropDigits(x, drop, mode = "half-up") {
+  if (drop <= 0) {
+    return x;
+  }
+  const divisor = 10n ** BigInt(drop);
+  const magnitude = x.c < 0n ? -x.c : x.c;
+  const remainder = magnitude % divisor;
+  let q = magnitude / divisor;
+  if (mode === "up" ? remainder > 0n : mode === "half-up" && remainder * 2n >= divisor) {
+    q += 1n;
+  }
+  return normalize(x.c < 0n ? -q : q, x.e + drop);
+}
+
+export function roundSignificant(a, digits, mode) {
+  const x = decimal(a);
+  return dropDigits(x, digitCount(x.c) - digits, mode);
+}
+
+export function roundScale(a, fractionDigits, mode) {
+  const x = decimal(a);
+  return dropDigits(x, -fractionDigits - x.e, mode);
+}
+
+// Exact quotient rounded to `digits` significant digits.
+export function div(a, b, { digits = 20 } = {}) {
+  const x = decimal(a);
+  const y = decimal(b);
+  if (y.c === 0n) {
+    throw new Error("Division by zero");
+  }
+  if (x.c === 0n) {
+    return ZERO;
+  }
+  const k = Math.max(0, digits + digitCount(y.c) - digitCount(x.c) + 1);
+  const scaled = x.c * 10n ** BigInt(k);
+  return roundSignificant(normalize(scaled / y.c, x.e - y.e - k), digits);
+}
+
+export function sum(values) {
+  return values.reduce((total, value) => add(total, value), ZERO);
+}
+
+export function min(a, b) {
+  return compare(a, b) <= 0 ? decimal(a) : decimal(b);
+}
+
+export function max(a, b) {
+  return compare(a, b) >= 0 ? decimal(a) : decimal(b);
+}
+
+// Canonical plain-notation string: no exponent, no trailing zeros, "0" for zero.
+export function toDecimalString(a) {
+  const { c, e } = decimal(a);
+  if (c === 0n) {
+    return "0";
+  }
+  const negative = c < 0n;
+  const digits = (negative ? -c : c).toString();
+  let text;
+  if (e >= 0) {
+    text = digits + "0".repeat(e);
+  } else if (-e >= digits.length) {
+    text = `0.${"0".repeat(-e - digits.length)}${digits}`;
+  } else {
+    text = `${digits.slice(0, digits.length + e)}.${digits.slice(digits.length + e)}`;
+  }
+  return negative ? `-${text}` : text;
+}
+
+// Lossy conversion for ratios/scores only; never use the result for further amount math.
+export function toNumber(a) {
+  return Number(toDecimalString(a));
+}
+
+export function dropsToXrp(drops) {
+  const d = decimal(drops);
+  if (d.e < 0) {
+    throw new Error(`XRP drops must be an integer: ${toDecimalString(d)}`);
+  }
+  return normalize(d.c, d.e + DROPS_PER_XRP_EXPONENT);
+}
+
+export function xrpToDrops(xrp) {
+  const d = decimal(xrp);
+  const e = d.e - DROPS_PER_XRP_EXPONENT;
+  if (e < 0) {
+    throw new Error(`XRP value has more than 6 decimal places: ${toDecimalString(d)}`);
+  }
+  return d.c * 10n ** BigInt(e);
+}
+
+// Parse any XRPL Amount shape into { asset, value } where value is a decimal in whole units
+// (XRP, not drops). Returns null for missing/unrecognized input.
+export function parseAmount(amount) {
+  if (amount === undefined || amount === null) {
+    return null;
+  }
+  try {
+    if (typeof amount === "string" || typeof amount === "number" || typeof amount === "bigint") {
+      const drops = decimal(amount);
+      return { asset: { currency: "XRP" }, value: dropsToXrp(drops), drops: drops.c * 10n ** BigInt(drops.e) };
+    }
+    if (typeof amount !== "object") {
+      return null;
+    }
+    if (amount.mpt_issuance_id) {
+      return { asset: { mpt_issuance_id: String(amount.mpt_issuance_id) }, value: decimal(amount.value) };
+    }
+    if (amount.currency === "XRP" && !amount.issuer) {
+      // Some APIs (LOS, amm_info assets) express XRP as { currency: "XRP", value: "<xrp>" }.
+      return { asset: { currency: "XRP" }, value: decimal(amount.value ?? 0) };
+    }
+    if (amount.currency) {
+      return {
+        asset: { currency: String(amount.currency), issuer: amount.issuer ?? null },
+        value: decimal(amount.value ?? 0)
+      };
+    }
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+export function assetKey(asset) {
+  if (!asset) {
+    return null;
+  }
+  if (asset.mpt_issuance_id) {
+    return `MPT:${asset.mpt_issuance_id}`;
+  }
+  if (!asset.currency || asset.currency === "XRP") {
+    return "XRP";
+  }
+  return `${asset.currency}.${asset.issuer ?? ""}`;
+}
+
+export function sameAsset(a, b) {
+  return assetKey(a) === assetKey(b);
+}
+
+// Render a parsed amount in the canonical XRPL JSON shape (drops string for XRP).
+export function formatAmount(parsed) {
+  if (!parsed) {
+    return null;
+  }
+  if (parsed.asset.mpt_issuance_id) {
+    return { mpt_issuance_id: parsed.asset.mpt_issuance_id, value: toDecimalString(parsed.value) };
+  }
+  if (assetKey(parsed.asset) === "XRP") {
+    return xrpToDrops(parsed.value).toString();
+  }
+  return { currency: parsed.asset.currency, issuer: parsed.asset.issuer, value: toDecimalString(parsed.value) };
+}
+
+// Human-oriented rendering: { asset: "XRP" | "USD.rIssuer" | "MPT:<id>", value: "<whole units>" }.
+export function describeAmount(amount) {
+  const parsed = parseAmount(amount);
+  if (!parsed) {
+    return null;
+  }
+  return { asset: assetKey(parsed.asset), value: toDecimalString(parsed.value) };
+}
@@ -0,0 +1,205 @@
+// Derive who gained or lost what from transaction metadata AffectedNodes.
+// Follows the rippled balance conventions: AccountRoot.Balance is drops; RippleState.Balance
+// is held by the low account (positive = low holds, negative = high holds); MPToken.MPTAmount
+// is the holder's balance.
+
+import {
+  add,
+  assetKey,
+  describeAmount,
+  dropsToXrp,
+  isZero,
+  neg,
+  parseAmount,
+  sub,
+  toDecimalString,
+  tryDecimal,
+  ZERO
+} from "./amount.js";
+
+function nodeParts(node) {
+  if (node.CreatedNode) {
+    return { kind: "created", body: node.CreatedNode };
+  }
+  if (node.DeletedNode) {
+    return { kind: "deleted", body: node.DeletedNode };
+  }
+  return { kind: "modified", body: node.ModifiedNode ?? {} };
+}
+
+// Before/after values of one field; created nodes start at zero, deleted nodes end at FinalFields.
+function fieldDelta(kind, body, field, parse) {
+  const finalFields = body.FinalFields ?? body.NewFields ?? {};
+  const previousFields = body.PreviousFields ?? {};
+  const after = parse(finalFields[field]);
+  if (after === null) {
+    return null;
+  }
+  let before;
+  if (kind === "created") {
+    before = ZERO;
+  } else if (field in previousFields) {
+    before = parse(previousFields[field]);
+  } else {
+    return null;
+  }
+  if (before === null) {
+    return null;
+  }
+  const delta = sub(after, before);
+  return isZero(delta) ? null : delta;
+}
+
+const parseDrops = (value) => {
+  const drops = tryDecimal(value);
+  return drops === null ? null : dropsToXrp(drops);
+};
+const parseValueField = (value) => tryDecimal(value?.value ?? value);
+
+function offerStatus(kind, body, tx) {
+  if (kind === "created") {
+    return "created";
+  }
+  const traded = body.PreviousFields && ("TakerGets" in body.PreviousFields || "TakerPays" in body.PreviousFields);
+  if (kind === "modified") {
+    return traded ? "partially_filled" : "modified";
+  }
+  if (traded) {
+    return "filled";
+  }
+  const finalFields = body.FinalFields ?? {};
+  const ownCancel = tx?.TransactionType === "OfferCancel" || finalFields.Sequence === tx?.OfferSequence;
+  if (finalFields.Account === tx?.Account && ownCancel) {
+    return "cancelled";
+  }
+  return "removed";
+}
+
+function offerAmountDelta(body, field) {
+  const before = parseAmount(body.PreviousFields?.[field]);
+  const after = parseAmount(body.FinalFields?.[field]);
+  if (!before || !after) {
+    return null;
+  }
+  return { asset: assetKey(after.asset), value: toDecimalString(sub(before.value, after.value)) };
+}
+
+function describeOffer(kind, body, tx) {
+  const fields = body.FinalFields ?? body.NewFields ?? {};
+  const status = offerStatus(kind, body, tx);
+  const offer = {
+    owner: fields.Account ?? null,
+    sequence: fields.Sequence ?? null,
+    status,
+    takerGets: describeAmount(fields.TakerGets),
+    takerPays: describeAmount(fields.TakerPays)
+  };
+  if (status === "filled" || status === "partially_filled") {
+    // The taker received what the offer owner "gets" paid and vice versa.
+    offer.filled = {
+      takerGot: offerAmountDelta(body, "TakerGets"),
+      takerPaid: offerAmountDelta(body, "TakerPays")
+    };
+  }
+  return offer;
+}
+
+export function extractBalanceChanges(tx, meta) {
+  const totals = new Map();
+  const offers = [];
+  const addChange = (account, asset, counterparty, delta) => {
+    if (!account || delta === null) {
+      return;
+    }
+    const key = `${account}|${asset.key}|${counterparty ?? ""}`;
+    const existing = totals.get(key);
+    totals.set(key, {
+      account,
+      asset,
+      counterparty,
+      value: existing ? add(existing.value, delta) : delta
+    });
+  };
+
+  const nodes = Array.isArray(meta?.AffectedNodes) ? meta.AffectedNodes : [];
+  for (const node of nodes) {
+    const { kind, body } = nodeParts(node);
+    const fields = body.FinalFields ?? body.NewFields ?? {};
+    switch (body.LedgerEntryType) {
+      case "AccountRoot": {
+        addChange(fields.Account, { key: "XRP", currency: "XRP" }, null, fieldDelta(kind, body, "Balance", parseDrops));
+        break;
+      }
+      case "RippleState": {
+        const delta = fieldDelta(kind, body, "Balance", parseValueField);
+        const low = fields.LowLimit?.issuer;
+        const high = fields.HighLimit?.issuer;
+        const currency = fields.Balance?.currency ?? fields.LowLimit?.currency;
+        if (delta === null || !low || !high || !currency) {
+          break;
+        }
+        addChange(low, { key: `${currency}.${high}`, currency, issuer: high }, high, delta);
+        addChange(high, { key: `${currency}.${low}`, currency, issuer: low }, low, neg(delta));
+        break;
+      }
+      case "MPToken": {
+        const id = fields.MPTokenIssuanceID;
+        addChange(fields.Account, { key: `MPT:${id}`, mpt_issuance_id: id }, null, fieldDelta(kind, body, "MPTAmount", tryDecimal));
+        break;
+      }
+      case "Offer": {
+        offers.push(describeOffer(kind, body, tx));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // Split the burned fee out of the sender's XRP delta so transfers and fees read separately.
+  const feeXrp = parseDrops(tx?.Fee);
+  let fee = null;
+  if (tx?.Account && feeXrp !== null && !isZero(feeXrp)) {
+    fee = { account: tx.Account, xrp: toDecimalString(feeXrp) };
+    const key = `${tx.Account}|XRP|`;
+    const senderXrp = totals.get(key);
+    if (senderXrp) {
+      senderXrp.value = add(senderXrp.value, feeXrp);
+      if (isZero(senderXrp.value)) {
+        totals.delete(key);
+      }
+    }
+  }
+
+  const byAccount = new Map();
+  for (const change of totals.values()) {
+    if (isZero(change.value)) {
+      continue;
+    }
+    if (!byAccount.has(change.account)) {
+      byAccount.set(change.account, []);
+    }
+    const entry = { asset: change.asset.key, value: toDecimalString(change.value) };
+    if (change.asset.currency) {
+      entry.currency = change.asset.currency;
+    }
+    if (change.asset.issuer) {
+      entry.issuer = change.asset.issuer;
+    }
+    if (change.asset.mpt_issuance_id) {
+      entry.mpt_issuance_id = change.asset.mpt_issuance_id;
+    }
+    byAccount.get(change.account).push(entry);
+  }
+
+  return {
+    accounts: [...byAccount.entries()].map(([account, changes]) => ({ account, changes })),
+    fee,
+    offers: {
+      filled: offers.filter((o) => o.status === "filled" || o.status === "partially_filled"),
+      created: offers.filter((o) => o.status === "created"),
+      cancelled: offers.filter((o) => o.status === "cancelled"),
+      removed: offers.filter((o) => o.status === "removed")
+    }
+  };
+}
@@ -0,0 +1,775 @@
+// XRPL binary codec (decode only). Transactions, metadata and ledger entries are serialized
+// STObjects: each field is a header (type code in the high nibble, field code in the low nibble,
+// either 0 meaning "in the next byte") followed by a value whose width the type decides. Output
+// follows rippled's JSON: addresses, currency codes, names for transaction/entry types and results.
+
+import { createHash } from "node:crypto";
+import { encodeAccountId } from "./addressCodec.js";
+import { decimal, toDecimalString } from "./amount.js";
+import { resultCodeFromNumber } from "./resultCodes.js";
+
+export const BLOB_KINDS = ["auto", "transaction", "metadata", "ledger_entry", "ledger_header"];
+
+const TRANSACTION_HASH_PREFIX = Buffer.from("54584E00", "hex");
+const LEDGER_HASH_PREFIX = Buffer.from("4C575200", "hex");
+const LEDGER_HEADER_LENGTH = 118;
+const OBJECT_END = 0xe1;
+const ARRAY_END = 0xf1;
+const PATH_BOUNDARY = 0xff;
+const PATH_END = 0x00;
+// Payments applied from this ledger on record DeliveredAmount whenever it differs from Amount.
+const DELIVERED_AMOUNT_LEDGER = 4594095;
+
+const TYPES = {
+  1: "UInt16",
+  2: "UInt32",
+  3: "UInt64",
+  4: "Hash128",
+  5: "Hash256",
+  6: "Amount",
+  7: "Blob",
+  8: "AccountID",
+  9: "Number",
+  10: "Int32",
+  11: "Int64",
+  14: "STObject",
+  15: "STArray",
+  16: "UInt8",
+  17: "Hash160",
+  18: "PathSet",
+  19: "Vector256",
+  20: "UInt96",
+  21: "Hash192",
+  22: "UInt384",
+  23: "UInt512",
+  24: "Issue",
+  25: "XChainBridge",
+  26: "Currency"
+};
+
+// Fixed-width types rendered as uppercase hex.
+const HEX_WIDTHS = { Hash128: 16, Hash160: 20, Hash192: 24, Hash256: 32, UInt96: 12, UInt384: 48, UInt512: 64 };
+
+// [typeCode][fieldCode] -> name, after rippled's SField definitions.
+const FIELDS = {
+  1: {
+    1: "LedgerEntryType",
+    2: "TransactionType",
+    3: "SignerWeight",
+    4: "TransferFee",
+    5: "TradingFee",
+    6: "DiscountedFee",
+    16: "Version",
+    17: "HookStateChangeCount",
+    18: "HookEmitCount",
+    19: "HookExecutionIndex",
+    20: "HookApiVersion",
+    21: "LedgerFixType"
+  },
+  2: {
+    1: "NetworkID",
+    2: "Flags",
+    3: "SourceTag",
+    4: "Sequence",
+    5: "PreviousTxnLgrSeq",
+    6: "LedgerSequence",
+    7: "CloseTime",
+    8: "ParentCloseTime",
+    9: "SigningTime",
+    10: "Expiration",
+    11: "TransferRate",
+    12: "WalletSize",
+    13: "OwnerCount",
+    14: "DestinationTag",
+    15: "LastUpdateTime",
+    16: "HighQualityIn",
+    17: "HighQualityOut",
+    18: "LowQualityIn",
+    19: "LowQualityOut",
+    20: "QualityIn",
+    21: "QualityOut",
+    22: "StampEscrow",
+    23: "BondAmount",
+    24: "LoadFee",
+    25: "OfferSequence",
+    26: "FirstLedgerSequence",
+    27: "LastLedgerSequence",
+    28: "TransactionIndex",
+    29: "OperationLimit",
+    30: "ReferenceFeeUnits",
+    31: "ReserveBase",
+    32: "ReserveIncrement",
+    33: "SetFlag",
+    34: "ClearFlag",
+    35: "SignerQuorum",
+    36: "CancelAfter",
+    37: "FinishAfter",
+    38: "SignerListID",
+    39: "SettleDelay",
+    40: "TicketCount",
+    41: "TicketSequence",
+    42: "NFTokenTaxon",
+    43: "MintedNFTokens",
+    44: "BurnedNFTokens",
+    45: "HookStateCount",
+    46: "EmitGeneration",
+    48: "VoteWeight",
+    50: "FirstNFTokenSequence",
+    51: "OracleDocumentID"
+  },
+  3: {
+    1: "IndexNext",
+    2: "IndexPrevious",
+    3: "BookNode",
+    4: "OwnerNode",
+    5: "BaseFee",
+    6: "ExchangeRate",
+    7: "LowNode",
+    8: "HighNode",
+    9: "DestinationNode",
+    10: "Cookie",
+    11: "ServerVersion",
+    12: "NFTokenOfferNode",
+    13: "EmitBurden",
+    16: "HookOn",
+    17: "HookInstructionCount",
+    18: "HookReturnCode",
+    19: "ReferenceCount",
+    20: "XChainClaimID",
+    21: "XChainAccountCreateCount",
+    22: "XChainAccountClaimCount",
+    23: "AssetPrice",
+    24: "MaximumAmount",
+    25: "OutstandingAmount",
+    26: "MPTAmount",
+    27: "IssuerNode",
+    28: "SubjectNode",
+    29: "LockedAmount"
+  },
+  4: { 1: "EmailHash" },
+  5: {
+    1: "LedgerHash",
+    2: "ParentHash",
+    3: "TransactionHash",
+    4: "AccountHash",
+    5: "PreviousTxnID",
+    6: "LedgerIndex",
+    7: "WalletLocator",
+    8: "RootIndex",
+    9: "AccountTxnID",
+    10: "NFTokenID",
+    11: "EmitParentTxnID",
+    12: "EmitNonce",
+    13: "EmitHookHash",
+    14: "AMMID",
+    16: "BookDirectory",
+    17: "InvoiceID",
+    18: "Nickname",
+    19: "Amendment",
+    21: "Digest",
+    22: "Channel",
+    23: "ConsensusHash",
+    24: "CheckID",
+    25: "ValidatedHash",
+    26: "PreviousPageMin",
+    27: "NextPageMin",
+    28: "NFTokenBuyOffer",
+    29: "NFTokenSellOffer",
+    30: "HookStateKey",
+    31: "HookHash",
+    32: "HookNamespace",
+    33: "HookSetTxnID",
+    34: "DomainID"
+  },
+  6: {
+    1: "Amount",
+    2: "Balance",
+    3: "LimitAmount",
+    4: "TakerPays",
+    5: "TakerGets",
+    6: "LowLimit",
+    7: "HighLimit",
+    8: "Fee",
+    9: "SendMax",
+    10: "DeliverMin",
+    11: "Amount2",
+    12: "BidMin",
+    13: "BidMax",
+    16: "MinimumOffer",
+    17: "RippleEscrow",
+    18: "DeliveredAmount",
+    19: "NFTokenBrokerFee",
+    22: "BaseFeeDrops",
+    23: "ReserveBaseDrops",
+    24: "ReserveIncrementDrops",
+    25: "LPTokenOut",
+    26: "LPTokenIn",
+    27: "EPrice",
+    28: "Price",
+    29: "SignatureReward",
+    30: "MinAccountCreateAmount",
+    31: "LPTokenBalance"
+  },
+  7: {
+    1: "PublicKey",
+    2: "MessageKey",
+    3: "SigningPubKey",
+    4: "TxnSignature",
+    5: "URI",
+    6: "Signature",
+    7: "Domain",
+    8: "FundCode",
+    9: "RemoveCode",
+    10: "ExpireCode",
+    11: "CreateCode",
+    12: "MemoType",
+    13: "MemoData",
+    14: "MemoFormat",
+    16: "Fulfillment",
+    17: "Condition",
+    18: "MasterSignature",
+    19: "UNLModifyValidator",
+    20: "ValidatorToDisable",
+    21: "ValidatorToReEnable",
+    22: "HookStateData",
+    23: "HookReturnString",
+    24: "HookParameterName",
+    25: "HookParameterValue",
+    26: "DIDDocument",
+    27: "Data",
+    28: "AssetClass",
+    29: "Provider",
+    30: "MPTokenMetadata",
+    31: "CredentialType"
+  },
+  8: {
+    1: "Account",
+    2: "Owner",
+    3: "Destination",
+    4: "Issuer",
+    5: "Authorize",
+    6: "Unauthorize",
+    8: "RegularKey",
+    9: "NFTokenMinter",
+    10: "EmitCallback",
+    11: "Holder",
+    16: "HookAccount",
+    18: "OtherChainSource",
+    19: "OtherChainDestination",
+    20: "AttestationSignerAccount",
+    21: "AttestationRewardAccount",
+    22: "LockingChainDoor",
+    23: "IssuingChainDoor",
+    24: "Subject"
+  },
+  14: {
+    1: "ObjectEndMarker",
+    2: "TransactionMetaData",
+    3: "CreatedNode",
+    4: "DeletedNode",
+    5: "ModifiedNode",
+    6: "PreviousFields",
+    7: "FinalFields",
+    8: "NewFields",
+    9: "TemplateEntry",
+    10: "Memo",
+    11: "SignerEntry",
+    12: "NFToken",
+    13: "EmitDetails",
+    14: "Hook",
+    16: "Signer",
+    18: "Majority",
+    19: "DisabledValidator",
+    20: "EmittedTxn",
+    21: "HookExecution",
+    22: "HookDefinition",
+    23: "HookParameter",
+    24: "HookGrant",
+    25: "VoteEntry",
+    26: "AuctionSlot",
+    27: "AuthAccount",
+    28: "XChainClaimProofSig",
+    29: "XChainCreateAccountProofSig",
+    30: "XChainClaimAttestationCollectionElement",
+    31: "XChainCreateAccountAttestationCollectionElement",
+    32: "PriceData",
+    33: "Credential"
+  },
+  15: {
+    1: "ArrayEndMarker",
+    3: "Signers",
+    4: "SignerEntries",
+    5: "Template",
+    6: "Necessary",
+    7: "Sufficient",
+    8: "AffectedNodes",
+    9: "Memos",
+    10: "NFTokens",
+    11: "Hooks",
+    12: "VoteSlots",
+    16: "Majorities",
+    17: "DisabledValidators",
+    18: "HookExecutions",
+    19: "HookParameters",
+    20: "HookGrants",
+    21: "XChainClaimAttestations",
+    22: "XChainCreateAccountAttestations",
+    24: "PriceDataSeries",
+    25: "AuthAccounts",
+    26: "AuthorizeCredentials",
+    27: "UnauthorizeCredentials",
+    28: "AcceptedCredentials"
+  },
+  16: {
+    1: "CloseResolution",
+    2: "Method",
+    3: "TransactionResult",
+    4: "Scale",
+    5: "AssetScale",
+    16: "TickSize",
+    17: "UNLModifyDisabling",
+    18: "HookResult",
+    19: "WasLockingChainSend"
+  },
+  17: {
+    1: "TakerPaysCurrency",
+    2: "TakerPaysIssuer",
+    3: "TakerGetsCurrency",
+    4: "TakerGetsIssuer"
+  },
+  18: { 1: "Paths" },
+  19: {
+    1: "Indexes",
+    2: "Hashes",
+    3: "Amendments",
+    4: "NFTokenOffers",
+    5: "CredentialIDs"
+  },
+  21: { 1: "MPTokenIssuanceID" },
+  24: {
+    1: "LockingChainIssue",
+    2: "IssuingChainIssue",
+    3: "Asset",
+    4: "Asset2"
+  },
+  25: { 1: "XChainBridge" },
+  26: {
+    1: "BaseAsset",
+    2: "QuoteAsset"
+  }
+};
+
+// UInt64 fields rippled renders in base 10; the rest are hex.
+const BASE_TEN_UINT64 = new Set(["MaximumAmount", "OutstandingAmount", "MPTAmount", "LockedAmount"]);
+
+const TRANSACTION_TYPES = {
+  0: "Payment",
+  1: "EscrowCreate",
+  2: "EscrowFinish",
+  3: "AccountSet",
+  4: "EscrowCancel",
+  5: "SetRegularKey",
+  6: "NickNameSet",
+  7: "OfferCreate",
+  8: "OfferCancel",
+  9: "Contract",
+  10: "TicketCreate",
+  11: "TicketCancel",
+  12: "SignerListSet",
+  13: "PaymentChannelCreate",
+  14: "PaymentChannelFund",
+  15: "PaymentChannelClaim",
+  16: "CheckCreate",
+  17: "CheckCash",
+  18: "CheckCancel",
+  19: "DepositPreauth",
+  20: "TrustSet",
+  21: "AccountDelete",
+  22: "SetHook",
+  25: "NFTokenMint",
+  26: "NFTokenBurn",
+  27: "NFTokenCreateOffer",
+  28: "NFTokenCancelOffer",
+  29: "NFTokenAcceptOffer",
+  30: "Clawback",
+  31: "AMMClawback",
+  35: "AMMCreate",
+  36: "AMMDeposit",
+  37: "AMMWithdraw",
+  38: "AMMVote",
+  39: "AMMBid",
+  40: "AMMDelete",
+  41: "XChainCreateClaimID",
+  42: "XChainCommit",
+  43: "XChainClaim",
+  44: "XChainAccountCreateCommit",
+  45: "XChainAddClaimAttestation",
+  46: "XChainAddAccountCreateAttestation",
+  47: "XChainModifyBridge",
+  48: "XChainCreateBridge",
+  49: "DIDSet",
+  50: "DIDDelete",
+  51: "OracleSet",
+  52: "OracleDelete",
+  53: "LedgerStateFix",
+  54: "MPTokenIssuanceCreate",
+  55: "MPTokenIssuanceDestroy",
+  56: "MPTokenIssuanceSet",
+  57: "MPTokenAuthorize",
+  58: "CredentialCreate",
+  59: "CredentialAccept",
+  60: "CredentialDelete",
+  61: "NFTokenModify",
+  62: "PermissionedDomainSet",
+  63: "PermissionedDomainDelete",
+  100: "EnableAmendment",
+  101: "SetFee",
+  102: "UNLModify"
+};
+
+const LEDGER_ENTRY_TYPES = {
+  0x0037: "NFTokenOffer",
+  0x0043: "Check",
+  0x0049: "DID",
+  0x004e: "NegativeUNL",
+  0x0050: "NFTokenPage",
+  0x0053: "SignerList",
+  0x0054: "Ticket",
+  0x0061: "AccountRoot",
+  0x0064: "DirectoryNode",
+  0x0066: "Amendments",
+  0x0068: "LedgerHashes",
+  0x0069: "Bridge",
+  0x006f: "Offer",
+  0x0070: "DepositPreauth",
+  0x0071: "XChainOwnedClaimID",
+  0x0072: "RippleState",
+  0x0073: "FeeSettings",
+  0x0074: "XChainOwnedCreateAccountClaimID",
+  0x0075: "Escrow",
+  0x0078: "PayChannel",
+  0x0079: "AMM",
+  0x007e: "MPTokenIssuance",
+  0x007f: "MPToken",
+  0x0080: "Oracle",
+  0x0081: "Credential",
+  0x0082: "PermissionedDomain"
+};
+
+// Numeric codes that rippled's JSON shows by name; unknown codes stay numbers.
+const NAMED_VALUES = {
+  TransactionType: (code) => TRANSACTION_TYPES[code] ?? code,
+  LedgerEntryType: (code) => LEDGER_ENTRY_TYPES[code] ?? code,
+  TransactionResult: (code) => resultCodeFromNumber(code)
+};
+
+const STANDARD_CURRENCY_PATTERN = /^[A-Za-z0-9?!@#$%^&*<>(){}[\]|]{3}$/;
+const NO_ACCOUNT = Buffer.concat([Buffer.alloc(19), Buffer.from([1])]);
+
+export function vlLength(bytes, at) {
+  const b1 = bytes[at];
+  if (b1 <= 192) {
+    return [b1, 1];
+  }
+  if (b1 <= 240) {
+    return [193 + (b1 - 193) * 256 + bytes[at + 1], 2];
+  }
+  if (b1 <= 254) {
+    return [12481 + (b1 - 241) * 65536 + bytes[at + 1] * 256 + bytes[at + 2], 3];
+  }
+  throw new Error("Invalid variable-length prefix.");
+}
+
+function blobBytes(blob) {
+  const text = String(blob ?? "").trim();
+  if (!/^([A-Fa-f0-9]{2})+$/.test(text)) {
+    throw new Error("Blob must be a non-empty, even-length hex string.");
+  }
+  return Buffer.from(text, "hex");
+}
+
+function hex(bytes) {
+  return Buffer.from(bytes).toString("hex").toUpperCase();
+}
+
+function sha512Half(prefix, bytes) {
+  return hex(createHash("sha512").update(prefix).update(bytes).digest().subarray(0, 32));
+}
+
+const isZeroBytes = (bytes) => bytes.every((byte) => byte === 0);
+
+// 160-bit currency -> "XRP", a 3-character standard code, or 40 hex characters.
+function currencyCode(bytes) {
+  if (isZeroBytes(bytes)) {
+    return "XRP";
+  }
+  const code = Buffer.from(bytes.subarray(12, 15)).toString("latin1");
+  if (isZeroBytes(bytes.subarray(0, 12)) && isZeroBytes(bytes.subarray(15)) && STANDARD_CURRENCY_PATTERN.test(code)) {
+    return code;
+  }
+  return hex(bytes);
+}
+
+// Decode one serialized STObject into JSON. Fields missing from FIELDS still decode (the type
+// fixes their width) under "UnknownField_<type>_<field>" and are listed in `unknownFields`.
+function decodeObject(bytes) {
+  const unknownFields = new Set();
+  let at = 0;
+
+  const take = (length) => {
+    if (at + length > bytes.length) {
+      throw new Error("Blob is truncated.");
+    }
+    const out = bytes.subarray(at, at + length);
+    at += length;
+    return out;
+  };
+  const variableLength = () => {
+    if (at >= bytes.length) {
+      throw new Error("Blob is truncated.");
+    }
+    const [length, prefix] = vlLength(bytes, at);
+    at += prefix;
+    return take(length);
+  };
+  const fieldHeader = () => {
+    const first = take(1)[0];
+    const type = first >> 4 || take(1)[0];
+    const field = first & 0x0f || take(1)[0];
+    if (!Object.hasOwn(TYPES, type)) {
+      throw new Error(`Unknown field type ${type} at byte ${at}.`);
+    }
+    const name = FIELDS[type]?.[field];
+    if (!name) {
+      unknownFields.add(`${TYPES[type]}:${field}`);
+    }
+    return { type: TYPES[type], name: name ?? `UnknownField_${type}_${field}` };
+  };
+
+  const amount = () => {
+    const first = bytes[at];
+    if ((first & 0x80) === 0 && (first & 0x20) !== 0) {
+      const raw = take(33);
+      const value = raw.readBigUInt64BE(1);
+      return { mpt_issuance_id: hex(raw.subarray(9)), value: `${raw[0] & 0x40 || value === 0n ? "" : "-"}${value}` };
+    }
+    if ((first & 0x80) === 0) {
+      const drops = take(8).readBigUInt64BE(0) & 0x3fffffffffffffffn;
+      return `${first & 0x40 || drops === 0n ? "" : "-"}${drops}`;
+    }
+    const raw = take(48);
+    const head = raw.readBigUInt64BE(0);
+    let value = "0";
+    if (head !== 0x8000000000000000n) {
+      const exponent = Number((head >> 54n) & 0xffn) - 97;
+      const mantissa = head & 0x3fffffffffffffn;
+      value = toDecimalString(decimal(`${raw[0] & 0x40 ? "" : "-"}${mantissa}e${exponent}`));
+    }
+    return { currency: currencyCode(raw.subarray(8, 28)), issuer: encodeAccountId(raw.subarray(28, 48)), value };
+  };
+  // MPT issues carry the issuer, then NO_ACCOUNT, then the issuance sequence.
+  const issue = () => {
+    const currency = take(20);
+    if (isZeroBytes(currency)) {
+      return { currency: "XRP" };
+    }
+    const issuer = take(20);
+    if (issuer.equals(NO_ACCOUNT)) {
+      return { mpt_issuance_id: hex(Buffer.concat([take(4), currency])) };
+    }
+    return { currency: currencyCode(currency), issuer: encodeAccountId(issuer) };
+  };
+  const pathSet = () => {
+    const paths = [];
+    let path = [];
+    for (;;) {
+      const kind = take(1)[0];
+      if (kind === PATH_BOUNDARY || kind === PATH_END) {
+        paths.push(path);
+        path = [];
+        if (kind === PATH_END) {
+          return paths;
+        }
+        continue;
+      }
+      const step = {};
+      if (kind & 0x01) {
+        step.account = encodeAccountId(take(20));
+      }
+      if (kind & 0x10) {
+        step.currency = currencyCode(take(20));
+      }
+      if (kind & 0x20) {
+        step.issuer = encodeAccountId(take(20));
+      }
+      path.push(step);
+    }
+  };
+
+  const value = (type, name) => {
+    switch (type) {
+      case "UInt8":
+      case "UInt16":
+      case "UInt32": {
+        const width = { UInt8: 1, UInt16: 2, UInt32: 4 }[type];
+        const number = take(width).readUIntBE(0, width);
+        return Object.hasOwn(NAMED_VALUES, name) ? NAMED_VALUES[name](number) : number;
+      }
+      case "UInt64": {
+        const raw = take(8);
+        return BASE_TEN_UINT64.has(name) ? raw.readBigUInt64BE(0).toString() : hex(raw);
+      }
+      case "Int32":
+        return take(4).readInt32BE(0);
+      case "Int64":
+        return take(8).readBigInt64BE(0).toString();
+      case "Number": {
+        const raw = take(12);
+        return toDecimalString(decimal(`${raw.readBigInt64BE(0)}e${raw.readInt32BE(8)}`));
+      }
+      case "Amount":
+        return amount();
+      case "Blob":
+        return hex(variableLength());
+      case "AccountID":
+        return encodeAccountId(variableLength());
+      case "Currency":
+        return currencyCode(take(20));
+      case "Issue":
+        return issue();
+      case "PathSet":
+        return pathSet();
+      case "Vector256": {
+        const raw = variableLength();
+        return Array.from({ length: raw.length / 32 }, (_, index) => hex(raw.subarray(index * 32, index * 32 + 32)));
+      }
+      case "XChainBridge":
+        return {
+          LockingChainDoor: encodeAccountId(variableLength()),
+          LockingChainIssue: issue(),
+          IssuingChainDoor: encodeAccountId(variableLength()),
+          IssuingChainIssue: issue()
+        };
+      case "STObject":
+        return object(true);
+      case "STArray":
+        return array();
+      default:
+        return hex(take(HEX_WIDTHS[type]));
+    }
+  };
+  // Inner objects end with OBJECT_END; the top-level object ends with the blob.
+  const object = (inner) => {
+    const out = {};
+    while (at < bytes.length) {
+      if (inner && bytes[at] === OBJECT_END) {
+        at += 1;
+        return out;
+      }
+      const { type, name } = fieldHeader();
+      out[name] = value(type, name);
+    }
+    if (inner) {
+      throw new Error("Blob is truncated inside an object.");
+    }
+    return out;
+  };
+  // Arrays hold single-key objects ({ "Memo": {...} }) and end with ARRAY_END.
+  const array = () => {
+    const out = [];
+    while (at < bytes.length) {
+      if (bytes[at] === ARRAY_END) {
+        at += 1;
+        return out;
+      }
+      const { type, name } = fieldHeader();
+      if (type !== "STObject") {
+        throw new Error(`Array element ${name} is not an object.`);
+      }
+      out.push({ [name]: object(true) });
+    }
+    throw new Error("Blob is truncated inside an array.");
+  };
+
+  return { json: object(false), unknownFields: [...unknownFields] };
+}
+
+// The 118-byte header `ledger` returns as ledger_data in binary mode.
+function decodeLedgerHeader(bytes) {
+  if (bytes.length !== LEDGER_HEADER_LENGTH) {
+    throw new Error(`A ledger header is ${LEDGER_HEADER_LENGTH} bytes, got ${bytes.length}.`);
+  }
+  return {
+    ledger_index: bytes.readUInt32BE(0),
+    total_coins: bytes.readBigUInt64BE(4).toString(),
+    parent_hash: hex(bytes.subarray(12, 44)),
+    transaction_hash: hex(bytes.subarray(44, 76)),
+    account_hash: hex(bytes.subarray(76, 108)),
+    parent_close_time: bytes.readUInt32BE(108),
+    close_time: bytes.readUInt32BE(112),
+    close_time_resolution: bytes[116],
+    close_flags: bytes[117]
+  };
+}
+
+function objectKind(json) {
+  if (Object.hasOwn(json, "TransactionType")) {
+    return "transaction";
+  }
+  if (Object.hasOwn(json, "TransactionResult") || Object.hasOwn(json, "AffectedNodes")) {
+    return "metadata";
+  }
+  return Object.hasOwn(json, "LedgerEntryType") ? "ledger_entry" : "object";
+}
+
+// Hex blob -> { kind, json, hash, unknownFields }. `kind` "auto" detects transactions, metadata,
+// ledger entries and ledger headers; naming a kind makes a mismatch an error. `hash` is the
+// transaction or ledger hash where the blob alone determines it.
+export function decodeBlob(blob, kind = "auto") {
+  if (!BLOB_KINDS.includes(kind)) {
+    throw new Error(`kind must be one of ${BLOB_KINDS.join(", ")}.`);
+  }
+  const bytes = blobBytes(blob);
+  if (kind === "ledger_header") {
+    const json = decodeLedgerHeader(bytes);
+    return { kind, json, hash: sha512Half(LEDGER_HASH_PREFIX, bytes), unknownFields: [] };
+  }
+  let decoded;
+  try {
+    decoded = decodeObject(bytes);
+  } catch (error) {
+    if (kind === "auto" && bytes.length === LEDGER_HEADER_LENGTH) {
+      return decodeBlob(blob, "ledger_header");
+    }
+    throw error;
+  }
+  const detected = objectKind(decoded.json);
+  if (kind !== "auto" && detected !== kind) {
+    throw new Error(`Blob decodes as ${detected === "object" ? "an untyped object" : detected}, not ${kind}.`);
+  }
+  return {
+    kind: detected,
+    json: decoded.json,
+    hash: detected === "transaction" ? sha512Half(TRANSACTION_HASH_PREFIX, bytes) : null,
+    unknownFields: decoded.unknownFields
+  };
+}
+
+// A binary-mode tx or account_tx row ({ tx | tx_blob, meta | meta_blob, ... }) -> the API v2
+// JSON row shape ({ tx_json, meta, hash, ... }). Metadata gains delivered_amount the way
+// rippled's JSON adds it, so partial-payment checks read decoded rows like JSON ones.
+export function decodeTransactionRow(row) {
+  const { tx, tx_blob, meta, meta_blob, ...rest } = row ?? {};
+  const decodedTx = decodeBlob(tx_blob ?? tx, "transaction");
+  const metaBlob = meta_blob ?? meta;
+  const decodedMeta = metaBlob ? decodeBlob(metaBlob, "metadata").json : null;
+  const txJson = decodedTx.json;
+  if (decodedMeta && decodedMeta.TransactionResult === "tesSUCCESS") {
+    if (decodedMeta.DeliveredAmount !== undefined) {
+      decodedMeta.delivered_amount = decodedMeta.DeliveredAmount;
+    } else if (txJson.TransactionType === "Payment") {
+      decodedMeta.delivered_amount = rest.ledger_index >= DELIVERED_AMOUNT_LEDGER ? txJson.Amount : "unavailable";
+    }
+  }
+  return { ...rest, hash: rest.hash ?? decodedTx.hash, tx_json: txJson, meta: decodedMeta };
+}
@@ -0,0 +1,174 @@
+// In-memory LRU response cache with per-entry TTLs and a byte budget.
+// Entries pinned to an immutable ledger use an infinite TTL and only leave via LRU eviction.
+
+const NON_CACHEABLE_RPC_METHODS = new Set([
+  "submit",
+  "submit_multisigned",
+  "sign",
+  "sign_for",
+  "channel_authorize",
+  "wallet_propose",
+  "random",
+  "ping",
+  "subscribe",
+  "unsubscribe"
+]);
+
+function estimateBytes(value) {
+  try {
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return Buffer.byteLength(text ?? "", "utf8");
+  } catch {
+    return 0;
+  }
+}
+
+export function createResponseCache({ maxEntries = 1000, maxBytes = 50 * 1024 * 1024 } = {}) {
+  const entries = new Map();
+  let totalBytes = 0;
+  let hits = 0;
+  let misses = 0;
+  let evictions = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return;
+    }
+    totalBytes -= entry.bytes;
+    entries.delete(key);
+  }
+
+  function evictOverflow() {
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries && totalBytes <= maxBytes) {
+        break;
+      }
+      remove(key);
+      evictions += 1;
+    }
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      misses += 1;
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      remove(key);
+      misses += 1;
+      return null;
+    }
+    // Re-insert to mark as most recently used.
+    entries.delete(key);
+    entries.set(key, entry);
+    hits += 1;
+    return {
+      value: structuredClone(entry.value),
+      meta: entry.meta,
+      storedAt: entry.storedAt,
+      pinned: entry.expiresAt === Infinity
+    };
+  }
+
+  function set(key, value, ttlMs, meta = {}) {
+    if (!(ttlMs > 0) || maxEntries < 1) {
+      return false;
+    }
+    const bytes = estimateBytes(value);
+    if (bytes > maxBytes) {
+      return false;
+    }
+    remove(key);
+    entries.set(key, {
+      value: structuredClone(value),
+      meta,
+      bytes,
+      storedAt: Date.now(),
+      expiresAt: ttlMs === Infinity ? Infinity : Date.now() + ttlMs
+    });
+    totalBytes += bytes;
+    evictOverflow();
+    return true;
+  }
+
+  function clear(predicate) {
+    if (!predicate) {
+      const removed = entries.size;
+      entries.clear();
+      totalBytes = 0;
+      return removed;
+    }
+    let removed = 0;
+    for (const [key, entry] of [...entries.entries()]) {
+      if (predicate(entry.meta, key)) {
+        remove(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  function stats() {
+    let pinned = 0;
+    const bySystem = {};
+    for (const entry of entries.values()) {
+      if (entry.expiresAt === Infinity) {
+        pinned += 1;
+      }
+      const system = entry.meta?.system ?? "unknown";
+      bySystem[system] = (bySystem[system] || 0) + 1;
+    }
+    return {
+      entries: entries.size,
+      pinnedEntries: pinned,
+      bytes: totalBytes,
+      maxEntries,
+      maxBytes,
+      hits,
+      misses,
+      evictions,
+      bySystem
+    };
+  }
+
+  return { get, set, clear, stats };
+}
+
+function isLedgerHash(value) {
+  return typeof value === "string" && /^[A-Fa-f0-9]{64}$/.test(value);
+}
+
+function isNumericLedgerIndex(value) {
+  if (typeof value === "number") {
+    return Number.isInteger(value) && value > 0;
+  }
+  return typeof value === "string" && /^[0-9]+$/.test(value);
+}
+
+// Decide how long an XRPL JSON-RPC response may be reused:
+// - 0 for errors, non-read methods, and results the server marks as not yet validated
+// - Infinity when the request is pinned to a ledger hash/index or the tx is validated
+// - volatileTtlMs for "validated"/"current"/"closed" (or implicit) ledger selectors
+export function xrplCacheTtl(method, params, body, { volatileTtlMs }) {
+  if (NON_CACHEABLE_RPC_METHODS.has(method)) {
+    return 0;
+  }
+  const result = body && typeof body === "object" && body.result && typeof body.result === "object" ? body.result : body;
+  if (!result || typeof result !== "object" || result.status === "error" || result.error) {
+    return 0;
+  }
+  if (result.validated === false) {
+    return volatileTtlMs;
+  }
+
+  const first = Array.isArray(params) && params[0] && typeof params[0] === "object" ? params[0] : {};
+  if (isLedgerHash(first.ledger_hash) || isNumericLedgerIndex(first.ledger_index)) {
+    return Infinity;
+  }
+  if ((method === "tx" || method === "transaction_entry") && result.validated === true) {
+    return Infinity;
+  }
+  return volatileTtlMs;
+}
@@ -0,0 +1,137 @@
+// OHLCV candles for one pair. Trades come from LOS rows or from rippled metadata (offer fills and
+// AMM swaps), both normalized by filterPairTrades; each candle is built from exactly one source
+// segment and is complete only when that source covered its whole interval.
+
+import { add, assetKey, compare, div, isZero, sign, toDecimalString, tryDecimal, ZERO } from "./amount.js";
+import { extractBalanceChanges } from "./balanceChanges.js";
+import { rippleTimeToMs } from "./rippleTime.js";
+import { parseWindowMs } from "./trades.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MIN_CANDLE_INTERVAL_MS = 60 * 1000;
+export const MAX_CANDLES = 1000;
+
+// "1m" .. "1d" -> milliseconds; the interval must divide a day so buckets align to UTC midnight.
+export function parseCandleInterval(value) {
+  const ms = parseWindowMs(value);
+  if (ms === null || ms < MIN_CANDLE_INTERVAL_MS || ms > DAY_MS || DAY_MS % ms !== 0) {
+    return null;
+  }
+  return ms;
+}
+
+export function alignDown(ms, intervalMs) {
+  return Math.floor(ms / intervalMs) * intervalMs;
+}
+
+export function alignUp(ms, intervalMs) {
+  return Math.ceil(ms / intervalMs) * intervalMs;
+}
+
+// "USD.rIssuer" / "XRP" / "MPT:<id>" asset key plus a value -> an Amount that parseAmount reads.
+function amountFromKey(key, value) {
+  if (key === "XRP") {
+    return { currency: "XRP", value };
+  }
+  if (key.startsWith("MPT:")) {
+    return { mpt_issuance_id: key.slice(4), value };
+  }
+  const dot = key.indexOf(".");
+  return { currency: key.slice(0, dot), issuer: key.slice(dot + 1), value };
+}
+
+// Trade rows from one successful transaction, in the amount_in/amount_out shape filterPairTrades
+// reads: one row per consumed offer, plus one for the AMM pool when its balances moved in
+// opposite directions (a swap; deposits and withdrawals move both the same way). API v2 rows
+// carry the hash and close time outside tx_json, so callers pass them.
+export function ledgerTradeRows(tx, meta, { hash = tx?.hash ?? null, timestampMs = null, ammAccount = null, base = null, quote = null } = {}) {
+  if (meta?.TransactionResult !== "tesSUCCESS") {
+    return [];
+  }
+  const changes = extractBalanceChanges(tx, meta);
+  const timestamp = timestampMs ?? rippleTimeToMs(tx?.date);
+  const rows = [];
+  for (const offer of changes.offers.filled) {
+    const got = offer.filled?.takerGot;
+    const paid = offer.filled?.takerPaid;
+    if (got && paid) {
+      rows.push({
+        kind: "offer",
+        hash,
+        timestamp,
+        amount_in: amountFromKey(paid.asset, paid.value),
+        amount_out: amountFromKey(got.asset, got.value)
+      });
+    }
+  }
+  if (ammAccount && base && quote) {
+    const pool = changes.accounts.find((entry) => entry.account === ammAccount)?.changes ?? [];
+    // The pool's own trust lines are keyed by the counterparty issuer, like any holder's.
+    const delta = (asset) => pool.find((change) => change.asset === assetKey(asset))?.value ?? null;
+    const baseDelta = delta(base);
+    const quoteDelta = delta(quote);
+    const baseSign = baseDelta === null ? 0 : sign(tryDecimal(baseDelta));
+    const quoteSign = quoteDelta === null ? 0 : sign(tryDecimal(quoteDelta));
+    if (baseSign !== 0 && quoteSign !== 0 && baseSign !== quoteSign) {
+      rows.push({
+        kind: "amm",
+        hash,
+        timestamp,
+        amm_account: ammAccount,
+        amount_in: amountFromKey(assetKey(base), baseDelta),
+        amount_out: amountFromKey(assetKey(quote), quoteDelta)
+      });
+    }
+  }
+  return rows;
+}
+
+// `trades` are filterPairTrades trades tagged with `source`, oldest first. `segments` split
+// [startMs, endMs) between sources: [{ source, fromMs, toMs, coveredFromMs, coveredToMs }], where
+// covered* is the part that source actually fetched in full.
+// `startMs` must be aligned to the interval.
+export function buildCandles({ trades, segments, startMs, endMs, intervalMs, nowMs = Date.now() }) {
+  const buckets = new Map();
+  for (const trade of trades) {
+    const at = Date.parse(trade.at);
+    if (at >= startMs && at < endMs) {
+      const from = alignDown(at, intervalMs);
+      if (!buckets.has(from)) {
+        buckets.set(from, []);
+      }
+      buckets.get(from).push(trade);
+    }
+  }
+  const candles = [];
+  for (let from = startMs; from < endMs; from += intervalMs) {
+    const to = from + intervalMs;
+    const segment = segments.find((entry) => entry.fromMs <= from && from < entry.toMs) ?? null;
+    const inCandle = segment ? (buckets.get(from) ?? []).filter((trade) => trade.source === segment.source) : [];
+    let volumeBase = ZERO;
+    let volumeQuote = ZERO;
+    let high = null;
+    let low = null;
+    for (const trade of inCandle) {
+      volumeBase = add(volumeBase, trade.base);
+      volumeQuote = add(volumeQuote, trade.quote);
+      high = high === null || compare(trade.price, high) > 0 ? trade.price : high;
+      low = low === null || compare(trade.price, low) < 0 ? trade.price : low;
+    }
+    const render = (value) => (value === null ? null : toDecimalString(value));
+    candles.push({
+      start: new Date(from).toISOString(),
+      end: new Date(to).toISOString(),
+      open: render(inCandle[0]?.price ?? null),
+      high: render(high),
+      low: render(low),
+      close: render(inCandle[inCandle.length - 1]?.price ?? null),
+      volumeBase: toDecimalString(volumeBase),
+      volumeQuote: toDecimalString(volumeQuote),
+      vwap: isZero(volumeBase) ? null : toDecimalString(div(volumeQuote, volumeBase, { digits: 15 })),
+      trades: inCandle.length,
+      source: segment?.source ?? null,
+      complete: Boolean(segment) && to <= nowMs && from >= segment.coveredFromMs && to <= segment.coveredToMs
+    });
+  }
+  return candles;
+}
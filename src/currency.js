@@ -0,0 +1,132 @@
+// XRPL currency codes. Issued currencies are 160-bit values: the standard layout carries a
+// 3-character ISO-style code in bytes 12-14, a leading 0x03 marks an AMM LP token, and any other
+// non-zero first byte is a non-standard code (usually ASCII/UTF-8 padded with zeros).
+
+const STANDARD_CODE_PATTERN = /^[A-Za-z0-9?!@#$%^&*<>(){}[\]|]{3}$/;
+const HEX_CODE_PATTERN = /^[A-Fa-f0-9]{40}$/;
+const LP_TOKEN_PREFIX = 0x03;
+
+// Canonical LOS token key currency: 3-character codes and free text are ASCII/UTF-8, left-aligned
+// and zero-padded; 40-hex codes pass through. Returns null for invalid or reserved codes.
+export function currencyTo160Hex(currency) {
+  const raw = String(currency || "").trim();
+  if (HEX_CODE_PATTERN.test(raw)) {
+    return decodeCurrency(raw).valid ? raw.toUpperCase() : null;
+  }
+  if (!raw || raw.toUpperCase() === "XRP") {
+    return null;
+  }
+  if (/^[A-Za-z0-9]{3}$/.test(raw)) {
+    const hex = Buffer.from(raw.toUpperCase(), "ascii").toString("hex").toUpperCase();
+    return `${hex}${"0".repeat(34)}`;
+  }
+  const bytes = Buffer.from(raw, "utf8");
+  if (bytes.length > 20) {
+    return null;
+  }
+  return Buffer.concat([bytes, Buffer.alloc(20 - bytes.length)]).toString("hex").toUpperCase();
+}
+
+function invalid(code, error) {
+  return { code, hex: null, type: "invalid", display: null, valid: false, error };
+}
+
+// Printable text from zero-padded bytes, or null when the payload is not readable.
+function paddedText(bytes) {
+  let end = bytes.length;
+  while (end > 0 && bytes[end - 1] === 0) {
+    end -= 1;
+  }
+  if (end === 0 || bytes.subarray(0, end).includes(0)) {
+    return null;
+  }
+  const text = new TextDecoder("utf-8", { fatal: false }).decode(bytes.subarray(0, end));
+  // Reject replacement characters (invalid UTF-8) and control characters.
+  return /[\uFFFD\u0000-\u001F\u007F]/.test(text) ? null : text;
+}
+
+// Decode a currency as it appears in XRPL JSON ("USD", "534F4C4F00...", "03...") into
+// { code, hex, type, display, valid } where type is standard | nonstandard | lp_token | hex.
+export function decodeCurrency(currency) {
+  const code = typeof currency === "string" ? currency.trim() : "";
+  if (!code) {
+    return invalid(currency ?? null, "Currency code is empty.");
+  }
+  if (!HEX_CODE_PATTERN.test(code)) {
+    if (code.toUpperCase() === "XRP") {
+      return invalid(code, '"XRP" is reserved for the native asset and cannot be an issued currency code.');
+    }
+    if (!STANDARD_CODE_PATTERN.test(code)) {
+      return invalid(code, "Currency must be a 3-character code or 40 hex characters.");
+    }
+    return { code, hex: null, type: "standard", display: code, valid: true };
+  }
+
+  const hex = code.toUpperCase();
+  const bytes = Buffer.from(hex, "hex");
+  if (bytes.every((b) => b === 0)) {
+    return invalid(code, "All-zero currency code denotes XRP and cannot be an issued currency code.");
+  }
+  if (bytes[0] === LP_TOKEN_PREFIX) {
+    return { code, hex, type: "lp_token", display: `LP-${hex.slice(2, 10)}`, valid: true };
+  }
+  if (bytes[0] === 0) {
+    const iso = bytes.subarray(12, 15).toString("latin1");
+    const reservedBytesClear = bytes.subarray(0, 12).every((b) => b === 0) && bytes.subarray(15).every((b) => b === 0);
+    if (!reservedBytesClear || !STANDARD_CODE_PATTERN.test(iso)) {
+      return { code, hex, type: "hex", display: hex, valid: true };
+    }
+    if (iso === "XRP") {
+      return invalid(code, '"XRP" is reserved for the native asset and cannot be an issued currency code.');
+    }
+    return { code, hex, type: "standard", display: iso, valid: true };
+  }
+  const text = paddedText(bytes);
+  if (text === null) {
+    return { code, hex, type: "hex", display: hex, valid: true };
+  }
+  return { code, hex, type: "nonstandard", display: text, valid: true };
+}
+
+// Readable currency for output, or null for XRP/invalid input.
+export function displayCurrency(currency) {
+  const decoded = decodeCurrency(currency);
+  return decoded.valid ? decoded.display : null;
+}
+
+// "<currency>.<issuer>" asset keys (see amount.js assetKey) -> display currency.
+function displayFromAssetKey(key) {
+  const match = /^([^.:]+)\.r[1-9A-HJ-NP-Za-km-z]{24,34}$/.exec(key);
+  return match ? displayCurrency(match[1]) : null;
+}
+
+// Copy `value`, adding `displayCurrency` next to every issued-currency `currency` field and every
+// issued-asset `asset` key. Subtrees under `skipKeys` (raw upstream payloads) are left untouched.
+export function withDisplayCurrencies(value, { skipKeys = [] } = {}) {
+  const skip = new Set(skipKeys);
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      return node.map(visit);
+    }
+    if (!node || typeof node !== "object" || Object.getPrototypeOf(node) !== Object.prototype) {
+      return node;
+    }
+    const out = {};
+    for (const [key, child] of Object.entries(node)) {
+      out[key] = skip.has(key) ? child : visit(child);
+    }
+    if (out.displayCurrency === undefined) {
+      let display = null;
+      if (typeof out.currency === "string" && out.currency !== "XRP") {
+        display = displayCurrency(out.currency);
+      } else if (typeof out.asset === "string") {
+        display = displayFromAssetKey(out.asset);
+      }
+      if (display !== null) {
+        out.displayCurrency = display;
+      }
+    }
+    return out;
+  };
+  return visit(value);
+}
@@ -0,0 +1,201 @@
+// Two-way domain verification through xrp-ledger.toml. An account claims a domain with its
+// `Domain` field and a validator with its signed manifest; the claim holds only when the domain's
+// /.well-known/xrp-ledger.toml lists that account ([[ACCOUNTS]] address) or validator
+// ([[VALIDATORS]] public_key) in return. Fetching is injected so callers choose the transport.
+
+import { decodeNodePublicKey, encodeNodePublicKey } from "./addressCodec.js";
+import { decodeManifest } from "./manifest.js";
+import { parseToml } from "./toml.js";
+
+export const TOML_PATH = "/.well-known/xrp-ledger.toml";
+export const MAX_TOML_BYTES = 1024 * 1024;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,61}[a-z0-9]$/;
+
+// Lowercase hostname from a claimed domain, tolerating a scheme or trailing slash; null otherwise.
+// IP literals and single-label hosts (localhost) are rejected.
+export function normalizeDomain(value) {
+  const text = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/\/+$/, "");
+  return HOSTNAME_PATTERN.test(text) ? text : null;
+}
+
+export function tomlUrl(domain) {
+  return `https://${domain}${TOML_PATH}`;
+}
+
+// [[ACCOUNTS]] / [[VALIDATORS]] entries; lowercase section names are accepted too.
+function tomlEntries(doc, section) {
+  const list = doc?.[section] ?? doc?.[section.toLowerCase()];
+  return Array.isArray(list) ? list.filter((entry) => entry && typeof entry === "object" && !Array.isArray(entry)) : [];
+}
+
+// Validator keys as "n..." strings, accepting the 66-hex form too; null when undecodable.
+function canonicalNodeKey(key) {
+  const text = String(key ?? "").trim();
+  try {
+    if (/^[A-Fa-f0-9]{66}$/.test(text)) {
+      return encodeNodePublicKey(Buffer.from(text, "hex"));
+    }
+    decodeNodePublicKey(text);
+    return text;
+  } catch {
+    return null;
+  }
+}
+
+function tomlSummary(fetched) {
+  return {
+    fetched: fetched.status === "ok",
+    error: fetched.error ?? null,
+    accounts: fetched.doc ? tomlEntries(fetched.doc, "ACCOUNTS").length : null,
+    validators: fetched.doc ? tomlEntries(fetched.doc, "VALIDATORS").length : null
+  };
+}
+
+// `fetchText(url)` resolves to the response body as a string and rejects on HTTP/network
+// failure. `urlFor(domain)` lets tests point lookups at a local stand-in.
+export function createDomainVerifier({ fetchText, urlFor = tomlUrl }) {
+  if (typeof fetchText !== "function") {
+    throw new Error("createDomainVerifier requires a fetchText(url) function.");
+  }
+
+  // { domain, url, status: ok | toml_unavailable | toml_invalid, doc?, error? }
+  async function fetchToml(domain) {
+    const url = urlFor(domain);
+    let text;
+    try {
+      text = await fetchText(url);
+    } catch (error) {
+      return { domain, url, status: "toml_unavailable", error: error instanceof Error ? error.message : String(error) };
+    }
+    if (typeof text !== "string") {
+      return { domain, url, status: "toml_invalid", error: "Response body is not TOML text." };
+    }
+    if (Buffer.byteLength(text) > MAX_TOML_BYTES) {
+      return { domain, url, status: "toml_invalid", error: `xrp-ledger.toml exceeds ${MAX_TOML_BYTES} bytes.` };
+    }
+    try {
+      return { domain, url, status: "ok", doc: parseToml(text) };
+    } catch (error) {
+      return { domain, url, status: "toml_invalid", error: error.message };
+    }
+  }
+
+  // Shared tail: fetch the domain's TOML and look for the entry that names this key.
+  async function checkListing(claimedDomain, section, matches) {
+    if (claimedDomain === null || claimedDomain === undefined || claimedDomain === "") {
+      return { domain: null, tomlUrl: null, status: "no_domain", toml: null, entry: null };
+    }
+    const domain = normalizeDomain(claimedDomain);
+    if (!domain) {
+      return { domain: String(claimedDomain), tomlUrl: null, status: "invalid_domain", toml: null, entry: null };
+    }
+    const fetched = await fetchToml(domain);
+    const entry = fetched.doc ? tomlEntries(fetched.doc, section).find(matches) ?? null : null;
+    const status = fetched.status !== "ok" ? fetched.status : entry ? "listed" : "not_listed";
+    return { domain, tomlUrl: fetched.url, status, toml: tomlSummary(fetched), entry };
+  }
+
+  async function verifyAccountDomain({ account, domain }) {
+    const listing = await checkListing(domain, "ACCOUNTS", (entry) => String(entry.address ?? "").trim() === account);
+    const verified = listing.status === "listed";
+    const messages = {
+      listed: `${listing.domain} lists ${account} in its xrp-ledger.toml; the domain claim is verified both ways.`,
+      not_listed: `${listing.domain} does not list ${account} in its xrp-ledger.toml; the domain claim is unverified.`,
+      no_domain: "The account does not claim a domain.",
+      invalid_domain: `Claimed domain "${listing.domain}" is not a valid hostname.`,
+      toml_unavailable: `Could not fetch ${listing.tomlUrl}.`,
+      toml_invalid: `${listing.tomlUrl} is not valid TOML.`
+    };
+    return {
+      account,
+      domain: listing.domain,
+      tomlUrl: listing.tomlUrl,
+      status: verified ? "verified" : listing.status,
+      verified,
+      message: messages[listing.status],
+      toml: listing.toml,
+      entry: listing.entry
+    };
+  }
+
+  // `manifest` (base64/hex, e.g. from rippled's `manifest` method) attests the domain with the
+  // master key's signature; `claimedDomain` (e.g. from VHS) is used only when no attested domain exists.
+  async function verifyValidatorDomain({ publicKey, manifest = null, claimedDomain = null }) {
+    let masterKey = canonicalNodeKey(publicKey);
+    let decoded = null;
+    let attestation = "missing";
+    let manifestError = null;
+    if (manifest) {
+      try {
+        decoded = decodeManifest(manifest);
+        if (masterKey && decoded.masterKey !== masterKey && decoded.signingKey !== masterKey) {
+          attestation = "key_mismatch";
+        } else {
+          masterKey = decoded.masterKey;
+          attestation = decoded.revoked
+            ? "revoked"
+            : !decoded.masterSignatureValid
+              ? "invalid_signature"
+              : decoded.domain
+                ? "valid"
+                : "no_domain";
+        }
+      } catch (error) {
+        attestation = "invalid_manifest";
+        manifestError = error.message;
+      }
+    }
+
+    const attestedDomain = attestation === "valid" ? decoded.domain : null;
+    const domain = attestedDomain ?? claimedDomain;
+    const listing = await checkListing(domain, "VALIDATORS", (entry) => canonicalNodeKey(entry.public_key) === masterKey);
+    const attestationBroken = ["key_mismatch", "invalid_signature", "invalid_manifest", "revoked"].includes(attestation);
+
+    let status;
+    if (attestationBroken) {
+      status = "attestation_invalid";
+    } else if (listing.status !== "listed") {
+      status = listing.status;
+    } else {
+      status = attestation === "valid" ? "verified" : "unattested";
+    }
+    const messages = {
+      verified: `Manifest signed by ${masterKey} attests ${listing.domain}, and its xrp-ledger.toml lists the key.`,
+      unattested: `${listing.domain} lists ${masterKey}, but no signed manifest attests the domain.`,
+      attestation_invalid: `Manifest domain attestation is not valid (${attestation}).`,
+      not_listed: `${listing.domain} does not list ${masterKey} in its xrp-ledger.toml.`,
+      no_domain: "The validator does not claim a domain.",
+      invalid_domain: `Claimed domain "${listing.domain}" is not a valid hostname.`,
+      toml_unavailable: `Could not fetch ${listing.tomlUrl}.`,
+      toml_invalid: `${listing.tomlUrl} is not valid TOML.`
+    };
+    const notes = [];
+    if (attestedDomain && claimedDomain && normalizeDomain(claimedDomain) !== normalizeDomain(attestedDomain)) {
+      notes.push(`Claimed domain ${claimedDomain} differs from the manifest-attested domain ${attestedDomain}; the attested domain was checked.`);
+    }
+
+    return {
+      publicKey: masterKey ?? String(publicKey ?? ""),
+      domain: listing.domain,
+      tomlUrl: listing.tomlUrl,
+      status,
+      verified: status === "verified",
+      message: messages[status],
+      attestation,
+      manifest: decoded
+        ? { ...decoded, error: null }
+        : manifest
+          ? { error: manifestError }
+          : null,
+      toml: listing.toml,
+      entry: listing.entry,
+      notes
+    };
+  }
+
+  return { fetchToml, verifyAccountDomain, verifyValidatorDomain };
+}
@@ -0,0 +1,132 @@
+// Named decoding of ledger-entry flag bitfields (AccountRoot, RippleState, Offer, NFToken,
+// NFTokenOffer). Unknown bits are reported rather than dropped so new amendments stay visible.
+
+export const LEDGER_FLAGS = {
+  AccountRoot: {
+    lsfPasswordSpent: 0x00010000,
+    lsfRequireDestTag: 0x00020000,
+    lsfRequireAuth: 0x00040000,
+    lsfDisallowXRP: 0x00080000,
+    lsfDisableMaster: 0x00100000,
+    lsfNoFreeze: 0x00200000,
+    lsfGlobalFreeze: 0x00400000,
+    lsfDefaultRipple: 0x00800000,
+    lsfDepositAuth: 0x01000000,
+    lsfAMM: 0x02000000,
+    lsfDisallowIncomingNFTokenOffer: 0x04000000,
+    lsfDisallowIncomingCheck: 0x08000000,
+    lsfDisallowIncomingPayChan: 0x10000000,
+    lsfDisallowIncomingTrustline: 0x20000000,
+    lsfAllowTrustLineLocking: 0x40000000,
+    lsfAllowTrustLineClawback: 0x80000000
+  },
+  RippleState: {
+    lsfLowReserve: 0x00010000,
+    lsfHighReserve: 0x00020000,
+    lsfLowAuth: 0x00040000,
+    lsfHighAuth: 0x00080000,
+    lsfLowNoRipple: 0x00100000,
+    lsfHighNoRipple: 0x00200000,
+    lsfLowFreeze: 0x00400000,
+    lsfHighFreeze: 0x00800000,
+    lsfAMMNode: 0x01000000,
+    lsfLowDeepFreeze: 0x02000000,
+    lsfHighDeepFreeze: 0x04000000
+  },
+  Offer: {
+    lsfPassive: 0x00010000,
+    lsfSell: 0x00020000,
+    lsfHybrid: 0x00040000
+  },
+  NFToken: {
+    lsfBurnable: 0x0001,
+    lsfOnlyXRP: 0x0002,
+    lsfTrustLine: 0x0004,
+    lsfTransferable: 0x0008,
+    lsfMutable: 0x0010
+  },
+  NFTokenOffer: {
+    lsfSellNFToken: 0x0001
+  }
+};
+
+// { value, names, unknownBits } for one entry type; unknownBits is null when every set bit is named.
+export function decodeFlags(entryType, flags) {
+  const table = LEDGER_FLAGS[entryType];
+  const value = Number(flags ?? 0) >>> 0;
+  if (!table) {
+    return { value, names: [], unknownBits: value ? `0x${value.toString(16).toUpperCase()}` : null };
+  }
+  const names = [];
+  let known = 0;
+  for (const [name, bit] of Object.entries(table)) {
+    if ((value & bit) >>> 0 === bit) {
+      names.push(name);
+    }
+    known = (known | bit) >>> 0;
+  }
+  const unknown = (value & ~known) >>> 0;
+  return { value, names, unknownBits: unknown ? `0x${unknown.toString(16).toUpperCase()}` : null };
+}
+
+export function hasFlag(entryType, flags, name) {
+  const bit = LEDGER_FLAGS[entryType]?.[name];
+  return bit !== undefined && ((Number(flags ?? 0) >>> 0) & bit) >>> 0 === bit;
+}
+
+// A RippleState's flags seen from `account`: which settings each side has applied.
+export function decodeTrustLineFlags(rippleState, account) {
+  const decoded = decodeFlags("RippleState", rippleState?.Flags);
+  const isHigh = rippleState?.HighLimit?.issuer === account;
+  const side = (prefix) => ({
+    reserve: decoded.names.includes(`lsf${prefix}Reserve`),
+    authorized: decoded.names.includes(`lsf${prefix}Auth`),
+    noRipple: decoded.names.includes(`lsf${prefix}NoRipple`),
+    freeze: decoded.names.includes(`lsf${prefix}Freeze`),
+    deepFreeze: decoded.names.includes(`lsf${prefix}DeepFreeze`)
+  });
+  return {
+    ...decoded,
+    self: side(isHigh ? "High" : "Low"),
+    peer: side(isHigh ? "Low" : "High")
+  };
+}
+
+// NFToken flags live in the NFTokenID's first two bytes as well as in nft_info's `flags`.
+function nftFlagsFromId(nftId) {
+  return /^[A-Fa-f0-9]{64}$/.test(String(nftId ?? "")) ? Number.parseInt(nftId.slice(0, 4), 16) : null;
+}
+
+// Copy `value`, adding `flagNames` beside the flags of ledger entries (LedgerEntryType + Flags)
+// and NFTs (nft_id/NFTokenID, with flags taken from the ID when not given). With `account`,
+// trust lines also get `trustLineFlags` ({ self, peer }) from that account's side.
+export function withFlagNames(value, { account = null } = {}) {
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      return node.map(visit);
+    }
+    if (!node || typeof node !== "object" || Object.getPrototypeOf(node) !== Object.prototype) {
+      return node;
+    }
+    const out = {};
+    for (const [key, child] of Object.entries(node)) {
+      out[key] = visit(child);
+    }
+    if (out.flagNames === undefined) {
+      if (typeof out.LedgerEntryType === "string" && LEDGER_FLAGS[out.LedgerEntryType] && out.Flags !== undefined) {
+        out.flagNames = decodeFlags(out.LedgerEntryType, out.Flags).names;
+        if (account && out.LedgerEntryType === "RippleState") {
+          const { self, peer } = decodeTrustLineFlags(out, account);
+          out.trustLineFlags = { self, peer };
+        }
+      } else if (out.nft_id || out.NFTokenID) {
+        const flags = out.flags ?? out.Flags ?? nftFlagsFromId(out.nft_id ?? out.NFTokenID);
+        if (flags !== null) {
+          out.flagNames = decodeFlags("NFToken", flags).names;
+        }
+      }
+    }
+    return out;
+  };
+  return visit(value);
+}
@@ -0,0 +1,240 @@
+// Account history export: account_tx rows normalized to one line per transaction from the
+// exported account's point of view, written as CSV or JSONL to a file in the export directory
+// or to an in-memory MCP resource. Each export records its last marker so it can be resumed.
+
+import { randomUUID } from "node:crypto";
+import { appendFile, mkdir, readFile, rename, stat, truncate, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { extractBalanceChanges } from "./balanceChanges.js";
+import { rippleTimeToIso } from "./rippleTime.js";
+
+export const EXPORT_FORMATS = ["csv", "jsonl"];
+export const HISTORY_COLUMNS = [
+  "time",
+  "ledger_index",
+  "hash",
+  "type",
+  "result",
+  "counterparty",
+  "deltas",
+  "fee_xrp",
+  "destination_tag"
+];
+
+const FILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+const STATE_SUFFIX = ".state.json";
+
+// One account_tx entry (API v1 `tx` or v2 `tx_json` shape) -> export row. `deltas` are the
+// account's signed balance changes per asset with the fee split out into `fee_xrp`.
+export function normalizeHistoryRow(row, account) {
+  const tx = row?.tx_json ?? row?.tx ?? row?.transaction ?? {};
+  const meta = row?.meta && typeof row.meta === "object" ? row.meta : row?.metaData ?? null;
+  const changes = extractBalanceChanges(tx, meta);
+  const own = changes.accounts.find((entry) => entry.account === account)?.changes ?? [];
+  const sender = tx.Account ?? null;
+  return {
+    time: row?.close_time_iso ?? rippleTimeToIso(tx.date),
+    ledger_index: row?.ledger_index ?? tx.ledger_index ?? null,
+    hash: row?.hash ?? tx.hash ?? null,
+    type: tx.TransactionType ?? null,
+    result: meta?.TransactionResult ?? null,
+    counterparty: sender === account ? tx.Destination ?? null : sender,
+    deltas: own.map((change) => ({ asset: change.asset, value: change.value })),
+    fee_xrp: changes.fee?.account === account ? changes.fee.xrp : "0",
+    destination_tag: tx.DestinationTag ?? null
+  };
+}
+
+// account_tx marker that resumes an export at this entry: rippled markers name the ledger and the
+// transaction's index within it. Null when the entry lacks either.
+export function historyRowMarker(row) {
+  const tx = row?.tx_json ?? row?.tx ?? row?.transaction ?? {};
+  const meta = row?.meta && typeof row.meta === "object" ? row.meta : row?.metaData ?? null;
+  const ledger = row?.ledger_index ?? tx.ledger_index;
+  const seq = meta?.TransactionIndex;
+  return Number.isInteger(ledger) && Number.isInteger(seq) ? { ledger, seq } : null;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// CSV packs deltas as "asset:value" pairs separated by ";".
+export function formatHistoryRows(rows, format) {
+  if (format === "jsonl") {
+    return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+  }
+  return rows
+    .map((row) =>
+      HISTORY_COLUMNS.map((column) =>
+        csvField(column === "deltas" ? row.deltas.map((delta) => `${delta.asset}:${delta.value}`).join(";") : row[column])
+      ).join(",")
+    )
+    .map((line) => `${line}\r\n`)
+    .join("");
+}
+
+function formatHeader(format) {
+  return format === "csv" ? `${HISTORY_COLUMNS.join(",")}\r\n` : "";
+}
+
+// Exports live in memory (resources) or in `directory` (files, with a sidecar state file so a
+// file export can be resumed after a restart). Resource exports are capped at `maxResourceBytes`
+// each and the oldest are dropped beyond `maxResources`.
+// The state file is the commit point for file exports: it is replaced atomically after each
+// append, and bytes past its recorded length (an append whose state never landed) are cut off
+// on load, so a resumed export neither skips nor repeats rows.
+export function createExportStore({ directory, maxResourceBytes = 20 * 1024 * 1024, maxResources = 20 }) {
+  const exports = new Map();
+
+  function filePathFor(fileName) {
+    if (!FILE_NAME_PATTERN.test(String(fileName ?? "")) || fileName.endsWith(STATE_SUFFIX)) {
+      throw new Error("file_name must be a plain file name (letters, digits, '.', '_', '-'), without directories.");
+    }
+    return path.join(directory, fileName);
+  }
+
+  // Everything but the in-memory content.
+  function summary(record) {
+    const copy = { ...record };
+    delete copy.content;
+    return copy;
+  }
+
+  async function persistState(record) {
+    if (record.destination === "file") {
+      const statePath = `${record.file}${STATE_SUFFIX}`;
+      await writeFile(`${statePath}.tmp`, JSON.stringify(summary(record), null, 2));
+      await rename(`${statePath}.tmp`, statePath);
+    }
+  }
+
+  function evictResources() {
+    const resources = [...exports.values()].filter((record) => record.destination === "resource");
+    while (resources.length > maxResources) {
+      exports.delete(resources.shift().id);
+    }
+  }
+
+  async function create({ account, format, destination, fileName = null, range }) {
+    const now = new Date().toISOString();
+    const record = {
+      id: destination === "file" ? fileName : randomUUID(),
+      account,
+      format,
+      destination,
+      file: destination === "file" ? filePathFor(fileName) : null,
+      range,
+      marker: null,
+      status: "in_progress",
+      rows: 0,
+      bytes: 0,
+      createdAt: now,
+      updatedAt: now,
+      content: destination === "resource" ? [] : null
+    };
+    const header = formatHeader(format);
+    if (destination === "file") {
+      await mkdir(directory, { recursive: true });
+      const exists = await stat(record.file).then(
+        () => true,
+        () => false
+      );
+      if (exists) {
+        throw new Error(`Export file ${fileName} already exists; pass export_id "${fileName}" to resume it or choose another file_name.`);
+      }
+      await writeFile(record.file, header);
+    } else {
+      record.content.push(header);
+    }
+    record.bytes = Buffer.byteLength(header);
+    exports.set(record.id, record);
+    evictResources();
+    await persistState(record);
+    return record;
+  }
+
+  // In-memory exports first; file exports are reloaded from their state file.
+  async function load(id) {
+    if (exports.has(id)) {
+      return exports.get(id);
+    }
+    let saved;
+    try {
+      saved = JSON.parse(await readFile(`${filePathFor(id)}${STATE_SUFFIX}`, "utf8"));
+    } catch {
+      throw new Error(`Unknown export_id "${id}".`);
+    }
+    const record = { ...saved, file: filePathFor(id), content: null };
+    const size = await stat(record.file).then(
+      (info) => info.size,
+      () => null
+    );
+    if (size === null || size < record.bytes) {
+      throw new Error(`Export file ${id} is missing or shorter than its saved state; it cannot be resumed.`);
+    }
+    if (size > record.bytes) {
+      await truncate(record.file, record.bytes);
+    }
+    exports.set(id, record);
+    return record;
+  }
+
+  function remainingBytes(record) {
+    if (record.destination !== "resource") {
+      return Infinity;
+    }
+    return record.capReached ? 0 : Math.max(0, maxResourceBytes - record.bytes);
+  }
+
+  // Appends whole rows; a resource export stops at the first row that would pass its byte cap and
+  // resumes there (`rowMarkers[i]` is the account_tx marker that resumes at rows[i]).
+  // Returns { summary, written }.
+  async function append(record, rows, { marker, status, rowMarkers = [] }) {
+    let text = formatHistoryRows(rows, record.format);
+    let written = rows.length;
+    if (Buffer.byteLength(text) > remainingBytes(record)) {
+      let room = remainingBytes(record);
+      written = 0;
+      while (written < rows.length) {
+        const size = Buffer.byteLength(formatHistoryRows([rows[written]], record.format));
+        if (size > room) {
+          break;
+        }
+        room -= size;
+        written += 1;
+      }
+      if (!rowMarkers[written]) {
+        throw new Error(`Export ${record.id} reached its size cap at a row with no ledger position to resume from.`);
+      }
+      text = formatHistoryRows(rows.slice(0, written), record.format);
+      marker = rowMarkers[written];
+      status = "partial";
+      record.capReached = true;
+    }
+    if (record.destination === "file") {
+      await appendFile(record.file, text);
+    } else {
+      record.content.push(text);
+    }
+    record.rows += written;
+    record.bytes += Buffer.byteLength(text);
+    record.marker = marker;
+    record.status = status;
+    record.updatedAt = new Date().toISOString();
+    await persistState(record);
+    return { summary: summary(record), written };
+  }
+
+  function read(id) {
+    const record = exports.get(id);
+    return record?.destination === "resource" ? { ...summary(record), text: record.content.join("") } : null;
+  }
+
+  function listResources() {
+    return [...exports.values()].filter((record) => record.destination === "resource").map(summary);
+  }
+
+  return { create, load, append, remainingBytes, read, listResources, summary };
+}
@@ -0,0 +1,104 @@
+// Holder distribution for one issued token, from the issuer's `account_lines`. On the issuer's
+// side a holder's balance is negative, so holdings are the negated line balances.
+
+import { add, compare, div, mul, neg, roundScale, sign, sub, sum, toDecimalString, tryDecimal, ZERO } from "./amount.js";
+import { currencyTo160Hex } from "./currency.js";
+
+const SHARE_DIGITS = 4;
+const GINI_DIGITS = 6;
+
+function percentOf(part, whole) {
+  if (whole === null || sign(whole) <= 0) {
+    return null;
+  }
+  return toDecimalString(roundScale(mul(div(part, whole), 100), SHARE_DIGITS));
+}
+
+// Gini coefficient of positive balances (0 = equal holdings, toward 1 = one holder has everything):
+// G = 2 * sum(i * x_i) / (n * sum(x)) - (n + 1) / n over balances sorted ascending, i from 1.
+export function giniCoefficient(balances) {
+  const sorted = [...balances].sort(compare);
+  const n = sorted.length;
+  const total = sum(sorted);
+  if (n === 0 || sign(total) <= 0) {
+    return null;
+  }
+  const weighted = sorted.reduce((acc, value, index) => add(acc, mul(value, index + 1)), ZERO);
+  const gini = sub(div(mul(weighted, 2), mul(total, n)), div(n + 1, n));
+  return toDecimalString(roundScale(gini, GINI_DIGITS));
+}
+
+// Whether an XRPL currency field names the same code as `currency` (3-letter or 40-hex forms).
+export function sameCurrency(a, b) {
+  const left = currencyTo160Hex(a);
+  return left !== null && left === currencyTo160Hex(b);
+}
+
+// `lines` are the issuer's account_lines; `supply` (decimal) is the gateway_balances obligation
+// used as the share denominator, falling back to the sum of listed holdings.
+export function holderDistribution({ lines, currency, hotWallets = [], supply = null, topN = 20 }) {
+  const hot = new Set(hotWallets);
+  const holders = [];
+  const hotWalletLines = [];
+  let totalLines = 0;
+  let zeroBalanceLines = 0;
+  let issuerOwedLines = 0;
+  let frozenLines = 0;
+  let deepFrozenLines = 0;
+  let frozenBalance = ZERO;
+
+  for (const line of Array.isArray(lines) ? lines : []) {
+    if (!sameCurrency(line?.currency, currency)) {
+      continue;
+    }
+    totalLines += 1;
+    const holding = neg(tryDecimal(line.balance) ?? ZERO);
+    // account_lines `freeze` is the issuer's own freeze on that line.
+    if (line.freeze || line.deep_freeze) {
+      frozenLines += 1;
+      frozenBalance = sign(holding) > 0 ? add(frozenBalance, holding) : frozenBalance;
+    }
+    if (line.deep_freeze) {
+      deepFrozenLines += 1;
+    }
+    if (hot.has(line.account)) {
+      hotWalletLines.push({ account: line.account, balance: toDecimalString(holding) });
+      continue;
+    }
+    if (sign(holding) === 0) {
+      zeroBalanceLines += 1;
+    } else if (sign(holding) < 0) {
+      issuerOwedLines += 1;
+    } else {
+      holders.push({ account: line.account, balance: holding, frozen: Boolean(line.freeze || line.deep_freeze) });
+    }
+  }
+
+  holders.sort((a, b) => compare(b.balance, a.balance) || a.account.localeCompare(b.account));
+  const held = sum(holders.map((holder) => holder.balance));
+  const denominator = supply ?? held;
+  const topShare = (count) => percentOf(sum(holders.slice(0, count).map((holder) => holder.balance)), denominator);
+
+  return {
+    holderCount: holders.length,
+    totalLines,
+    zeroBalanceLines,
+    issuerOwedLines,
+    frozenLines,
+    deepFrozenLines,
+    frozenBalance: toDecimalString(frozenBalance),
+    heldByListedHolders: toDecimalString(held),
+    shareDenominator: supply !== null ? "gateway_balances" : "listed_holders",
+    top10SharePercent: topShare(10),
+    top100SharePercent: topShare(100),
+    gini: giniCoefficient(holders.map((holder) => holder.balance)),
+    topHolders: holders.slice(0, topN).map((holder, index) => ({
+      rank: index + 1,
+      account: holder.account,
+      balance: toDecimalString(holder.balance),
+      sharePercent: percentOf(holder.balance, denominator),
+      frozen: holder.frozen
+    })),
+    hotWalletLines
+  };
+}
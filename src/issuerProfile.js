@@ -0,0 +1,132 @@
+// Issuer due-diligence findings from an issuer's AccountRoot, signer lists, outstanding
+// obligations, trusted-token listings and xrp-ledger.toml domain verification. Every finding
+// carries a severity so agents can rank them.
+
+import { compare, div, sub, toDecimalString, tryDecimal } from "./amount.js";
+import { displayCurrency } from "./currency.js";
+import { decodeFlags } from "./flags.js";
+
+// Addresses with no known private key; a regular key set to one of these cannot sign.
+export const BLACKHOLE_ADDRESSES = new Set([
+  "rrrrrrrrrrrrrrrrrrrrrhoLvTp", // ACCOUNT_ZERO
+  "rrrrrrrrrrrrrrrrrrrrBZbvji", // ACCOUNT_ONE
+  "rrrrrrrrrrrrrrrrrNAMEtxvNvQ",
+  "rrrrrrrrrrrrrrrrrrrn5RM1rHd"
+]);
+
+export const SEVERITIES = ["info", "low", "medium", "high"];
+
+const TRANSFER_RATE_PARITY = "1000000000";
+
+// TransferRate is billionths of the amount sent (1000000000 = no fee) -> percent string.
+export function transferRatePercent(transferRate) {
+  const rate = tryDecimal(transferRate);
+  if (rate === null || compare(rate, 0) === 0) {
+    return "0";
+  }
+  return toDecimalString(div(sub(rate, TRANSFER_RATE_PARITY), 10000000));
+}
+
+export function decodeDomain(hex) {
+  if (typeof hex !== "string" || !/^([A-Fa-f0-9]{2})+$/.test(hex)) {
+    return null;
+  }
+  return Buffer.from(hex, "hex").toString("utf8");
+}
+
+// gateway_balances `obligations` ({ currency: amount }) -> [{ currency, displayCurrency, outstanding }].
+export function issuedCurrencies(obligations) {
+  return Object.entries(obligations ?? {})
+    .map(([currency, amount]) => ({ currency, displayCurrency: displayCurrency(currency), outstanding: String(amount) }))
+    .sort((a, b) => a.currency.localeCompare(b.currency));
+}
+
+export function buildIssuerProfile({ issuer, accountData, signerLists = [], currencies, trustedTokens, domainVerification = null }) {
+  const flags = decodeFlags("AccountRoot", accountData?.Flags);
+  const has = (name) => flags.names.includes(name);
+  const regularKey = accountData?.RegularKey ?? null;
+  const hasSignerList = Array.isArray(signerLists) && signerLists.length > 0;
+  const blackholed = has("lsfDisableMaster") && BLACKHOLE_ADDRESSES.has(regularKey) && !hasSignerList;
+  const transferFeePercent = transferRatePercent(accountData?.TransferRate);
+  const domain = decodeDomain(accountData?.Domain);
+  const trustedListings = (Array.isArray(trustedTokens) ? trustedTokens : []).filter(
+    (token) => (token?.issuer_account ?? token?.issuer) === issuer
+  );
+
+  const findings = [];
+  const add = (id, severity, message) => findings.push({ id, severity, message });
+
+  if (blackholed) {
+    add("blackholed", "info", `Blackholed: master key disabled and regular key is ${regularKey}; settings and supply can no longer change.`);
+  } else if (has("lsfDisableMaster")) {
+    add("master_disabled", "low", `Master key disabled; the account is controlled by ${regularKey ? `regular key ${regularKey}` : "its signer list"}.`);
+  } else {
+    add("not_blackholed", "medium", "Issuer keys are active; it can still change flags, transfer fee and issue more tokens.");
+  }
+
+  const fee = tryDecimal(transferFeePercent);
+  if (fee !== null && compare(fee, 0) > 0) {
+    add("transfer_fee", compare(fee, 1) > 0 ? "medium" : "low", `Transfer fee of ${transferFeePercent}% is charged when holders send tokens to each other.`);
+  }
+
+  if (has("lsfGlobalFreeze")) {
+    add("global_freeze", "high", "Global freeze is active: all tokens from this issuer are frozen.");
+  }
+  if (has("lsfNoFreeze")) {
+    add("no_freeze", "info", "NoFreeze is set: the issuer has permanently given up freezing trust lines.");
+  } else {
+    add("can_freeze", "medium", "Issuer can freeze individual trust lines or all of its tokens.");
+  }
+  if (has("lsfAllowTrustLineClawback")) {
+    add("clawback", "high", "Clawback is enabled: the issuer can take back tokens from holders.");
+  }
+  if (has("lsfRequireAuth")) {
+    add("require_auth", "low", "RequireAuth is set: holders must be authorized by the issuer.");
+  }
+  if (!has("lsfDefaultRipple") && currencies.length > 0) {
+    add("no_default_ripple", "low", "DefaultRipple is not set: holder-to-holder transfers may fail.");
+  }
+
+  if (domain && domainVerification?.verified) {
+    add("domain_verified", "info", domainVerification.message);
+  } else if (domain && domainVerification) {
+    add("domain_unverified", "medium", domainVerification.message);
+  } else if (domain) {
+    add("domain", "info", `Domain field claims ${domain} (not checked against xrp-ledger.toml).`);
+  } else {
+    add("no_domain", "low", "No Domain set; the issuer has not linked a website.");
+  }
+
+  if (trustedListings.length) {
+    add("trusted_listing", "info", `Listed by LOS trusted tokens (${trustedListings.length} token(s)).`);
+  } else if (trustedTokens !== null) {
+    add("not_trusted_listed", "low", "Not listed by LOS trusted tokens.");
+  }
+
+  if (!currencies.length) {
+    add("no_obligations", "info", "No outstanding issued balances found.");
+  }
+
+  findings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+  return {
+    issuer,
+    blackholed,
+    regularKey,
+    signerList: hasSignerList,
+    flagNames: flags.names,
+    transferFeePercent,
+    freeze: {
+      canFreeze: !has("lsfNoFreeze"),
+      noFreeze: has("lsfNoFreeze"),
+      globalFreezeActive: has("lsfGlobalFreeze")
+    },
+    clawbackEnabled: has("lsfAllowTrustLineClawback"),
+    requireAuth: has("lsfRequireAuth"),
+    domain,
+    domainVerification,
+    trustedTokens: trustedTokens === null ? null : trustedListings.map((token) => token.currency ?? null),
+    issuedCurrencies: currencies,
+    findings,
+    highestSeverity: findings[0]?.severity ?? "info"
+  };
+}
@@ -0,0 +1,144 @@
+// Timestamp -> ledger index resolution. Ledger close times never decrease with the index, so the
+// first ledger closing at or after a time (or the last one closing at or before it) is found by
+// binary search over the server's available range. Ledger lookups are injected so callers choose
+// the transport and its caching.
+
+import { rippleTimeToMs } from "./rippleTime.js";
+import { parseWindowMs } from "./trades.js";
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// "now", an ISO 8601 timestamp, or a relative window ("1h", "7d") meaning that long before now
+// -> epoch milliseconds (whole seconds, like ledger close times), or null when unparseable.
+export function parseTimeInput(value, nowMs = Date.now()) {
+  const text = String(value ?? "").trim();
+  if (text.toLowerCase() === "now") {
+    return Math.floor(nowMs / 1000) * 1000;
+  }
+  const windowMs = parseWindowMs(text);
+  if (windowMs !== null) {
+    return Math.floor((nowMs - windowMs) / 1000) * 1000;
+  }
+  if (!ISO_DATE_PATTERN.test(text)) {
+    return null;
+  }
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// True for ISO 8601 timestamps, whose instant does not depend on when they are parsed.
+export function isAbsoluteTimeInput(value) {
+  return ISO_DATE_PATTERN.test(String(value ?? "").trim());
+}
+
+// { window } or { start_time, end_time } -> { startMs, endMs }; a window ends now, and an open
+// end means now. Throws on unparseable input or an inverted range.
+export function parseTimeRange({ start_time, end_time, window }, nowMs = Date.now()) {
+  if (window !== undefined && (start_time !== undefined || end_time !== undefined)) {
+    throw new Error("Pass either window or start_time/end_time, not both.");
+  }
+  const startInput = window ?? start_time;
+  const startMs = startInput === undefined ? null : parseTimeInput(startInput, nowMs);
+  const endMs = end_time === undefined ? parseTimeInput("now", nowMs) : parseTimeInput(end_time, nowMs);
+  if ((startInput !== undefined && startMs === null) || endMs === null) {
+    throw new Error('Times must be ISO 8601 timestamps, "now", or relative windows like 1h, 7d, 30d.');
+  }
+  if (startMs !== null && startMs > endMs) {
+    throw new Error("start_time is after end_time.");
+  }
+  return { startMs, endMs };
+}
+
+// rippled complete_ledgers ("32570-90000000" or "a-b,c-d") -> the contiguous span ending at
+// `latest`, or null when the server reports no history.
+export function availableLedgerSpan(completeLedgers, latest) {
+  const spans = String(completeLedgers ?? "")
+    .split(",")
+    .map((part) => part.trim().split("-").map(Number))
+    .filter((bounds) => bounds.every(Number.isInteger))
+    .map(([min, max = min]) => ({ min, max }));
+  const current = spans.find((span) => latest === null || (span.min <= latest && latest <= span.max)) ?? spans.at(-1);
+  return current ? { min: current.min, max: latest ?? current.max } : null;
+}
+
+// Ledger header -> close time in epoch milliseconds.
+export function ledgerCloseTimeMs(ledger) {
+  if (Number.isFinite(ledger?.close_time)) {
+    return rippleTimeToMs(ledger.close_time);
+  }
+  const parsed = Date.parse(ledger?.close_time_iso ?? "");
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// `fetchLedgerSpan()` resolves to { min, max } available ledger indexes; `fetchCloseTimeMs(index)`
+// to that ledger's close time in epoch milliseconds.
+export function createLedgerTimeResolver({ fetchLedgerSpan, fetchCloseTimeMs }) {
+  // bound "min": first ledger closing at or after timeMs (start of a range).
+  // bound "max": last ledger closing at or before timeMs (end of a range).
+  // A start before the available span clamps to its first ledger and an end after it to its last
+  // (status before_earliest/after_latest). An end before the span or a start after it has no
+  // ledger in range, so ledgerIndex and closeTime are null and callers should return no rows.
+  async function resolve(timeMs, bound) {
+    if (bound !== "min" && bound !== "max") {
+      throw new Error(`bound must be "min" or "max", got ${bound}.`);
+    }
+    const span = await fetchLedgerSpan();
+    if (!span) {
+      throw new Error("The server reports no available ledger history.");
+    }
+    let probes = 0;
+    const closeAt = async (index) => {
+      probes += 1;
+      const closeMs = await fetchCloseTimeMs(index);
+      if (closeMs === null) {
+        throw new Error(`Ledger ${index} has no close time.`);
+      }
+      return closeMs;
+    };
+    const result = (ledgerIndex, closeMs, status) => ({
+      time: new Date(timeMs).toISOString(),
+      bound,
+      ledgerIndex,
+      closeTime: closeMs === null ? null : new Date(closeMs).toISOString(),
+      status,
+      span,
+      probes
+    });
+
+    const firstClose = await closeAt(span.min);
+    if (timeMs < firstClose) {
+      return bound === "min" ? result(span.min, firstClose, "before_earliest") : result(null, null, "before_earliest");
+    }
+    if (bound === "min" && timeMs === firstClose) {
+      return result(span.min, firstClose, "resolved");
+    }
+    const lastClose = await closeAt(span.max);
+    if (timeMs > lastClose) {
+      return bound === "max" ? result(span.max, lastClose, "after_latest") : result(null, null, "after_latest");
+    }
+    if (bound === "max" && timeMs === lastClose) {
+      return result(span.max, lastClose, "resolved");
+    }
+
+    // Invariant: close(lo) < timeMs <= close(hi) for "min"; close(lo) <= timeMs < close(hi) for "max".
+    let lo = span.min;
+    let hi = span.max;
+    let loClose = firstClose;
+    let hiClose = lastClose;
+    while (hi - lo > 1) {
+      const mid = lo + Math.floor((hi - lo) / 2);
+      const midClose = await closeAt(mid);
+      const goesHigh = bound === "min" ? midClose >= timeMs : midClose > timeMs;
+      if (goesHigh) {
+        hi = mid;
+        hiClose = midClose;
+      } else {
+        lo = mid;
+        loClose = midClose;
+      }
+    }
+    return bound === "min" ? result(hi, hiClose, "resolved") : result(lo, loClose, "resolved");
+  }
+
+  return { resolve };
+}
@@ -0,0 +1,126 @@
+// Validator manifests: the master key's signed statement naming its current signing (ephemeral)
+// key and, optionally, the validator's domain. The master signature covers every field except
+// the two signatures, prefixed with "MAN\0".
+
+import { createPublicKey, verify } from "node:crypto";
+import { encodeNodePublicKey } from "./addressCodec.js";
+import { vlLength } from "./binaryCodec.js";
+
+const MANIFEST_PREFIX = Buffer.from("4D414E00", "hex");
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+const SECP256K1_SPKI_PREFIX = Buffer.from("3036301006072a8648ce3d020106052b8104000a032200", "hex");
+const REVOKED_SEQUENCE = 0xffffffff;
+
+// [typeCode, fieldCode] -> name, for the fields a manifest can carry.
+const FIELDS = {
+  "1:16": "Version",
+  "2:4": "Sequence",
+  "7:1": "PublicKey",
+  "7:3": "SigningPubKey",
+  "7:6": "Signature",
+  "7:7": "Domain",
+  "7:18": "MasterSignature"
+};
+const SIGNATURE_FIELDS = new Set(["Signature", "MasterSignature"]);
+
+function manifestBytes(manifest) {
+  const text = String(manifest ?? "").trim();
+  if (/^([A-Fa-f0-9]{2})+$/.test(text)) {
+    return Buffer.from(text, "hex");
+  }
+  if (/^[A-Za-z0-9+/]+={0,2}$/.test(text)) {
+    return Buffer.from(text, "base64");
+  }
+  throw new Error("Manifest must be base64 or hex.");
+}
+
+// Split the serialized STObject into fields, keeping each field's raw bytes for re-signing.
+function readFields(bytes) {
+  const fields = [];
+  let at = 0;
+  while (at < bytes.length) {
+    const start = at;
+    let type = bytes[at] >> 4;
+    let field = bytes[at] & 0x0f;
+    at += 1;
+    if (type === 0) {
+      type = bytes[at++];
+    }
+    if (field === 0) {
+      field = bytes[at++];
+    }
+    const name = FIELDS[`${type}:${field}`];
+    if (!name) {
+      throw new Error(`Unexpected field (type ${type}, field ${field}) in manifest.`);
+    }
+    let value;
+    if (type === 1) {
+      value = bytes.readUInt16BE(at);
+      at += 2;
+    } else if (type === 2) {
+      value = bytes.readUInt32BE(at);
+      at += 4;
+    } else {
+      const [length, prefix] = vlLength(bytes, at);
+      at += prefix;
+      value = bytes.subarray(at, at + length);
+      at += length;
+    }
+    if (at > bytes.length) {
+      throw new Error("Manifest is truncated.");
+    }
+    fields.push({ name, value, raw: bytes.subarray(start, at) });
+  }
+  return fields;
+}
+
+// Verify `signature` over `message` with a 33-byte XRPL public key. secp256k1 signs the
+// SHA-512Half of the message; ECDSA over SHA-512 truncates to the same 256 bits.
+export function verifyXrplSignature(publicKey, message, signature) {
+  const key = Buffer.from(publicKey);
+  try {
+    if (key.length === 33 && key[0] === 0xed) {
+      const spki = createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, key.subarray(1)]), format: "der", type: "spki" });
+      return verify(null, message, spki, signature);
+    }
+    if (key.length === 33 && (key[0] === 0x02 || key[0] === 0x03)) {
+      const spki = createPublicKey({ key: Buffer.concat([SECP256K1_SPKI_PREFIX, key]), format: "der", type: "spki" });
+      return verify("sha512", message, spki, signature);
+    }
+  } catch {
+    return false;
+  }
+  return false;
+}
+
+// Decode a manifest (base64 as returned by rippled's `manifest` method, or hex) and check its
+// signatures. `domain` is only attested when `masterSignatureValid` is true.
+export function decodeManifest(manifest) {
+  const fields = readFields(manifestBytes(manifest));
+  const get = (name) => fields.find((entry) => entry.name === name)?.value ?? null;
+  const masterKey = get("PublicKey");
+  if (!masterKey || masterKey.length !== 33) {
+    throw new Error("Manifest has no master public key.");
+  }
+  const signingKey = get("SigningPubKey");
+  const sequence = get("Sequence");
+  const domain = get("Domain");
+  const signingData = Buffer.concat([
+    MANIFEST_PREFIX,
+    ...fields.filter((entry) => !SIGNATURE_FIELDS.has(entry.name)).map((entry) => entry.raw)
+  ]);
+  const masterSignature = get("MasterSignature");
+  const signature = get("Signature");
+  const revoked = sequence === REVOKED_SEQUENCE;
+
+  return {
+    masterKey: encodeNodePublicKey(masterKey),
+    signingKey: signingKey && signingKey.length === 33 ? encodeNodePublicKey(signingKey) : null,
+    sequence,
+    revoked,
+    domain: domain ? domain.toString("utf8") : null,
+    masterSignatureValid: masterSignature ? verifyXrplSignature(masterKey, signingData, masterSignature) : false,
+    // Revoked manifests carry no signing key, so only the master signature applies.
+    signatureValid: revoked ? null : signature && signingKey ? verifyXrplSignature(signingKey, signingData, signature) : false
+  };
+}
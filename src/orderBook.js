@@ -0,0 +1,132 @@
+// Two-sided order book analysis. Both book_offers sides are normalized to price in quote per
+// base so bids and asks are comparable; amounts use what the owner can actually fund.
+
+import {
+  add,
+  assetKey,
+  compare,
+  div,
+  isZero,
+  mul,
+  parseAmount,
+  sign,
+  sub,
+  toDecimalString,
+  toNumber,
+  ZERO
+} from "./amount.js";
+
+export const DEFAULT_DEPTH_PERCENTS = [0.5, 1, 2, 5];
+
+const PRICE_DIGITS = 15;
+
+// rippled adds taker_*_funded only when the owner cannot fund the whole offer.
+function fundedAmounts(offer) {
+  return [
+    parseAmount(offer.taker_gets_funded ?? offer.TakerGets),
+    parseAmount(offer.taker_pays_funded ?? offer.TakerPays)
+  ];
+}
+
+// `side` is "ask" for offers selling base (TakerGets = base) and "bid" for offers buying base
+// (TakerPays = base). Returns { levels, unfunded } with levels sorted best price first.
+export function normalizeBookSide(offers, side, base, quote) {
+  const levels = [];
+  let unfunded = 0;
+  const baseKey = assetKey(base);
+  const quoteKey = assetKey(quote);
+  for (const offer of Array.isArray(offers) ? offers : []) {
+    const [gets, pays] = fundedAmounts(offer);
+    if (!gets || !pays) {
+      continue;
+    }
+    const [baseAmount, quoteAmount] = side === "ask" ? [gets, pays] : [pays, gets];
+    if (assetKey(baseAmount.asset) !== baseKey || assetKey(quoteAmount.asset) !== quoteKey) {
+      continue;
+    }
+    if (sign(baseAmount.value) <= 0 || sign(quoteAmount.value) <= 0) {
+      unfunded += 1;
+      continue;
+    }
+    levels.push({
+      price: div(quoteAmount.value, baseAmount.value, { digits: PRICE_DIGITS }),
+      base: baseAmount.value,
+      quote: quoteAmount.value,
+      account: offer.Account ?? null,
+      sequence: offer.Sequence ?? null
+    });
+  }
+  // Asks ascend (cheapest first), bids descend (highest first).
+  levels.sort((a, b) => (side === "ask" ? compare(a.price, b.price) : compare(b.price, a.price)));
+  return { levels, unfunded };
+}
+
+function renderLevel(level) {
+  return level
+    ? {
+        price: toDecimalString(level.price),
+        base: toDecimalString(level.base),
+        quote: toDecimalString(level.quote),
+        account: level.account,
+        sequence: level.sequence
+      }
+    : null;
+}
+
+function depthWithin(levels, inRange) {
+  let base = ZERO;
+  let quote = ZERO;
+  let offers = 0;
+  for (const level of levels) {
+    if (!inRange(level.price)) {
+      break;
+    }
+    base = add(base, level.base);
+    quote = add(quote, level.quote);
+    offers += 1;
+  }
+  return { base: toDecimalString(base), quote: toDecimalString(quote), offers };
+}
+
+export function analyzeOrderBook({ asks, bids }, { depthPercents = DEFAULT_DEPTH_PERCENTS, levels = 10 } = {}) {
+  const bestAsk = asks.levels[0] ?? null;
+  const bestBid = bids.levels[0] ?? null;
+  let mid = null;
+  let spread = null;
+  let spreadBps = null;
+  if (bestAsk && bestBid) {
+    mid = div(add(bestAsk.price, bestBid.price), 2, { digits: PRICE_DIGITS });
+    spread = sub(bestAsk.price, bestBid.price);
+    spreadBps = isZero(mid) ? null : toNumber(div(mul(spread, 10000), mid, { digits: 6 }));
+  }
+
+  const depth = [];
+  if (mid !== null) {
+    for (const percent of depthPercents) {
+      const ratio = div(percent, 100);
+      const askCeiling = mul(mid, add(1, ratio));
+      const bidFloor = mul(mid, sub(1, ratio));
+      depth.push({
+        percent,
+        asks: depthWithin(asks.levels, (price) => compare(price, askCeiling) <= 0),
+        bids: depthWithin(bids.levels, (price) => compare(price, bidFloor) >= 0)
+      });
+    }
+  }
+
+  return {
+    bestBid: renderLevel(bestBid),
+    bestAsk: renderLevel(bestAsk),
+    mid: mid === null ? null : toDecimalString(mid),
+    spread: spread === null ? null : toDecimalString(spread),
+    spreadBps,
+    crossed: spread !== null && sign(spread) < 0,
+    depth,
+    asks: asks.levels.slice(0, levels).map(renderLevel),
+    bids: bids.levels.slice(0, levels).map(renderLevel),
+    offerCount: asks.levels.length + bids.levels.length,
+    askCount: asks.levels.length,
+    bidCount: bids.levels.length,
+    unfundedExcluded: asks.unfunded + bids.unfunded
+  };
+}
@@ -0,0 +1,84 @@
+// Opt-in "fetch all" mode: follow markers page by page until the list is exhausted or
+// the caller's item/page/byte budget is spent.
+
+export const DEFAULT_PAGINATION_BUDGET = {
+  maxItems: 10000,
+  maxPages: 20,
+  maxBytes: 5 * 1024 * 1024
+};
+
+export function paginationBudget({ max_items, max_pages, max_bytes } = {}) {
+  return {
+    maxItems: max_items ?? DEFAULT_PAGINATION_BUDGET.maxItems,
+    maxPages: max_pages ?? DEFAULT_PAGINATION_BUDGET.maxPages,
+    maxBytes: max_bytes ?? DEFAULT_PAGINATION_BUDGET.maxBytes
+  };
+}
+
+// `fetchPage(marker, { remainingItems, firstPage })` returns one upstream page.
+// `stopReason(page)` may return a string to end early (e.g. an upstream error on a later page).
+export async function collectPages({ fetchPage, itemsOf, markerOf, budget, stopReason = () => null }) {
+  const items = [];
+  const seenMarkers = new Set();
+  let pages = 0;
+  let bytes = 0;
+  let marker = null;
+  let firstPage = null;
+  let stoppedBy = null;
+
+  for (;;) {
+    const page = await fetchPage(marker, {
+      remainingItems: Math.max(1, budget.maxItems - items.length),
+      firstPage
+    });
+    const reason = stopReason(page);
+    if (reason) {
+      if (!firstPage) {
+        return { failedPage: page };
+      }
+      stoppedBy = reason;
+      break;
+    }
+    pages += 1;
+    bytes += Buffer.byteLength(JSON.stringify(page) ?? "", "utf8");
+    firstPage = firstPage ?? page;
+    items.push(...itemsOf(page));
+    marker = markerOf(page) ?? null;
+
+    if (marker === null) {
+      break;
+    }
+    const markerKey = JSON.stringify(marker);
+    if (seenMarkers.has(markerKey)) {
+      stoppedBy = "repeated_marker";
+      break;
+    }
+    seenMarkers.add(markerKey);
+    if (items.length >= budget.maxItems) {
+      stoppedBy = "max_items";
+      break;
+    }
+    if (pages >= budget.maxPages) {
+      stoppedBy = "max_pages";
+      break;
+    }
+    if (bytes >= budget.maxBytes) {
+      stoppedBy = "max_bytes";
+      break;
+    }
+  }
+
+  return {
+    items,
+    firstPage,
+    marker,
+    pagination: {
+      complete: marker === null && stoppedBy === null,
+      stoppedBy,
+      pages,
+      items: items.length,
+      bytes,
+      marker
+    }
+  };
+}
@@ -0,0 +1,189 @@
+// Portfolio valuation: value each holding in XRP by selling it into the live DEX (order book or
+// AMM pool) and total the account. Prices are quote per base, like orderBook.js and amm.js.
+
+import {
+  add,
+  assetKey,
+  compare,
+  div,
+  min,
+  mul,
+  parseAmount,
+  roundScale,
+  sign,
+  sub,
+  sum,
+  toDecimalString,
+  tryDecimal,
+  ZERO
+} from "./amount.js";
+import { simulateSwap } from "./amm.js";
+
+const PRICE_DIGITS = 15;
+const WEIGHT_DIGITS = 4;
+
+// Pool spot price in quote per base, or null when the pool does not hold exactly this pair.
+export function ammSpotPrice(amm, base, quote) {
+  const a = parseAmount(amm?.amount);
+  const b = parseAmount(amm?.amount2);
+  if (!a || !b || sign(a.value) <= 0 || sign(b.value) <= 0) {
+    return null;
+  }
+  const baseKey = assetKey(base);
+  const quoteKey = assetKey(quote);
+  if (assetKey(a.asset) === baseKey && assetKey(b.asset) === quoteKey) {
+    return div(b.value, a.value, { digits: PRICE_DIGITS });
+  }
+  if (assetKey(b.asset) === baseKey && assetKey(a.asset) === quoteKey) {
+    return div(a.value, b.value, { digits: PRICE_DIGITS });
+  }
+  return null;
+}
+
+// XRP value of one LP token of an XRP pool: at the spot price both sides are worth the same,
+// so the pool is worth twice its XRP reserve.
+export function lpTokenPriceXrp(amm) {
+  const supply = tryDecimal(amm?.lp_token?.value);
+  const xrpSide = [parseAmount(amm?.amount), parseAmount(amm?.amount2)].find(
+    (amount) => amount && assetKey(amount.asset) === "XRP"
+  );
+  if (!xrpSide || supply === null || sign(supply) <= 0) {
+    return null;
+  }
+  return div(mul(xrpSide.value, 2), supply, { digits: PRICE_DIGITS });
+}
+
+// Pick one price from the available markets: the order book mid when both sides are quoted,
+// else the AMM spot price, else the best bid. `orderbook` is an analyzeOrderBook() result.
+export function choosePrice({ orderbook, amm, base, quote }) {
+  if (orderbook?.mid && !orderbook.crossed) {
+    return { price: tryDecimal(orderbook.mid), source: "orderbook_mid", method: "book_offers" };
+  }
+  const spot = amm ? ammSpotPrice(amm, base, quote) : null;
+  if (spot !== null) {
+    return { price: spot, source: "amm_spot", method: "amm_info" };
+  }
+  if (orderbook?.bestBid) {
+    return { price: tryDecimal(orderbook.bestBid.price), source: "orderbook_best_bid", method: "book_offers" };
+  }
+  return { price: null, source: null, method: null };
+}
+
+// Sell up to `amount` of base into bid levels (normalizeBookSide "bid" output), best price first.
+function walkBids(levels, amount) {
+  let filled = ZERO;
+  let proceeds = ZERO;
+  for (const level of levels) {
+    if (compare(filled, amount) >= 0) {
+      break;
+    }
+    const take = min(level.base, sub(amount, filled));
+    filled = add(filled, take);
+    proceeds = add(proceeds, compare(take, level.base) === 0 ? level.quote : mul(take, level.price));
+  }
+  return { filled, proceeds };
+}
+
+// Swap the whole `amount` into a base/quote pool; null when the pool cannot produce any output.
+function ammSale(amm, base, amount) {
+  try {
+    const swap = simulateSwap(amm, { assetIn: base, amountIn: amount });
+    return { filled: amount, proceeds: tryDecimal(swap.amountOut) };
+  } catch {
+    return null;
+  }
+}
+
+// Value `amount` of base by what selling it would realize in quote: walk the order book's bids
+// and swap into the AMM pool, and keep the better venue that fills the whole amount. When
+// neither does, the book's partial fill is the value and `liquidity` is "partial".
+export function sellValue({ bids, amm, base, quote, amount, bookTruncated = false }) {
+  const book = bids?.levels?.length ? walkBids(bids.levels, amount) : null;
+  const pool = amm && ammSpotPrice(amm, base, quote) !== null ? ammSale(amm, base, amount) : null;
+  const venues = [
+    book && { ...book, source: "orderbook_bids", method: "book_offers" },
+    pool && { ...pool, source: "amm_swap", method: "amm_info" }
+  ].filter((venue) => venue && sign(venue.proceeds) > 0);
+  const full = venues
+    .filter((venue) => compare(venue.filled, amount) >= 0)
+    .sort((a, b) => compare(b.proceeds, a.proceeds));
+  const chosen = full[0] ?? venues[0] ?? null;
+  if (!chosen) {
+    return { price: null, value: null, source: null, method: null, liquidity: "none" };
+  }
+  const liquidity = compare(chosen.filled, amount) >= 0 ? "full" : "partial";
+  return {
+    price: div(chosen.proceeds, chosen.filled, { digits: PRICE_DIGITS }),
+    value: chosen.proceeds,
+    filled: chosen.filled,
+    source: chosen.source,
+    method: chosen.method,
+    liquidity,
+    ...(liquidity === "partial"
+      ? {
+          note: `The order book fills only ${toDecimalString(chosen.filled)} of ${toDecimalString(amount)}${
+            bookTruncated ? " within options.book_limit offers" : ""
+          } and there is no AMM pool; the rest is not valued.`
+        }
+      : {})
+  };
+}
+
+// `holdings` are [{ asset, balance, price: { price, source, value?, filled?, liquidity? } | null,
+// note? }] with prices in XRP per unit; `value` (from sellValue) overrides balance * price.
+// `quotePerXrp` (decimal) adds values in the chosen stablecoin.
+export function valuePortfolio({ holdings, quotePerXrp = null }) {
+  const rows = holdings.map((holding) => {
+    const price = holding.price?.price ?? null;
+    const valueXrp = price === null ? null : holding.price.value ?? mul(holding.balance, price);
+    const liquidity = holding.price?.liquidity ?? (valueXrp === null ? "none" : "full");
+    const note = holding.note ?? holding.price?.note;
+    return { ...holding, priceXrp: price, valueXrp, liquidity, ...(note ? { note } : {}) };
+  });
+  const totalXrp = sum(rows.filter((row) => row.valueXrp !== null).map((row) => row.valueXrp));
+  const quoteValue = (value) => (value === null || quotePerXrp === null ? null : toDecimalString(mul(value, quotePerXrp)));
+
+  const assets = rows
+    .map((row) => ({
+      asset: assetKey(row.asset),
+      currency: row.asset.currency ?? "XRP",
+      issuer: row.asset.issuer ?? null,
+      balance: toDecimalString(row.balance),
+      priceXrp: row.priceXrp === null ? null : toDecimalString(row.priceXrp),
+      valueXrp: row.valueXrp === null ? null : toDecimalString(row.valueXrp),
+      valueQuote: quoteValue(row.valueXrp),
+      weightPercent:
+        row.valueXrp === null || sign(totalXrp) <= 0
+          ? null
+          : toDecimalString(roundScale(mul(div(row.valueXrp, totalXrp), 100), WEIGHT_DIGITS)),
+      priceSource: row.price?.source ?? null,
+      liquid: row.liquidity === "full",
+      liquidity: row.liquidity,
+      ...(row.liquidity === "partial" ? { unvaluedBalance: toDecimalString(sub(row.balance, row.price.filled)) } : {}),
+      ...(row.note ? { note: row.note } : {})
+    }))
+    .sort((a, b) => {
+      if (a.valueXrp === null || b.valueXrp === null) {
+        return a.valueXrp === null ? (b.valueXrp === null ? 0 : 1) : -1;
+      }
+      return compare(b.valueXrp, a.valueXrp);
+    });
+
+  const illiquid = assets.filter((asset) => !asset.liquid);
+  const unpriced = illiquid.filter((asset) => asset.liquidity === "none");
+  return {
+    totalValueXrp: toDecimalString(totalXrp),
+    totalValueQuote: quoteValue(totalXrp),
+    assets,
+    illiquidAssets: illiquid.map((asset) => ({
+      asset: asset.asset,
+      balance: asset.balance,
+      liquidity: asset.liquidity,
+      ...(asset.unvaluedBalance ? { unvaluedBalance: asset.unvaluedBalance } : {}),
+      note: asset.note ?? "No liquid XRP market found."
+    })),
+    pricedCount: assets.length - unpriced.length,
+    unpricedCount: unpriced.length,
+    partiallyLiquidCount: illiquid.length - unpriced.length
+  };
+}
@@ -0,0 +1,122 @@
+// XRP reserve math from live network settings. An account must hold
+// reserve_base + OwnerCount * reserve_inc; each owned ledger object adds to OwnerCount.
+
+import { add, dropsToXrp, mul, sign, sub, toDecimalString, tryDecimal, ZERO } from "./amount.js";
+
+// Ledger index of the FeeSettings singleton.
+export const FEE_SETTINGS_INDEX = "4BC50C9B0D8515D3EAAE1E74B29A95804346C491EE1A95BF25E4AAB854A6A651";
+
+const LSF_LOW_RESERVE = 0x00010000;
+const LSF_HIGH_RESERVE = 0x00020000;
+const LSF_ONE_OWNER_COUNT = 0x00010000;
+
+function settings(baseXrp, incXrp, source) {
+  if (baseXrp === null || incXrp === null) {
+    return null;
+  }
+  return { baseXrp, incXrp, source };
+}
+
+const fromDrops = (value) => {
+  const drops = tryDecimal(value);
+  return drops === null ? null : dropsToXrp(drops);
+};
+
+// server_state reports reserves in drops.
+export function reservesFromServerState(result) {
+  const ledger = result?.state?.validated_ledger;
+  return settings(fromDrops(ledger?.reserve_base), fromDrops(ledger?.reserve_inc), "server_state");
+}
+
+// server_info reports reserves in XRP.
+export function reservesFromServerInfo(result) {
+  const ledger = result?.info?.validated_ledger;
+  return settings(tryDecimal(ledger?.reserve_base_xrp), tryDecimal(ledger?.reserve_inc_xrp), "server_info");
+}
+
+// FeeSettings uses ReserveBaseDrops/ReserveIncrementDrops since the XRPFees amendment.
+export function reservesFromFeeSettings(node) {
+  return settings(
+    fromDrops(node?.ReserveBaseDrops ?? node?.ReserveBase),
+    fromDrops(node?.ReserveIncrementDrops ?? node?.ReserveIncrement),
+    "ledger_entry"
+  );
+}
+
+// How many OwnerCount units one object adds for `account`.
+export function ownerCountUnits(object, account) {
+  const flags = Number(object?.Flags ?? 0);
+  switch (object?.LedgerEntryType) {
+    case "RippleState": {
+      // A trust line only costs reserve for the side(s) whose reserve flag is set.
+      const isLow = object.LowLimit?.issuer === account;
+      const isHigh = object.HighLimit?.issuer === account;
+      return (isLow && flags & LSF_LOW_RESERVE) || (isHigh && flags & LSF_HIGH_RESERVE) ? 1 : 0;
+    }
+    case "SignerList": {
+      // Lists created before MultiSignReserve cost 2 plus one per signer.
+      if (flags & LSF_ONE_OWNER_COUNT) {
+        return 1;
+      }
+      return 2 + (Array.isArray(object.SignerEntries) ? object.SignerEntries.length : 0);
+    }
+    case "Oracle":
+      return Array.isArray(object.PriceDataSeries) && object.PriceDataSeries.length > 5 ? 2 : 1;
+    case "Escrow":
+    case "Check":
+    case "PayChannel":
+      // These also sit in the Destination's directory but only count toward the sender's.
+      return object.Account === account ? 1 : 0;
+    case "DirectoryNode":
+    case "AMM":
+      return 0;
+    default:
+      return 1;
+  }
+}
+
+// `objects` may be a partial list; units it cannot explain are reported as unattributed.
+export function accountReserves({ account, balanceDrops, ownerCount, reserves, objects = null }) {
+  const balanceXrp = fromDrops(balanceDrops) ?? ZERO;
+  const ownerReserve = mul(reserves.incXrp, ownerCount);
+  const totalReserve = add(reserves.baseXrp, ownerReserve);
+  const spendable = sub(balanceXrp, totalReserve);
+
+  let byObjectType = null;
+  let unattributedOwnerCount = null;
+  if (Array.isArray(objects)) {
+    const groups = new Map();
+    let attributed = 0;
+    for (const object of objects) {
+      const type = object?.LedgerEntryType ?? "Unknown";
+      const units = ownerCountUnits(object, account);
+      const group = groups.get(type) ?? { objects: 0, ownerCount: 0 };
+      group.objects += 1;
+      group.ownerCount += units;
+      groups.set(type, group);
+      attributed += units;
+    }
+    byObjectType = [...groups.entries()]
+      .map(([type, group]) => ({
+        type,
+        objects: group.objects,
+        ownerCount: group.ownerCount,
+        reserveXrp: toDecimalString(mul(reserves.incXrp, group.ownerCount))
+      }))
+      .sort((a, b) => b.ownerCount - a.ownerCount || a.type.localeCompare(b.type));
+    unattributedOwnerCount = ownerCount - attributed;
+  }
+
+  return {
+    source: reserves.source,
+    baseReserveXrp: toDecimalString(reserves.baseXrp),
+    ownerReserveIncrementXrp: toDecimalString(reserves.incXrp),
+    ownerCount,
+    ownerReserveXrp: toDecimalString(ownerReserve),
+    totalReserveXrp: toDecimalString(totalReserve),
+    spendableXrp: toDecimalString(sign(spendable) < 0 ? ZERO : spendable),
+    belowReserve: sign(spendable) < 0,
+    byObjectType,
+    unattributedOwnerCount
+  };
+}
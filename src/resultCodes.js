@@ -0,0 +1,585 @@
+// Transaction result codes and failure diagnosis. The prefix decides what happened: tes applied,
+// tec failed but claimed the fee, and tef/tel/tem/ter were never applied. Meanings follow rippled's
+// TER descriptions. diagnoseFailure() turns a failed transaction plus the account state just
+// before it into likely causes.
+
+import { add, assetKey, compare, dropsToXrp, parseAmount, sign, sub, toDecimalString, tryDecimal, ZERO } from "./amount.js";
+import { displayCurrency } from "./currency.js";
+import { hasFlag } from "./flags.js";
+
+const RESULT_CATEGORIES = {
+  tes: {
+    name: "success",
+    applied: true,
+    feeCharged: true,
+    description: "Applied: the transaction's effects are in the ledger."
+  },
+  tec: {
+    name: "claimed_fee",
+    applied: true,
+    feeCharged: true,
+    description: "Failed but included in a ledger: the fee was burned and the sequence used, nothing else was done."
+  },
+  tef: {
+    name: "failure",
+    applied: false,
+    feeCharged: false,
+    description: "Failed before being applied; it cannot succeed as signed (for example an already used sequence)."
+  },
+  tel: {
+    name: "local_error",
+    applied: false,
+    feeCharged: false,
+    description: "Rejected by the server it was submitted to and not relayed; it may succeed later or elsewhere."
+  },
+  tem: {
+    name: "malformed",
+    applied: false,
+    feeCharged: false,
+    description: "Malformed: the transaction is invalid as written and can never succeed."
+  },
+  ter: {
+    name: "retry",
+    applied: false,
+    feeCharged: false,
+    description: "Not applied yet; the server may retry it when the blocking condition clears."
+  }
+};
+
+export const RESULT_CODES = {
+  tesSUCCESS: "The transaction was applied.",
+
+  tecAMM_ACCOUNT: "This operation is not allowed on an AMM account.",
+  tecAMM_BALANCE: "The AMM pool would be left with an invalid balance.",
+  tecAMM_EMPTY: "The AMM pool is empty; only a two-asset deposit (tfTwoAssetIfEmpty) can refill it.",
+  tecAMM_FAILED: "The AMM operation failed, for example the effective price or LP token limit could not be met.",
+  tecAMM_INVALID_TOKENS: "The LP token amount is invalid or too small for this pool.",
+  tecAMM_NOT_EMPTY: "The AMM pool is not empty.",
+  tecARRAY_EMPTY: "A required array is empty.",
+  tecARRAY_TOO_LARGE: "An array has too many entries.",
+  tecBAD_CREDENTIALS: "The credentials are missing, expired or not accepted.",
+  tecCANT_ACCEPT_OWN_NFTOKEN_OFFER: "An account cannot accept its own NFToken offer.",
+  tecCLAIM: "The fee was claimed but the transaction could not otherwise be applied.",
+  tecCRYPTOCONDITION_ERROR: "The crypto-condition or fulfillment is malformed or does not match.",
+  tecDIR_FULL: "The owner or offer directory is full.",
+  tecDST_TAG_NEEDED: "The destination requires a destination tag.",
+  tecDUPLICATE: "The ledger object already exists.",
+  tecEMPTY_DID: "The DID would have no URI, DIDDocument or Data.",
+  tecEXPIRED: "The object or offer's expiration time has passed.",
+  tecFAILED_PROCESSING: "The transaction failed to process correctly.",
+  tecFROZEN: "The asset is frozen.",
+  tecHAS_OBLIGATIONS: "The account cannot be deleted while it has obligations.",
+  tecINCOMPLETE: "Some work was done, but more submissions are needed to finish.",
+  tecINSUF_RESERVE_LINE: "Not enough XRP above the reserve to add a trust line.",
+  tecINSUF_RESERVE_OFFER: "Not enough XRP above the reserve to place an offer.",
+  tecINSUFF_FEE: "The account balance could not pay the full fee; all remaining XRP was taken as the fee.",
+  tecINSUFFICIENT_FUNDS: "Not enough funds to complete the transaction.",
+  tecINSUFFICIENT_PAYMENT: "The payment is not enough to cover the amount required.",
+  tecINSUFFICIENT_RESERVE: "Not enough XRP above the reserve for the new ledger object.",
+  tecINTERNAL: "An internal error occurred during processing.",
+  tecINVALID_UPDATE_TIME: "The oracle's LastUpdateTime is outside the accepted window.",
+  tecINVARIANT_FAILED: "Applying the transaction would break a ledger invariant.",
+  tecKILLED: "The offer could not be filled as required (FillOrKill or ImmediateOrCancel), so nothing was traded.",
+  tecLIMIT_EXCEEDED: "A limit was exceeded.",
+  tecLOCKED: "The funds are locked.",
+  tecMAX_SEQUENCE_REACHED: "The maximum sequence number was reached.",
+  tecNEED_MASTER_KEY: "The operation must be signed with the master key.",
+  tecNFTOKEN_BUY_SELL_MISMATCH: "The NFToken buy and sell offers do not match.",
+  tecNFTOKEN_OFFER_TYPE_MISMATCH: "The NFToken offer is of the wrong type (buy or sell).",
+  tecNO_ALTERNATIVE_KEY: "The change would leave the account with no way to sign.",
+  tecNO_AUTH: "The account is not authorized to hold the asset (the issuer requires authorization).",
+  tecNO_DST: "The destination account does not exist; send XRP to create it.",
+  tecNO_DST_INSUF_XRP: "The destination account does not exist and too little XRP was sent to create it.",
+  tecNO_ENTRY: "The referenced ledger entry does not exist.",
+  tecNO_ISSUER: "The issuer account does not exist.",
+  tecNO_LINE: "The required trust line does not exist.",
+  tecNO_LINE_INSUF_RESERVE: "The trust line does not exist and there is not enough reserve to create it.",
+  tecNO_LINE_REDUNDANT: "Cannot set a non-existent trust line to its default state.",
+  tecNO_PERMISSION: "The account does not have permission for this operation.",
+  tecNO_REGULAR_KEY: "No regular key is set.",
+  tecNO_SUITABLE_NFTOKEN_PAGE: "No suitable NFToken page could be found or created.",
+  tecNO_TARGET: "The target account or object does not exist.",
+  tecOBJECT_NOT_FOUND: "A required ledger object was not found.",
+  tecOVERSIZE: "The object exceeds serialization limits.",
+  tecOWNERS: "The account still owns ledger objects.",
+  tecPATH_DRY: "No liquidity: the paths could not deliver any amount.",
+  tecPATH_PARTIAL: "The paths could not deliver the full amount.",
+  tecPRECISION_LOSS: "The amounts involved cannot interact without losing precision.",
+  tecPSEUDO_ACCOUNT: "This operation is not allowed on a pseudo-account.",
+  tecTOKEN_PAIR_NOT_FOUND: "The token pair is not in the oracle.",
+  tecTOO_SOON: "It is too early for this operation; wait and try again.",
+  tecUNFUNDED: "Not enough funds to complete the transaction.",
+  tecUNFUNDED_ADD: "Not enough XRP to add to the account.",
+  tecUNFUNDED_AMM: "Not enough balance to fund the AMM deposit or creation.",
+  tecUNFUNDED_OFFER: "The offer's owner does not hold any of what it is selling.",
+  tecUNFUNDED_PAYMENT: "Not enough XRP to send.",
+  tecWRONG_ASSET: "The wrong asset was given.",
+  tecXCHAIN_ACCOUNT_CREATE_PAST: "This account-create count has already been processed.",
+  tecXCHAIN_ACCOUNT_CREATE_TOO_MANY: "Too many pending cross-chain account creations.",
+  tecXCHAIN_BAD_CLAIM_ID: "The cross-chain claim ID is invalid.",
+  tecXCHAIN_BAD_PUBLIC_KEY_ACCOUNT_PAIR: "The public key does not belong to the attesting account.",
+  tecXCHAIN_BAD_TRANSFER_ISSUE: "The asset does not match the bridge.",
+  tecXCHAIN_CLAIM_NO_QUORUM: "The witnesses have not reached quorum on this claim.",
+  tecXCHAIN_CREATE_ACCOUNT_DISABLED: "This bridge does not support account creation.",
+  tecXCHAIN_CREATE_ACCOUNT_NONXRP_ISSUE: "Only XRP bridges can create accounts.",
+  tecXCHAIN_INSUFF_CREATE_AMOUNT: "The amount is too small to create an account.",
+  tecXCHAIN_NO_CLAIM_ID: "The cross-chain claim ID does not exist.",
+  tecXCHAIN_NO_SIGNERS_LIST: "The bridge door account has no signer list.",
+  tecXCHAIN_PAYMENT_FAILED: "The cross-chain transfer of funds failed.",
+  tecXCHAIN_PROOF_UNKNOWN_KEY: "The attestation key is not in the door account's signer list.",
+  tecXCHAIN_REWARD_MISMATCH: "The signature reward does not match the bridge's.",
+  tecXCHAIN_SELF_COMMIT: "An account cannot commit funds to itself.",
+  tecXCHAIN_SENDING_ACCOUNT_MISMATCH: "The sending account does not match the claim ID's expected source.",
+  tecXCHAIN_WRONG_CHAIN: "The cross-chain transaction was submitted to the wrong chain.",
+
+  tefALREADY: "The same transaction was already applied.",
+  tefBAD_ADD_AUTH: "Not authorized to add the account.",
+  tefBAD_AUTH: "The signing key is not authorized for this account.",
+  tefBAD_AUTH_MASTER: "The master key signature is required and incorrect.",
+  tefBAD_LEDGER: "The ledger is in an unexpected state.",
+  tefBAD_QUORUM: "The multi-signatures do not meet the signer list quorum.",
+  tefBAD_SIGNATURE: "A signature is from an account that is not in the signer list.",
+  tefCREATED: "The account already exists.",
+  tefEXCEPTION: "Unexpected program state.",
+  tefFAILURE: "The transaction failed to apply.",
+  tefINTERNAL: "Internal error.",
+  tefINVARIANT_FAILED: "Claiming the fee would break a ledger invariant.",
+  tefMASTER_DISABLED: "The master key is disabled for this account.",
+  tefMAX_LEDGER: "The LastLedgerSequence passed before the transaction was included.",
+  tefNFTOKEN_IS_NOT_TRANSFERABLE: "The NFToken is not transferable.",
+  tefNO_AUTH_REQUIRED: "The issuer does not require authorization.",
+  tefNO_TICKET: "The ticket does not exist (already used or never created).",
+  tefNOT_MULTI_SIGNING: "The account has no signer list for multi-signing.",
+  tefPAST_SEQ: "The sequence number has already been used.",
+  tefTOO_BIG: "The transaction affects too many ledger entries.",
+  tefWRONG_PRIOR: "AccountTxnID does not match the account's previous transaction.",
+
+  telBAD_DOMAIN: "The domain is too long.",
+  telBAD_PATH_COUNT: "The transaction has too many paths.",
+  telBAD_PUBLIC_KEY: "The public key is too long.",
+  telCAN_NOT_QUEUE: "The transaction could not be queued.",
+  telCAN_NOT_QUEUE_BALANCE: "Could not queue: the balance cannot pay all queued fees.",
+  telCAN_NOT_QUEUE_BLOCKED: "Could not queue: a blocking transaction is already queued.",
+  telCAN_NOT_QUEUE_BLOCKS: "Could not queue: it would block later queued transactions.",
+  telCAN_NOT_QUEUE_FEE: "Could not queue: the fee is too low to replace the queued transaction.",
+  telCAN_NOT_QUEUE_FULL: "Could not queue: the queue is full.",
+  telFAILED_PROCESSING: "The transaction failed to process correctly.",
+  telINSUF_FEE_P: "The fee is below the server's current load-based fee.",
+  telLOCAL_ERROR: "Local failure.",
+  telNETWORK_ID_MAKES_TX_NON_CANONICAL: "NetworkID must be omitted on this network.",
+  telNO_DST_PARTIAL: "A partial payment cannot create an account.",
+  telREQUIRES_NETWORK_ID: "This network requires a NetworkID field.",
+  telWRONG_NETWORK: "The NetworkID does not match this network.",
+
+  temARRAY_EMPTY: "Malformed: a required array is empty.",
+  temARRAY_TOO_LARGE: "Malformed: an array is too large.",
+  temBAD_AMM_TOKENS: "Malformed: invalid LP tokens.",
+  temBAD_AMOUNT: "Malformed: bad amount (for example zero or negative).",
+  temBAD_CURRENCY: "Malformed: bad currency code.",
+  temBAD_EXPIRATION: "Malformed: bad expiration.",
+  temBAD_FEE: "Malformed: the fee is negative or not XRP.",
+  temBAD_ISSUER: "Malformed: bad issuer.",
+  temBAD_LIMIT: "Malformed: trust line limits must be non-negative.",
+  temBAD_NFTOKEN_TRANSFER_FEE: "Malformed: the NFToken transfer fee is out of range.",
+  temBAD_OFFER: "Malformed: bad offer.",
+  temBAD_PATH: "Malformed: bad path.",
+  temBAD_PATH_LOOP: "Malformed: loop in path.",
+  temBAD_QUORUM: "Malformed: the signer quorum is unreachable.",
+  temBAD_REGKEY: "Malformed: the regular key cannot be the master key.",
+  temBAD_SEND_XRP_LIMIT: "Malformed: limit quality is not allowed for XRP-to-XRP payments.",
+  temBAD_SEND_XRP_MAX: "Malformed: SendMax is not allowed for XRP-to-XRP payments.",
+  temBAD_SEND_XRP_NO_DIRECT: "Malformed: NoDirectRipple is not allowed for XRP-to-XRP payments.",
+  temBAD_SEND_XRP_PARTIAL: "Malformed: partial payments are not allowed for XRP-to-XRP payments.",
+  temBAD_SEND_XRP_PATHS: "Malformed: paths are not allowed for XRP-to-XRP payments.",
+  temBAD_SEQUENCE: "Malformed: bad sequence.",
+  temBAD_SIGNATURE: "Malformed: bad signature.",
+  temBAD_SIGNER: "Malformed: bad signer list entry.",
+  temBAD_SRC_ACCOUNT: "Malformed: bad source account.",
+  temBAD_TICK_SIZE: "Malformed: tick size out of range.",
+  temBAD_TRANSFER_FEE: "Malformed: transfer fee out of range.",
+  temBAD_TRANSFER_RATE: "Malformed: the transfer rate must be between 1.0 and 2.0.",
+  temBAD_WEIGHT: "Malformed: bad signer weight.",
+  temCANNOT_PREAUTH_SELF: "Malformed: an account cannot preauthorize itself.",
+  temDISABLED: "The transaction needs an amendment that is not enabled.",
+  temDST_IS_SRC: "Malformed: the destination is the source.",
+  temDST_NEEDED: "Malformed: the destination is missing.",
+  temINVALID: "The transaction is invalid.",
+  temINVALID_ACCOUNT_ID: "Malformed: a field contains an invalid account ID.",
+  temINVALID_COUNT: "Malformed: a count field is out of range.",
+  temINVALID_FLAG: "The transaction sets an invalid flag.",
+  temMALFORMED: "Malformed transaction.",
+  temREDUNDANT: "The transaction would do nothing (for example sending to itself).",
+  temRIPPLE_EMPTY: "Malformed: empty path set.",
+  temSEQ_AND_TICKET: "Malformed: both a TicketSequence and a non-zero Sequence are set.",
+  temUNCERTAIN: "Internal: uncertain result.",
+  temUNKNOWN: "The transaction type is unknown.",
+  temXCHAIN_BAD_PROOF: "Malformed: bad cross-chain proof.",
+  temXCHAIN_BRIDGE_BAD_ISSUES: "Malformed: the bridge assets are invalid.",
+  temXCHAIN_BRIDGE_BAD_MIN_ACCOUNT_CREATE_AMOUNT: "Malformed: bad minimum account-create amount.",
+  temXCHAIN_BRIDGE_BAD_REWARD_AMOUNT: "Malformed: bad signature reward.",
+  temXCHAIN_BRIDGE_NONDOOR_OWNER: "Malformed: the bridge must be owned by a door account.",
+  temXCHAIN_EQUAL_DOOR_ACCOUNTS: "Malformed: both door accounts are the same.",
+  temXCHAIN_TOO_MANY_ATTESTATIONS: "Malformed: too many attestations.",
+
+  terADDRESS_COLLISION: "The pseudo-account address collides with an existing account.",
+  terFUNDS_SPENT: "Deprecated: the funds were already spent.",
+  terINSUF_FEE_B: "The account balance cannot pay the fee.",
+  terLAST: "Internal: last retry code.",
+  terNO_ACCOUNT: "The sending account does not exist.",
+  terNO_AMM: "No AMM exists for this asset pair.",
+  terNO_AUTH: "The account is not authorized to hold the asset.",
+  terNO_LINE: "The trust line does not exist.",
+  terNO_RIPPLE: "The path does not allow rippling (the issuer has not enabled DefaultRipple).",
+  terOWNERS: "The account still owns ledger objects.",
+  terPRE_SEQ: "The sequence number is ahead of the account's next sequence; an earlier transaction is missing.",
+  terPRE_TICKET: "The ticket is not in the ledger yet.",
+  terQUEUED: "Queued until the open-ledger fee drops.",
+  terRETRY: "Retry the transaction."
+};
+
+// Binary metadata stores TransactionResult as a number; only applied (tes/tec) results reach it.
+const APPLIED_RESULT_NUMBERS = {
+  0: "tesSUCCESS",
+  100: "tecCLAIM",
+  101: "tecPATH_PARTIAL",
+  102: "tecUNFUNDED_ADD",
+  103: "tecUNFUNDED_OFFER",
+  104: "tecUNFUNDED_PAYMENT",
+  105: "tecFAILED_PROCESSING",
+  121: "tecDIR_FULL",
+  122: "tecINSUF_RESERVE_LINE",
+  123: "tecINSUF_RESERVE_OFFER",
+  124: "tecNO_DST",
+  125: "tecNO_DST_INSUF_XRP",
+  126: "tecNO_LINE_INSUF_RESERVE",
+  127: "tecNO_LINE_REDUNDANT",
+  128: "tecPATH_DRY",
+  129: "tecUNFUNDED",
+  130: "tecNO_ALTERNATIVE_KEY",
+  131: "tecNO_REGULAR_KEY",
+  132: "tecOWNERS",
+  133: "tecNO_ISSUER",
+  134: "tecNO_AUTH",
+  135: "tecNO_LINE",
+  136: "tecINSUFF_FEE",
+  137: "tecFROZEN",
+  138: "tecNO_TARGET",
+  139: "tecNO_PERMISSION",
+  140: "tecNO_ENTRY",
+  141: "tecINSUFFICIENT_RESERVE",
+  142: "tecNEED_MASTER_KEY",
+  143: "tecDST_TAG_NEEDED",
+  144: "tecINTERNAL",
+  145: "tecOVERSIZE",
+  146: "tecCRYPTOCONDITION_ERROR",
+  147: "tecINVARIANT_FAILED",
+  148: "tecEXPIRED",
+  149: "tecDUPLICATE",
+  150: "tecKILLED",
+  151: "tecHAS_OBLIGATIONS",
+  152: "tecTOO_SOON",
+  153: "tecHOOK_REJECTED",
+  154: "tecMAX_SEQUENCE_REACHED",
+  155: "tecNO_SUITABLE_NFTOKEN_PAGE",
+  156: "tecNFTOKEN_BUY_SELL_MISMATCH",
+  157: "tecNFTOKEN_OFFER_TYPE_MISMATCH",
+  158: "tecCANT_ACCEPT_OWN_NFTOKEN_OFFER",
+  159: "tecINSUFFICIENT_FUNDS",
+  160: "tecOBJECT_NOT_FOUND",
+  161: "tecINSUFFICIENT_PAYMENT",
+  162: "tecUNFUNDED_AMM",
+  163: "tecAMM_BALANCE",
+  164: "tecAMM_FAILED",
+  165: "tecAMM_INVALID_TOKENS",
+  166: "tecAMM_EMPTY",
+  167: "tecAMM_NOT_EMPTY",
+  168: "tecAMM_ACCOUNT",
+  169: "tecINCOMPLETE",
+  170: "tecXCHAIN_BAD_TRANSFER_ISSUE",
+  171: "tecXCHAIN_NO_CLAIM_ID",
+  172: "tecXCHAIN_BAD_CLAIM_ID",
+  173: "tecXCHAIN_CLAIM_NO_QUORUM",
+  174: "tecXCHAIN_PROOF_UNKNOWN_KEY",
+  175: "tecXCHAIN_CREATE_ACCOUNT_NONXRP_ISSUE",
+  176: "tecXCHAIN_WRONG_CHAIN",
+  177: "tecXCHAIN_REWARD_MISMATCH",
+  178: "tecXCHAIN_NO_SIGNERS_LIST",
+  179: "tecXCHAIN_SENDING_ACCOUNT_MISMATCH",
+  180: "tecXCHAIN_INSUFF_CREATE_AMOUNT",
+  181: "tecXCHAIN_ACCOUNT_CREATE_PAST",
+  182: "tecXCHAIN_ACCOUNT_CREATE_TOO_MANY",
+  183: "tecXCHAIN_PAYMENT_FAILED",
+  184: "tecXCHAIN_SELF_COMMIT",
+  185: "tecXCHAIN_BAD_PUBLIC_KEY_ACCOUNT_PAIR",
+  186: "tecXCHAIN_CREATE_ACCOUNT_DISABLED",
+  187: "tecEMPTY_DID",
+  188: "tecINVALID_UPDATE_TIME",
+  189: "tecTOKEN_PAIR_NOT_FOUND",
+  190: "tecARRAY_EMPTY",
+  191: "tecARRAY_TOO_LARGE",
+  192: "tecLOCKED",
+  193: "tecBAD_CREDENTIALS",
+  194: "tecWRONG_ASSET",
+  195: "tecLIMIT_EXCEEDED",
+  196: "tecPSEUDO_ACCOUNT",
+  197: "tecPRECISION_LOSS"
+};
+
+// Numeric TransactionResult -> its code name; unknown numbers stay numbers.
+export function resultCodeFromNumber(number) {
+  return Object.hasOwn(APPLIED_RESULT_NUMBERS, number) ? APPLIED_RESULT_NUMBERS[number] : number;
+}
+
+// { code, category, known, success, applied, feeCharged, finality, meaning, categoryDescription }.
+// Results of applied (tes/tec) transactions are final only once validated; tel/ter may still
+// succeed on a later attempt, tef/tem never will.
+export function describeResult(code, { validated = false } = {}) {
+  const text = typeof code === "string" ? code : "";
+  const prefix = text.slice(0, 3);
+  const category = Object.hasOwn(RESULT_CATEGORIES, prefix) ? RESULT_CATEGORIES[prefix] : null;
+  const known = Object.hasOwn(RESULT_CODES, text);
+  let finality = "unknown";
+  if (category?.applied) {
+    finality = validated ? "final" : "provisional";
+  } else if (prefix === "tef" || prefix === "tem") {
+    finality = "final";
+  } else if (prefix === "tel" || prefix === "ter") {
+    finality = "retryable";
+  }
+  return {
+    code: text || null,
+    category: category?.name ?? "unknown",
+    known,
+    success: prefix === "tes",
+    applied: category?.applied ?? null,
+    feeCharged: category?.feeCharged ?? null,
+    finality,
+    meaning: known ? RESULT_CODES[text] : category ? "Unrecognized code in this class." : "Unrecognized result code.",
+    categoryDescription: category?.description ?? null
+  };
+}
+
+// Failure codes grouped by what they point at.
+const FUNDS_CODES = new Set([
+  "tecUNFUNDED",
+  "tecUNFUNDED_PAYMENT",
+  "tecUNFUNDED_OFFER",
+  "tecUNFUNDED_AMM",
+  "tecINSUFFICIENT_FUNDS",
+  "tecPATH_DRY",
+  "tecPATH_PARTIAL",
+  "tecINSUFF_FEE",
+  "terINSUF_FEE_B"
+]);
+const RESERVE_CODES = new Set([
+  "tecINSUFFICIENT_RESERVE",
+  "tecINSUF_RESERVE_LINE",
+  "tecINSUF_RESERVE_OFFER",
+  "tecNO_LINE_INSUF_RESERVE",
+  "tecNO_DST_INSUF_XRP"
+]);
+const LINE_CODES = new Set(["tecNO_LINE", "terNO_LINE", "tecNO_AUTH", "terNO_AUTH", "tecPATH_DRY", "tecPATH_PARTIAL"]);
+const FREEZE_CODES = new Set(["tecFROZEN", ...FUNDS_CODES]);
+const DESTINATION_CODES = new Set(["tecNO_DST", "tecNO_DST_INSUF_XRP", "tecNO_TARGET", "tecPATH_DRY"]);
+
+// Types whose Amount (or SendMax/TakerGets) leaves the sender's balance.
+const SPENDING_TYPES = new Set([
+  "Payment",
+  "OfferCreate",
+  "EscrowCreate",
+  "PaymentChannelCreate",
+  "PaymentChannelFund",
+  "AMMCreate",
+  "AMMDeposit",
+  "XChainCommit",
+  "XChainAccountCreateCommit"
+]);
+
+// Code-only explanations used when account state adds nothing more specific.
+const CODE_HINTS = {
+  tecKILLED: ["offer_not_filled", "The FillOrKill or ImmediateOrCancel offer could not trade as required at its price."],
+  tecEXPIRED: ["expired", "The offer or object had already expired when the transaction was applied."],
+  tecNO_ENTRY: ["object_not_found", "The referenced object does not exist; it may have been used, cancelled or never created."],
+  tecOBJECT_NOT_FOUND: ["object_not_found", "The referenced object does not exist; it may have been used, cancelled or never created."],
+  tecPATH_DRY: ["no_liquidity", "No path or order book could deliver any of the amount."],
+  tecPATH_PARTIAL: ["insufficient_liquidity", "Liquidity could not deliver the full amount; tfPartialPayment would accept less."],
+  tecTOO_SOON: ["too_soon", "A time condition such as FinishAfter had not passed yet."],
+  tefMAX_LEDGER: ["last_ledger_passed", "The LastLedgerSequence passed before the transaction got in; resubmit with a later one."],
+  tefPAST_SEQ: ["sequence_used", "The sequence number was already used by another transaction from this account."],
+  terPRE_SEQ: ["sequence_gap", "An earlier sequence number from this account has not been applied yet."],
+  telINSUF_FEE_P: ["fee_too_low", "The fee was below the server's load-based fee at submission time."],
+  temDISABLED: ["amendment_disabled", "The transaction type or field depends on an amendment that is not enabled on this network."]
+};
+
+function label(parsed) {
+  if (!parsed) {
+    return "the asset";
+  }
+  const key = assetKey(parsed.asset);
+  if (key === "XRP" || parsed.asset.mpt_issuance_id) {
+    return key;
+  }
+  return `${displayCurrency(parsed.asset.currency) ?? parsed.asset.currency} issued by ${parsed.asset.issuer}`;
+}
+
+// What the transaction spends from the sender, and what a Payment delivers to its destination.
+export function failureAssets(tx) {
+  const type = tx?.TransactionType;
+  const spend = SPENDING_TYPES.has(type) ? parseAmount(tx.SendMax ?? tx.DeliverMax ?? tx.Amount ?? tx.TakerGets) : null;
+  const receive = type === "Payment" ? parseAmount(tx.DeliverMax ?? tx.Amount) : null;
+  return { spend, receive };
+}
+
+// `state` holds what the caller could fetch as of the ledger before the transaction; any part may
+// be missing: { sender: { exists, accountData, reserves }, destination: { exists, accountData },
+// issuers: { [address]: accountData | null }, senderLine, destinationLine, baseReserveXrp }.
+// Lines are account_lines entries seen from the sender/destination, null when absent and
+// undefined when not checked. Returns [{ cause, detail }], most specific first.
+export function diagnoseFailure({ tx, result, state = {} }) {
+  const code = typeof result === "string" ? result : "";
+  if (!code || code === "tesSUCCESS") {
+    return [];
+  }
+  const causes = [];
+  const note = (cause, detail) => {
+    if (!causes.some((entry) => entry.cause === cause && entry.detail === detail)) {
+      causes.push({ cause, detail });
+    }
+  };
+  const { spend, receive } = failureAssets(tx);
+  const sender = state.sender ?? null;
+  const destination = state.destination ?? null;
+  const reserves = sender?.reserves ?? null;
+
+  // XRP: spendable balance after the reserve.
+  if (FUNDS_CODES.has(code) && spend && assetKey(spend.asset) === "XRP" && reserves) {
+    const fee = tryDecimal(tx.Fee);
+    const needed = fee === null ? spend.value : add(spend.value, dropsToXrp(fee));
+    if (compare(tryDecimal(reserves.spendableXrp), needed) < 0) {
+      note(
+        "insufficient_xrp",
+        `${tx.Account} could spend only ${reserves.spendableXrp} XRP (reserve ${reserves.totalReserveXrp} XRP locked) ` +
+          `but needed ${toDecimalString(needed)} XRP including the fee.`
+      );
+    }
+  }
+
+  if (RESERVE_CODES.has(code) && code !== "tecNO_DST_INSUF_XRP") {
+    if (reserves) {
+      const nextReserve = add(tryDecimal(reserves.totalReserveXrp), tryDecimal(reserves.ownerReserveIncrementXrp));
+      const drops = tryDecimal(sender?.accountData?.Balance);
+      const held = drops === null ? "an unknown amount of" : toDecimalString(dropsToXrp(drops));
+      note(
+        "insufficient_reserve",
+        `${tx.Account} held ${held} XRP with an owner count of ${reserves.ownerCount}; ` +
+          `one more owned object needs a total reserve of ${toDecimalString(nextReserve)} XRP.`
+      );
+    } else {
+      note("insufficient_reserve", `${tx.Account} did not hold enough XRP to cover the reserve for one more owned object.`);
+    }
+  }
+
+  // Issued assets the sender spends.
+  if (spend && spend.asset.issuer && spend.asset.issuer !== tx.Account && (FUNDS_CODES.has(code) || LINE_CODES.has(code))) {
+    const line = state.senderLine;
+    if (line === null) {
+      note("missing_trust_line", `${tx.Account} has no trust line for ${label(spend)}, so it held none to spend.`);
+    } else if (line) {
+      const balance = tryDecimal(line.balance);
+      if (balance !== null && compare(balance, spend.value) < 0) {
+        note(
+          "insufficient_balance",
+          `${tx.Account} held ${line.balance} of ${label(spend)} but tried to spend up to ${toDecimalString(spend.value)}.`
+        );
+      }
+    }
+  }
+
+  // Issued assets a payment delivers.
+  if (receive && receive.asset.issuer && receive.asset.issuer !== tx.Destination && LINE_CODES.has(code)) {
+    const line = state.destinationLine;
+    if (line === null) {
+      note("missing_trust_line", `${tx.Destination} has no trust line for ${label(receive)}, so it cannot receive it.`);
+    } else if (line) {
+      const room = sub(tryDecimal(line.limit) ?? ZERO, tryDecimal(line.balance) ?? ZERO);
+      if (compare(room, receive.value) < 0) {
+        note(
+          "trust_line_limit",
+          `${tx.Destination}'s trust line for ${label(receive)} had room for only ${toDecimalString(sign(room) < 0 ? ZERO : room)} ` +
+            `(limit ${line.limit}, balance ${line.balance}).`
+        );
+      }
+    }
+  }
+
+  // Issuer settings and freezes.
+  for (const [side, parsed, holder, line] of [
+    ["sender", spend, tx.Account, state.senderLine],
+    ["destination", receive, tx.Destination, state.destinationLine]
+  ]) {
+    const issuer = parsed?.asset.issuer;
+    if (!issuer || issuer === holder) {
+      continue;
+    }
+    const issuerData = state.issuers?.[issuer] ?? null;
+    const requiresAuth = issuerData && hasFlag("AccountRoot", issuerData.Flags, "lsfRequireAuth");
+    const unauthorized = line === null || (line && !line.peer_authorized);
+    if (requiresAuth && unauthorized && (LINE_CODES.has(code) || FUNDS_CODES.has(code))) {
+      note(
+        "issuer_requires_auth",
+        `${issuer} requires authorization (RequireAuth) and had not authorized ${holder}'s trust line for ${label(parsed)}.`
+      );
+    }
+    if (issuerData && hasFlag("AccountRoot", issuerData.Flags, "lsfGlobalFreeze") && FREEZE_CODES.has(code)) {
+      note("global_freeze", `${issuer} has a global freeze on everything it issues, including ${label(parsed)}.`);
+    }
+    // `line` is the holder's own account_lines entry: `freeze`/`deep_freeze` there are the holder's
+    // flags on its peer, which never block the holder, so only the issuer's `*_peer` flags count.
+    if (line && (line.freeze_peer || line.deep_freeze_peer) && FREEZE_CODES.has(code)) {
+      note(
+        "frozen_trust_line",
+        `The ${side}'s trust line for ${label(parsed)} is ${line.deep_freeze_peer ? "deep-frozen" : "frozen"} by its issuer.`
+      );
+    }
+  }
+
+  // Destination account checks.
+  if (tx.Destination && destination) {
+    if (destination.exists === false && DESTINATION_CODES.has(code)) {
+      const base = state.baseReserveXrp ?? null;
+      note(
+        "destination_missing",
+        `${tx.Destination} does not exist; only an XRP payment of at least the base reserve${base ? ` (${base} XRP)` : ""} can create it.`
+      );
+    }
+    const flags = destination.accountData?.Flags;
+    if (code === "tecDST_TAG_NEEDED" && hasFlag("AccountRoot", flags, "lsfRequireDestTag") && tx.DestinationTag === undefined) {
+      note("destination_tag_required", `${tx.Destination} requires a destination tag and none was given.`);
+    }
+    if (code === "tecNO_PERMISSION") {
+      if (hasFlag("AccountRoot", flags, "lsfDepositAuth")) {
+        note("deposit_auth", `${tx.Destination} has DepositAuth enabled and had not preauthorized ${tx.Account}.`);
+      }
+      const incoming = {
+        CheckCreate: "lsfDisallowIncomingCheck",
+        PaymentChannelCreate: "lsfDisallowIncomingPayChan",
+        NFTokenCreateOffer: "lsfDisallowIncomingNFTokenOffer"
+      }[tx.TransactionType];
+      if (incoming && hasFlag("AccountRoot", flags, incoming)) {
+        note("incoming_disallowed", `${tx.Destination} blocks incoming ${tx.TransactionType} objects (${incoming}).`);
+      }
+    }
+  }
+  if (code === "tecNO_PERMISSION" && tx.TransactionType === "TrustSet") {
+    const issuerData = state.issuers?.[tx.LimitAmount?.issuer] ?? null;
+    if (issuerData && hasFlag("AccountRoot", issuerData.Flags, "lsfDisallowIncomingTrustline")) {
+      note("incoming_disallowed", `${tx.LimitAmount.issuer} blocks incoming trust lines (lsfDisallowIncomingTrustline).`);
+    }
+  }
+
+  if (causes.length === 0 && Object.hasOwn(CODE_HINTS, code)) {
+    const [cause, detail] = CODE_HINTS[code];
+    note(cause, detail);
+  }
+  return causes;
+}
@@ -0,0 +1,110 @@
+// Ripple-epoch times. rippled reports instants as seconds since 2000-01-01T00:00:00Z; this module
+// converts them and adds `<field>_iso` (ISO 8601 UTC) and `<field>_relative` ("expires in 3d")
+// next to every known Ripple-epoch field, the way rippled itself pairs close_time with close_time_iso.
+
+export const RIPPLE_EPOCH_OFFSET_SECONDS = 946684800;
+
+// Instant fields and how their relative hint reads before/after the moment. `date` is only
+// treated as Ripple time on transaction objects (those with TransactionType); other sources such
+// as LOS use `date` for Unix or ISO times.
+const INSTANT_FIELDS = {
+  date: { future: "in", past: "ago" },
+  close_time: { future: "in", past: "ago" },
+  parent_close_time: { future: "in", past: "ago" },
+  Expiration: { future: "expires in", past: "expired", pastSuffix: "ago" },
+  CancelAfter: { future: "cancellable in", past: "cancellable since", pastSuffix: "ago" },
+  FinishAfter: { future: "finishable in", past: "finishable since", pastSuffix: "ago" }
+};
+
+// Durations in seconds (not instants) get a `<field>_duration` hint only.
+const DURATION_FIELDS = new Set(["SettleDelay"]);
+
+const DURATION_UNITS = [
+  ["d", 86400],
+  ["h", 3600],
+  ["m", 60],
+  ["s", 1]
+];
+
+export function rippleTimeToMs(seconds) {
+  return Number.isFinite(seconds) ? (seconds + RIPPLE_EPOCH_OFFSET_SECONDS) * 1000 : null;
+}
+
+export function rippleTimeToIso(seconds) {
+  const ms = rippleTimeToMs(seconds);
+  return ms === null ? null : new Date(ms).toISOString();
+}
+
+export function msToRippleTime(ms) {
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) - RIPPLE_EPOCH_OFFSET_SECONDS : null;
+}
+
+// Seconds -> the two largest units ("3d 4h", "45m", "0s"), rounded at the smaller one so that
+// 1d 23h 59m reads as "2d".
+export function formatDuration(seconds) {
+  const total = Math.round(Math.abs(seconds));
+  const first = DURATION_UNITS.findIndex(([, size]) => total >= size);
+  if (first === -1) {
+    return "0s";
+  }
+  const step = DURATION_UNITS[Math.min(first + 1, DURATION_UNITS.length - 1)][1];
+  let rest = Math.round(total / step) * step;
+  const parts = [];
+  for (const [unit, size] of DURATION_UNITS) {
+    const count = Math.floor(rest / size);
+    rest -= count * size;
+    if (count > 0) {
+      parts.push(`${count}${unit}`);
+    }
+  }
+  return parts.join(" ");
+}
+
+// "expires in 3d 4h" / "expired 2h ago" for one instant field relative to `nowMs`.
+export function relativeTimeHint(field, seconds, nowMs = Date.now()) {
+  const phrasing = Object.hasOwn(INSTANT_FIELDS, field) ? INSTANT_FIELDS[field] : INSTANT_FIELDS.date;
+  const ms = rippleTimeToMs(seconds);
+  if (ms === null) {
+    return null;
+  }
+  const span = formatDuration((ms - nowMs) / 1000);
+  if (ms >= nowMs) {
+    return `${phrasing.future} ${span}`;
+  }
+  return phrasing.past === "ago" ? `${span} ago` : `${phrasing.past} ${span} ${phrasing.pastSuffix}`;
+}
+
+// Deep copy of `value` with ISO and relative fields added next to each known Ripple-epoch field.
+// Existing keys (such as rippled's own close_time_iso) are never overwritten; `skipKeys` subtrees
+// are copied unchanged.
+export function withRippleTimes(value, { skipKeys = [], nowMs = Date.now() } = {}) {
+  const skip = new Set(skipKeys);
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      return node.map(visit);
+    }
+    if (!node || typeof node !== "object" || Object.getPrototypeOf(node) !== Object.prototype) {
+      return node;
+    }
+    const out = {};
+    for (const [key, child] of Object.entries(node)) {
+      out[key] = skip.has(key) ? child : visit(child);
+      if (!Number.isInteger(child) || child < 0) {
+        continue;
+      }
+      const addField = (name, text) => {
+        if (!Object.hasOwn(node, name) && !Object.hasOwn(out, name)) {
+          out[name] = text;
+        }
+      };
+      if (Object.hasOwn(INSTANT_FIELDS, key) && (key !== "date" || typeof node.TransactionType === "string")) {
+        addField(`${key}_iso`, rippleTimeToIso(child));
+        addField(`${key}_relative`, relativeTimeHint(key, child, nowMs));
+      } else if (DURATION_FIELDS.has(key)) {
+        addField(`${key}_duration`, formatDuration(child));
+      }
+    }
+    return out;
+  };
+  return visit(value);
+}
@@ -0,0 +1,208 @@
+// Pool of rippled/Clio JSON-RPC endpoints. Each endpoint is probed with server_info so
+// requests can be routed to a node that holds the requested ledger history, and Clio-only
+// methods reach Clio nodes. Requests fail over to the next candidate on errors.
+
+export const CLIO_ONLY_METHODS = new Set(["nft_info", "nft_history", "nfts_by_issuer"]);
+
+const SYNCED_SERVER_STATES = new Set(["full", "proposing", "validating"]);
+
+// rippled reports these as `result.error` on HTTP 200; another node may well succeed.
+const FAILOVER_RPC_ERRORS = new Set([
+  "tooBusy",
+  "slowDown",
+  "noNetwork",
+  "noCurrent",
+  "noClosed",
+  "notSynced",
+  "lgrNotFound",
+  "amendmentBlocked"
+]);
+
+// "32570-5000000,5000002-90000000" -> [[32570, 5000000], [5000002, 90000000]]
+export function parseCompleteLedgers(value) {
+  if (typeof value !== "string" || !value || value === "empty") {
+    return [];
+  }
+  const ranges = [];
+  for (const part of value.split(",")) {
+    const [start, end] = part.trim().split("-").map((n) => Number.parseInt(n, 10));
+    if (Number.isFinite(start)) {
+      ranges.push([start, Number.isFinite(end) ? end : start]);
+    }
+  }
+  return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+function ledgerNumber(value) {
+  if (typeof value === "number" && Number.isInteger(value) && value > 0) {
+    return value;
+  }
+  if (typeof value === "string" && /^[0-9]+$/.test(value)) {
+    return Number(value);
+  }
+  return null;
+}
+
+// Ledger range a request needs, or null when it targets validated/current data only.
+// `max: null` means "up to the latest validated ledger".
+export function requiredLedgerRange(method, params) {
+  const p = Array.isArray(params) && params[0] && typeof params[0] === "object" ? params[0] : {};
+  const index = ledgerNumber(p.ledger_index);
+  if (index !== null) {
+    return { min: index, max: index };
+  }
+  const min = ledgerNumber(p.ledger_index_min) ?? ledgerNumber(p.min_ledger);
+  const max = ledgerNumber(p.ledger_index_max) ?? ledgerNumber(p.max_ledger);
+  if (min !== null || max !== null) {
+    return { min: min ?? 1, max };
+  }
+  // account_tx/nft_history without bounds walk the whole history the node has.
+  if (method === "account_tx" || method === "nft_history") {
+    return { min: 1, max: null };
+  }
+  return null;
+}
+
+function coversRange(ranges, { min, max }) {
+  if (!ranges.length) {
+    return false;
+  }
+  const latest = ranges[ranges.length - 1][1];
+  const upper = max ?? latest;
+  return ranges.some(([start, end]) => start <= min && upper <= end);
+}
+
+function historySize(ranges) {
+  return ranges.reduce((sum, [start, end]) => sum + (end - start + 1), 0);
+}
+
+function rpcResult(body) {
+  return body && typeof body === "object" && body.result && typeof body.result === "object" ? body.result : body;
+}
+
+function shouldFailOver(body) {
+  const result = rpcResult(body);
+  if (!result || typeof result !== "object" || result.status !== "error") {
+    return false;
+  }
+  if (FAILOVER_RPC_ERRORS.has(result.error)) {
+    return true;
+  }
+  // The tx may be in history this node never stored.
+  return result.error === "txnNotFound" && result.searched_all !== true;
+}
+
+export function createRpcPool({ urls, probe, send, probeIntervalMs }) {
+  const endpoints = urls.map((url) => ({
+    url,
+    isClio: false,
+    serverState: null,
+    completeLedgers: [],
+    probeOk: null,
+    lastProbeAt: null,
+    lastError: null
+  }));
+  let probeInFlight = null;
+  let lastProbeStartedAt = 0;
+
+  async function probeEndpoint(endpoint) {
+    try {
+      const info = rpcResult(await probe(endpoint.url))?.info ?? {};
+      endpoint.isClio = Boolean(info.clio_version);
+      endpoint.serverState = info.server_state ?? (endpoint.isClio ? "clio" : null);
+      endpoint.completeLedgers = parseCompleteLedgers(info.complete_ledgers);
+      endpoint.probeOk = true;
+    } catch (error) {
+      endpoint.probeOk = false;
+      endpoint.lastError = error instanceof Error ? error.message : String(error);
+    } finally {
+      endpoint.lastProbeAt = new Date().toISOString();
+    }
+  }
+
+  // Probe all endpoints at most once per interval; concurrent callers share one probe round.
+  async function refresh({ force = false } = {}) {
+    if (probeInFlight) {
+      return probeInFlight;
+    }
+    if (!force && Date.now() - lastProbeStartedAt < probeIntervalMs) {
+      return undefined;
+    }
+    lastProbeStartedAt = Date.now();
+    probeInFlight = Promise.allSettled(endpoints.map(probeEndpoint)).finally(() => {
+      probeInFlight = null;
+    });
+    return probeInFlight;
+  }
+
+  function candidatesFor(method, params) {
+    let eligible = endpoints;
+    if (CLIO_ONLY_METHODS.has(method) && endpoints.some((e) => e.isClio)) {
+      eligible = endpoints.filter((e) => e.isClio);
+    }
+    const range = requiredLedgerRange(method, params);
+    const score = (e) => {
+      let s = 0;
+      if (e.probeOk !== false) {
+        s += 4;
+      }
+      if (range && coversRange(e.completeLedgers, range)) {
+        s += 8;
+      }
+      if (e.isClio || SYNCED_SERVER_STATES.has(e.serverState)) {
+        s += 2;
+      }
+      return s;
+    };
+    // Stable sort keeps configuration order among equally scored nodes; for history queries
+    // the node with the deepest history wins ties.
+    return [...eligible].sort((a, b) => {
+      const diff = score(b) - score(a);
+      if (diff !== 0 || !range) {
+        return diff;
+      }
+      return historySize(b.completeLedgers) - historySize(a.completeLedgers);
+    });
+  }
+
+  async function request(method, params, id) {
+    if (endpoints.length > 1) {
+      await refresh();
+    }
+    const candidates = candidatesFor(method, params);
+    const failures = [];
+    for (let i = 0; i < candidates.length; i += 1) {
+      const endpoint = candidates[i];
+      const isLast = i === candidates.length - 1;
+      try {
+        const body = await send(endpoint.url, method, params, id);
+        if (!isLast && shouldFailOver(body)) {
+          failures.push(`${endpoint.url}: ${rpcResult(body).error}`);
+          continue;
+        }
+        return body;
+      } catch (error) {
+        endpoint.lastError = error instanceof Error ? error.message : String(error);
+        if (candidates.length === 1) {
+          throw error;
+        }
+        failures.push(`${endpoint.url}: ${endpoint.lastError}`);
+      }
+    }
+    throw new Error(`All ${candidates.length} XRPL RPC endpoints failed for ${method}: ${failures.join("; ")}`);
+  }
+
+  function snapshot() {
+    return endpoints.map((e) => ({
+      url: e.url,
+      isClio: e.isClio,
+      serverState: e.serverState,
+      completeLedgers: e.completeLedgers.map(([start, end]) => `${start}-${end}`).join(",") || null,
+      probeOk: e.probeOk,
+      lastProbeAt: e.lastProbeAt,
+      lastError: e.lastError
+    }));
+  }
+
+  return { request, refresh, snapshot, urls: endpoints.map((e) => e.url) };
+}
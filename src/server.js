@@ -1,25 +1,236 @@
 import { createServer } from "node:http";
 import { randomUUID } from "node:crypto";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
+import WebSocket from "ws";
+import { createResponseCache, xrplCacheTtl } from "./cache.js";
+import { callWithResilience, createCircuitBreaker, isIdempotentRpcMethod } from "./upstream.js";
+import { createRpcPool } from "./rpcPool.js";
+import { createSubscriptionManager, SUBSCRIBABLE_STREAMS } from "./subscriptions.js";
+import { collectPages, paginationBudget } from "./pagination.js";
+import {
+  abs,
+  add,
+  assetKey,
+  compare,
+  dropsToXrp,
+  parseAmount,
+  toDecimalString,
+  tryDecimal,
+  ZERO
+} from "./amount.js";
+import { isValidClassicAddress, normalizeAddress } from "./addressCodec.js";
+import { extractBalanceChanges } from "./balanceChanges.js";
+import { currencyTo160Hex, decodeCurrency, withDisplayCurrencies } from "./currency.js";
+import { decodeFlags, hasFlag, withFlagNames } from "./flags.js";
+import { simulateSwap } from "./amm.js";
+import { buildIssuerProfile, decodeDomain, issuedCurrencies } from "./issuerProfile.js";
+import { createDomainVerifier, MAX_TOML_BYTES, TOML_PATH, tomlUrl } from "./domainVerification.js";
+import { holderDistribution, sameCurrency } from "./holders.js";
+import { choosePrice, lpTokenPriceXrp, sellValue, valuePortfolio } from "./portfolio.js";
+import { createExportStore, EXPORT_FORMATS, historyRowMarker, normalizeHistoryRow } from "./historyExport.js";
+import {
+  availableLedgerSpan,
+  createLedgerTimeResolver,
+  isAbsoluteTimeInput,
+  ledgerCloseTimeMs,
+  parseTimeInput,
+  parseTimeRange
+} from "./ledgerTime.js";
+import {
+  accountReserves,
+  FEE_SETTINGS_INDEX,
+  reservesFromFeeSettings,
+  reservesFromServerInfo,
+  reservesFromServerState
+} from "./reserves.js";
+import { filterPairTrades, parseWindowMs, renderTrade, summarizeTrades, tradeTimestampMs } from "./trades.js";
+import { alignDown, alignUp, buildCandles, ledgerTradeRows, MAX_CANDLES, parseCandleInterval } from "./candles.js";
+import { withRippleTimes } from "./rippleTime.js";
+import { explainTransaction } from "./txExplain.js";
+import { describeResult, diagnoseFailure, failureAssets } from "./resultCodes.js";
+import { BLOB_KINDS, decodeBlob, decodeTransactionRow } from "./binaryCodec.js";
+import { analyzeOrderBook, DEFAULT_DEPTH_PERCENTS, normalizeBookSide } from "./orderBook.js";
 
 const LOS_BASE_URL = process.env.LOS_BASE_URL ?? "https://los.prod.ripplex.io";
 const DATA_XRPL_BASE_URL = process.env.DATA_XRPL_BASE_URL ?? "https://data.xrpl.org";
-const XRPL_RPC_URL = process.env.XRPL_RPC_URL ?? "https://s1.ripple.com:51234";
+// XRPL_RPC_URL may list several comma-separated rippled/Clio endpoints (XRPL_RPC_URLS is an alias).
+const XRPL_RPC_URLS = String(process.env.XRPL_RPC_URLS ?? process.env.XRPL_RPC_URL ?? "https://s1.ripple.com:51234")
+  .split(",")
+  .map((url) => url.trim())
+  .filter(Boolean);
+const XRPL_RPC_PROBE_INTERVAL_MS = Number.parseInt(process.env.XRPL_RPC_PROBE_INTERVAL_MS ?? "60000", 10);
 const XRPLMETA_BASE_URL = process.env.XRPLMETA_BASE_URL ?? "https://s1.xrplmeta.org";
+const XRPL_WS_URL = process.env.XRPL_WS_URL ?? "wss://s1.ripple.com";
+// When set, xrp-ledger.toml lookups go to <base>/<domain>/.well-known/xrp-ledger.toml instead of https://<domain>.
+const TOML_FETCH_BASE_URL = process.env.TOML_FETCH_BASE_URL ?? "";
+const PASSTHROUGH_RIPPLE_TIMES = /^(1|true|yes)$/i.test(process.env.PASSTHROUGH_RIPPLE_TIMES ?? "");
+const SUBSCRIPTION_EVENT_BUFFER = Number.parseInt(process.env.SUBSCRIPTION_EVENT_BUFFER ?? "1000", 10);
+const EXPORT_DIR = process.env.EXPORT_DIR ?? path.join(tmpdir(), "xrpl-mcp-exports");
+const EXPORT_MAX_RESOURCE_BYTES = Number.parseInt(process.env.EXPORT_MAX_RESOURCE_BYTES ?? String(20 * 1024 * 1024), 10);
 const MCP_TRANSPORT = String(process.env.MCP_TRANSPORT ?? "http").toLowerCase();
 const MCP_HTTP_HOST = process.env.MCP_HTTP_HOST ?? process.env.HOST ?? "0.0.0.0";
 const MCP_HTTP_PORT = Number.parseInt(process.env.MCP_HTTP_PORT ?? process.env.PORT ?? "3000", 10);
 const MCP_HTTP_PATH = process.env.MCP_HTTP_PATH ?? "/mcp";
+const CACHE_MAX_ENTRIES = Number.parseInt(process.env.CACHE_MAX_ENTRIES ?? "1000", 10);
+const CACHE_MAX_BYTES = Number.parseInt(process.env.CACHE_MAX_BYTES ?? String(50 * 1024 * 1024), 10);
+const CACHE_LEDGER_TTL_MS = Number.parseInt(process.env.CACHE_LEDGER_TTL_MS ?? "4000", 10);
+const CACHE_SERVICE_TTL_MS = Number.parseInt(process.env.CACHE_SERVICE_TTL_MS ?? "30000", 10);
+const UPSTREAM_TIMEOUTS_MS = {
+  LOS: Number.parseInt(process.env.LOS_TIMEOUT_MS ?? "15000", 10),
+  VHS: Number.parseInt(process.env.VHS_TIMEOUT_MS ?? "15000", 10),
+  rippled: Number.parseInt(process.env.RIPPLED_TIMEOUT_MS ?? "20000", 10),
+  XRPLMeta: Number.parseInt(process.env.XRPLMETA_TIMEOUT_MS ?? "15000", 10),
+  http: Number.parseInt(process.env.HTTP_TIMEOUT_MS ?? "15000", 10)
+};
+const UPSTREAM_RETRY = {
+  maxRetries: Number.parseInt(process.env.UPSTREAM_MAX_RETRIES ?? "2", 10),
+  baseMs: Number.parseInt(process.env.UPSTREAM_RETRY_BASE_MS ?? "250", 10),
+  maxMs: Number.parseInt(process.env.UPSTREAM_RETRY_MAX_MS ?? "4000", 10)
+};
+const BREAKER_FAILURE_THRESHOLD = Number.parseInt(process.env.BREAKER_FAILURE_THRESHOLD ?? "5", 10);
+const BREAKER_RESET_MS = Number.parseInt(process.env.BREAKER_RESET_MS ?? "30000", 10);
+
+const server = new McpServer(
+  {
+    name: "xrpl-data-mcp",
+    version: "0.2.0"
+  },
+  {
+    // Logging notifications carry live subscription events to clients that opt in.
+    capabilities: { logging: {} }
+  }
+);
+
+const passthroughObject = z.object({}).passthrough();
 
-const server = new McpServer({
-  name: "xrpl-data-mcp",
-  version: "0.2.0"
+// Opt-in marker-following for list-style tools; budgets default to DEFAULT_PAGINATION_BUDGET.
+// Time arguments accepted by every tool that takes ledger_index_min/ledger_index_max: ISO 8601
+// timestamps, "now", or relative windows such as 1h, 7d, 30d.
+const timeRangeSchema = {
+  start_time: z.string().optional(),
+  end_time: z.string().optional(),
+  window: z.string().optional()
+};
+
+const paginationSchema = {
+  fetch_all: z.boolean().optional(),
+  max_items: z.number().int().positive().optional(),
+  max_pages: z.number().int().positive().max(1000).optional(),
+  max_bytes: z.number().int().positive().optional()
+};
+
+const responseCache = createResponseCache({
+  maxEntries: CACHE_MAX_ENTRIES,
+  maxBytes: CACHE_MAX_BYTES
 });
 
-const passthroughObject = z.object({}).passthrough();
+const circuitBreakers = new Map();
+
+function breakerFor(system) {
+  if (!circuitBreakers.has(system)) {
+    circuitBreakers.set(
+      system,
+      createCircuitBreaker(system, {
+        failureThreshold: BREAKER_FAILURE_THRESHOLD,
+        resetTimeoutMs: BREAKER_RESET_MS
+      })
+    );
+  }
+  return circuitBreakers.get(system);
+}
+
+// Breaker state for every known upstream, including ones not yet called this process.
+function upstreamHealthSnapshot() {
+  for (const system of ["LOS", "VHS", "XRPLMeta", ...XRPL_RPC_URLS.map(rippledBreakerKey)]) {
+    breakerFor(system);
+  }
+  return [...circuitBreakers.values()].map((breaker) => breaker.snapshot());
+}
+
+function rippledBreakerKey(url) {
+  return `rippled ${url}`;
+}
+
+// With several endpoints, fail over to the next node instead of retrying the same one.
+function postXrplRpc(url, method, params, id) {
+  return fetchUncached(
+    url,
+    {
+      method: "POST",
+      body: JSON.stringify({ method, params, id })
+    },
+    {
+      idempotent: isIdempotentRpcMethod(method),
+      breakerKey: rippledBreakerKey(url),
+      retry: XRPL_RPC_URLS.length > 1 ? { ...UPSTREAM_RETRY, maxRetries: 0 } : UPSTREAM_RETRY
+    }
+  );
+}
+
+const rpcPool = createRpcPool({
+  urls: XRPL_RPC_URLS,
+  probe: (url) => postXrplRpc(url, "server_info", [{}], "xrpl-mcp-probe"),
+  send: postXrplRpc,
+  probeIntervalMs: XRPL_RPC_PROBE_INTERVAL_MS
+});
+
+const subscriptions = createSubscriptionManager({
+  url: XRPL_WS_URL,
+  createSocket: (url) => new WebSocket(url),
+  maxEvents: SUBSCRIPTION_EVENT_BUFFER,
+  requestTimeoutMs: UPSTREAM_TIMEOUTS_MS.rippled,
+  onEvent: (event, matched) => {
+    if (!matched.some((sub) => sub.notify)) {
+      return;
+    }
+    server
+      .sendLoggingMessage({
+        level: "info",
+        logger: "xrpl-subscriptions",
+        data: {
+          seq: event.seq,
+          type: event.type,
+          subscriptionIds: matched.filter((sub) => sub.notify).map((sub) => sub.id),
+          summary: event.summary
+        }
+      })
+      .catch(() => {});
+  }
+});
+
+const exportStore = createExportStore({ directory: EXPORT_DIR, maxResourceBytes: EXPORT_MAX_RESOURCE_BYTES });
+const EXPORT_MIME_TYPES = { csv: "text/csv", jsonl: "application/x-ndjson" };
+
+// Resource-destination history exports are readable as xrpl-export://<export_id>.
+server.resource(
+  "account-history-export",
+  new ResourceTemplate("xrpl-export://{exportId}", {
+    list: async () => ({
+      resources: exportStore.listResources().map((record) => ({
+        uri: `xrpl-export://${record.id}`,
+        name: `${record.account} history (${record.format}, ${record.status})`,
+        mimeType: EXPORT_MIME_TYPES[record.format]
+      }))
+    })
+  }),
+  { description: "Account history exports written by export_account_history." },
+  async (uri, { exportId }) => {
+    const record = exportStore.read(String(exportId));
+    if (!record) {
+      throw new Error(`Unknown export ${exportId}.`);
+    }
+    return { contents: [{ uri: uri.href, mimeType: EXPORT_MIME_TYPES[record.format], text: record.text }] };
+  }
+);
+
+// Per-tool-call scope: carries the cache bypass flag and records cache hits for the envelope.
+const toolCallScope = new AsyncLocalStorage();
 
 // Normalize base URLs once so path joins don't produce double slashes.
 function normalizeBaseUrl(url) {
@@ -52,7 +263,72 @@ function urlWithPathAndQuery(baseUrl, path, query) {
   return url;
 }
 
+// Map an outbound URL to the upstream system label used in envelopes and cache stats.
+function upstreamSystem(url) {
+  const href = String(url);
+  if (href.startsWith(normalizeBaseUrl(LOS_BASE_URL))) {
+    return "LOS";
+  }
+  if (href.startsWith(normalizeBaseUrl(DATA_XRPL_BASE_URL))) {
+    return "VHS";
+  }
+  if (href.startsWith(normalizeBaseUrl(XRPLMETA_BASE_URL))) {
+    return "XRPLMeta";
+  }
+  if (XRPL_RPC_URLS.some((rpcUrl) => href.startsWith(normalizeBaseUrl(rpcUrl)))) {
+    return "rippled";
+  }
+  return "http";
+}
+
+// Serve from the response cache unless the current tool call asked to bypass it.
+// Fresh results are always written back so a bypassing call also refreshes the entry.
+async function withResponseCache(key, source, load, ttlFor) {
+  const scope = toolCallScope.getStore();
+  if (!scope?.bypassCache) {
+    const hit = responseCache.get(key);
+    if (hit) {
+      scope?.cacheHits.push({
+        ...source,
+        cachedAt: new Date(hit.storedAt).toISOString(),
+        pinned: hit.pinned
+      });
+      return hit.value;
+    }
+  }
+  const value = await load();
+  responseCache.set(key, value, ttlFor(value), source);
+  return value;
+}
+
 async function fetchWithParse(url, init = {}) {
+  const httpMethod = String(init.method ?? "GET").toUpperCase();
+  if (httpMethod !== "GET") {
+    return fetchUncached(url, init, { idempotent: false });
+  }
+  const href = String(url);
+  return withResponseCache(
+    `GET ${href}`,
+    { system: upstreamSystem(href), method: `GET ${new URL(href).pathname}` },
+    () => fetchUncached(url, init),
+    () => CACHE_SERVICE_TTL_MS
+  );
+}
+
+// Every outbound request goes through its system's timeout, retry policy and circuit breaker.
+// rippled endpoints pass their own breakerKey so one bad node does not trip the whole pool.
+async function fetchUncached(url, init = {}, { idempotent = true, breakerKey, retry = UPSTREAM_RETRY } = {}) {
+  const system = upstreamSystem(url);
+  return callWithResilience((signal) => fetchOnce(url, { ...init, signal }), {
+    system,
+    breaker: breakerFor(breakerKey ?? system),
+    timeoutMs: UPSTREAM_TIMEOUTS_MS[system] ?? UPSTREAM_TIMEOUTS_MS.http,
+    idempotent,
+    retry
+  });
+}
+
+async function fetchOnce(url, init = {}) {
   const response = await fetch(url, {
     ...init,
     headers: {
@@ -80,7 +356,9 @@ async function fetchWithParse(url, init = {}) {
       statusText: response.statusText,
       body
     };
-    throw new Error(`HTTP ${response.status} ${response.statusText}: ${JSON.stringify(detail)}`);
+    const error = new Error(`HTTP ${response.status} ${response.statusText}: ${JSON.stringify(detail)}`);
+    error.status = response.status;
+    throw error;
   }
 
   return body;
@@ -115,6 +393,70 @@ function nowIso() {
   return new Date().toISOString();
 }
 
+const ADDRESS_ARG_KEYS = ["account", "issuer", "peer", "taker", "amm_id"];
+const ADDRESS_LIST_ARG_KEYS = ["accounts", "accounts_proposed", "hot_wallets"];
+const ASSET_ARG_KEYS = ["base", "quote", "taker_gets", "taker_pays", "assetA", "assetB", "asset_in"];
+
+// Checksum-validate address arguments and rewrite X-addresses to classic addresses, so typos
+// fail here instead of upstream. Returns { args, notes } or throws with a per-argument message.
+function normalizeAddressArgs(args) {
+  const notes = [];
+  const normalize = (label, value) => {
+    let decoded;
+    try {
+      decoded = normalizeAddress(value);
+    } catch (error) {
+      throw new Error(`Invalid ${label}: ${error.message}`);
+    }
+    if (decoded.isXAddress) {
+      const tag = decoded.tag === null ? "no tag" : `tag ${decoded.tag}`;
+      notes.push(`${label} X-address ${value} decoded to ${decoded.classicAddress} (${tag}, ${decoded.network}net).`);
+    }
+    return decoded.classicAddress;
+  };
+  const out = { ...args };
+  for (const key of ADDRESS_ARG_KEYS) {
+    if (typeof out[key] === "string") {
+      out[key] = normalize(key, out[key]);
+    }
+  }
+  for (const key of ADDRESS_LIST_ARG_KEYS) {
+    if (Array.isArray(out[key])) {
+      out[key] = out[key].map((value, i) => normalize(`${key}[${i}]`, value));
+    }
+  }
+  for (const key of ASSET_ARG_KEYS) {
+    if (out[key] && typeof out[key] === "object" && typeof out[key].issuer === "string") {
+      out[key] = { ...out[key], issuer: normalize(`${key}.issuer`, out[key].issuer) };
+    }
+  }
+  return { args: out, notes };
+}
+
+// Register a tool whose handler runs inside its own call scope. Every tool accepts
+// `no_cache` to skip cached upstream responses; it is stripped before the handler sees args.
+// Address arguments are validated before the handler runs; X-address notes become warnings.
+function defineTool(name, description, schema, handler) {
+  server.tool(
+    name,
+    description,
+    {
+      ...schema,
+      no_cache: z.boolean().optional()
+    },
+    async ({ no_cache, ...rawArgs }, extra) => {
+      let normalized;
+      try {
+        normalized = normalizeAddressArgs(rawArgs);
+      } catch (error) {
+        return toolError(error);
+      }
+      const store = { bypassCache: Boolean(no_cache), cacheHits: [], notes: normalized.notes };
+      return toolCallScope.run(store, () => handler(normalized.args, extra));
+    }
+  );
+}
+
 function toNum(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : null;
@@ -144,15 +486,39 @@ function pickFirstNumber(value, keys) {
 }
 
 // Shared response envelope for agent-oriented tools to report provenance/freshness.
+// Upstream responses served from cache are appended to `sources` with their original fetch time.
+// Raw upstream payloads kept verbatim inside composite outputs; everything else gets displayCurrency.
+const RAW_PAYLOAD_KEYS = ["canonical", "losEnrichment"];
+// LOS payloads may use `date`/`Expiration` for Unix or ISO times, so Ripple-epoch fields are
+// only annotated outside them.
+const LOS_PAYLOAD_KEYS = ["losEnrichment", "losArtifacts"];
+
 function envelope({ data, sources = [], freshness = {}, warnings = [] }) {
+  const cacheHits = toolCallScope.getStore()?.cacheHits ?? [];
+  const oldestCachedAt = cacheHits.reduce(
+    (oldest, hit) => (oldest === null || hit.cachedAt < oldest ? hit.cachedAt : oldest),
+    null
+  );
   return {
-    data,
-    sources,
+    data: withRippleTimes(withDisplayCurrencies(data, { skipKeys: RAW_PAYLOAD_KEYS }), { skipKeys: LOS_PAYLOAD_KEYS }),
+    sources: [
+      ...sources,
+      ...cacheHits.map((hit) => ({
+        system: hit.system,
+        method: hit.method,
+        at: hit.cachedAt,
+        cache: hit.pinned ? "hit-pinned" : "hit"
+      }))
+    ],
     freshness: {
       asOfLedger: freshness.asOfLedger ?? null,
-      asOfTime: freshness.asOfTime ?? nowIso()
+      asOfTime: freshness.asOfTime ?? nowIso(),
+      cache: {
+        hits: cacheHits.length,
+        oldestCachedAt
+      }
     },
-    warnings
+    warnings: [...(toolCallScope.getStore()?.notes ?? []), ...warnings]
   };
 }
 
@@ -160,22 +526,6 @@ function toToolEnvelope(args) {
   return toolResult(envelope(args));
 }
 
-function currencyTo160Hex(currency) {
-  const raw = String(currency || "").trim();
-  if (/^[A-Fa-f0-9]{40}$/.test(raw)) {
-    return raw.toUpperCase();
-  }
-  if (/^[A-Za-z0-9]{3}$/.test(raw)) {
-    const hex = Buffer.from(raw.toUpperCase(), "ascii").toString("hex").toUpperCase();
-    return `${hex}${"0".repeat(34)}`;
-  }
-  const bytes = Buffer.from(raw, "utf8");
-  if (bytes.length > 20) {
-    return null;
-  }
-  return Buffer.concat([bytes, Buffer.alloc(20 - bytes.length)]).toString("hex").toUpperCase();
-}
-
 // Canonical LOS token key format: <160-bit-currency-hex>.<issuer>.
 function tokenIdFromIssuerCurrency(issuer, currency) {
   const currencyHex = currencyTo160Hex(currency);
@@ -195,12 +545,25 @@ function xrplResultEnvelope(payload) {
   return payload;
 }
 
+// Drops -> exact XRP decimal string ("12.000001"), or null when not an integer drops value.
 function parseXrpDrops(value) {
-  const drops = toNum(value);
+  const drops = tryDecimal(value);
   if (drops === null) {
     return null;
   }
-  return drops / 1_000_000;
+  try {
+    return toDecimalString(dropsToXrp(drops));
+  } catch {
+    return null;
+  }
+}
+
+// LOS rows carry amounts as plain numbers/strings or as XRPL Amount objects.
+function decimalFromLosValue(value) {
+  if (value && typeof value === "object") {
+    return parseAmount(value)?.value ?? null;
+  }
+  return tryDecimal(value);
 }
 
 function extractTokensFromTx(tx, meta) {
@@ -248,6 +611,468 @@ async function tryLos(path, query) {
   }
 }
 
+const TOML_MAX_REDIRECTS = 3;
+
+// Read a response body as UTF-8 text, cancelling the stream once it passes `maxBytes`.
+async function readCappedText(response, maxBytes) {
+  if (Number(response.headers.get("content-length")) > maxBytes) {
+    await response.body?.cancel();
+    throw new Error(`Response from ${response.url} exceeds ${maxBytes} bytes.`);
+  }
+  if (!response.body) {
+    return "";
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let bytes = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    bytes += value.length;
+    if (bytes > maxBytes) {
+      await reader.cancel();
+      throw new Error(`Response from ${response.url} exceeds ${maxBytes} bytes.`);
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// The TOML host comes from a ledger-supplied Domain, so redirects are only followed over https
+// on the same host, and the body is never buffered past MAX_TOML_BYTES.
+async function fetchTomlOnce(url, signal) {
+  const origin = new URL(url);
+  let target = origin;
+  for (let hop = 0; ; hop += 1) {
+    const response = await fetch(target, {
+      redirect: "manual",
+      signal,
+      headers: { Accept: "application/toml, text/plain;q=0.9, */*;q=0.8" }
+    });
+    if (response.status >= 300 && response.status < 400) {
+      await response.body?.cancel();
+      const location = response.headers.get("location");
+      const next = location ? new URL(location, target) : null;
+      if (!next || next.protocol !== "https:" || next.host !== origin.host || hop >= TOML_MAX_REDIRECTS) {
+        throw new Error(
+          `${target.href} redirects to ${next?.href ?? "nowhere"}; only up to ${TOML_MAX_REDIRECTS} https redirects on ${origin.host} are followed.`
+        );
+      }
+      target = next;
+      continue;
+    }
+    if (!response.ok) {
+      await response.body?.cancel();
+      const error = new Error(`HTTP ${response.status} ${response.statusText} from ${target.href}`);
+      error.status = response.status;
+      throw error;
+    }
+    return readCappedText(response, MAX_TOML_BYTES);
+  }
+}
+
+// xrp-ledger.toml bodies as text. All hosts share one breaker, so arbitrary ledger domains do not
+// grow the breaker table, and lookups are not retried.
+async function fetchTomlText(url) {
+  const href = String(url);
+  const { host } = new URL(href);
+  return withResponseCache(
+    `GET ${href}`,
+    { system: "http", method: `GET ${host}${TOML_PATH}` },
+    () =>
+      callWithResilience((signal) => fetchTomlOnce(href, signal), {
+        system: "http",
+        breaker: breakerFor("toml"),
+        timeoutMs: UPSTREAM_TIMEOUTS_MS.http,
+        idempotent: true,
+        retry: { ...UPSTREAM_RETRY, maxRetries: 0 }
+      }),
+    () => CACHE_SERVICE_TTL_MS
+  );
+}
+
+const domainVerifier = createDomainVerifier({
+  fetchText: fetchTomlText,
+  urlFor: TOML_FETCH_BASE_URL ? (domain) => `${normalizeBaseUrl(TOML_FETCH_BASE_URL)}/${domain}${TOML_PATH}` : tomlUrl
+});
+
+// Close times come from `ledger` lookups pinned to an index, which the response cache keeps
+// indefinitely, so repeated searches over the same span reuse most of their probes.
+const ledgerTimeResolver = createLedgerTimeResolver({
+  fetchLedgerSpan: async () => {
+    const info = xrplResultEnvelope(await xrplRpc("server_info", [{}]))?.info;
+    return availableLedgerSpan(info?.complete_ledgers, toNum(info?.validated_ledger?.seq));
+  },
+  fetchCloseTimeMs: async (index) => {
+    const raw = await xrplRpc("ledger", [{ ledger_index: index }]);
+    if (rpcErrorCode(raw)) {
+      throw new Error(`ledger ${index} lookup failed: ${rpcErrorCode(raw)}`);
+    }
+    return ledgerCloseTimeMs(xrplResultEnvelope(raw)?.ledger);
+  }
+});
+
+// A resolution strictly inside the available span is final; clamped ones expire with the
+// validated ledger.
+async function resolveLedgerForTime(timeMs, bound) {
+  return withResponseCache(
+    `ledger-time:${bound}:${timeMs}`,
+    { system: "rippled", method: "ledger (close time search)" },
+    () => ledgerTimeResolver.resolve(timeMs, bound),
+    (resolution) => (resolution.status === "resolved" && resolution.ledgerIndex < resolution.span.max ? Infinity : CACHE_LEDGER_TTL_MS)
+  );
+}
+
+// Parsed time range -> ledger bounds; a null side stays open. `empty` means no available ledger
+// falls inside the range (it ends before the earliest or starts after the latest), and callers
+// return no rows instead of querying.
+async function resolveLedgerRange(startMs, endMs) {
+  const [start, end] = await Promise.all([
+    startMs === null ? null : resolveLedgerForTime(startMs, "min"),
+    endMs === null ? null : resolveLedgerForTime(endMs, "max")
+  ]);
+  return {
+    start,
+    end,
+    ledger_index_min: start?.ledgerIndex ?? null,
+    ledger_index_max: end?.ledgerIndex ?? null,
+    empty: (start !== null && start.ledgerIndex === null) || (end !== null && end.ledgerIndex === null)
+  };
+}
+
+// start_time/end_time/window -> ledger_index_min/max for tools that page by ledger. A window
+// or start_time fills ledger_index_min; ledger_index_max is only set by an explicit end_time.
+async function applyTimeRange({ start_time, end_time, window, ...args }) {
+  if (start_time === undefined && end_time === undefined && window === undefined) {
+    return { args, timeRange: null };
+  }
+  const { startMs, endMs } = parseTimeRange({ start_time, end_time, window });
+  if (startMs !== null && args.ledger_index_min !== undefined) {
+    throw new Error("Pass either ledger_index_min or start_time/window, not both.");
+  }
+  if (end_time !== undefined && args.ledger_index_max !== undefined) {
+    throw new Error("Pass either ledger_index_max or end_time, not both.");
+  }
+  const timeRange = await resolveLedgerRange(startMs, end_time === undefined ? null : endMs);
+  return {
+    args: {
+      ...args,
+      ...(timeRange.start ? { ledger_index_min: timeRange.ledger_index_min } : {}),
+      ...(timeRange.end ? { ledger_index_max: timeRange.ledger_index_max } : {})
+    },
+    timeRange
+  };
+}
+
+function withTimeRange(payload, timeRange) {
+  return timeRange ? { ...payload, timeRange } : payload;
+}
+
+// rippled passthrough payloads keep their raw shape unless PASSTHROUGH_RIPPLE_TIMES is set.
+function withPassthroughTimes(payload) {
+  return PASSTHROUGH_RIPPLE_TIMES ? withRippleTimes(payload) : payload;
+}
+
+// Live reserve settings: server_state (drops) first, then server_info (XRP), then the
+// validated FeeSettings entry. Returns null when no source answers.
+async function fetchReserveSettings() {
+  const attempts = [
+    ["server_state", {}, reservesFromServerState],
+    ["server_info", {}, reservesFromServerInfo],
+    ["ledger_entry", { index: FEE_SETTINGS_INDEX, ledger_index: "validated" }, (result) => reservesFromFeeSettings(result?.node)]
+  ];
+  for (const [method, params, parse] of attempts) {
+    try {
+      const raw = await xrplRpc(method, [params]);
+      const reserves = rpcErrorCode(raw) ? null : parse(xrplResultEnvelope(raw));
+      if (reserves) {
+        return reserves;
+      }
+    } catch {
+      // Try the next source.
+    }
+  }
+  return null;
+}
+
+// `tx` fetched in binary mode and decoded locally, which roughly halves the response size. The
+// result has the API v1 JSON shape: transaction fields plus hash, date, ledger_index, inLedger,
+// validated and meta on one object. Falls back to the JSON form (with a warning) when the blob
+// does not decode.
+async function fetchTransaction(hash, warnings) {
+  const raw = await xrplRpc("tx", [{ transaction: hash, binary: true }]);
+  if (rpcErrorCode(raw)) {
+    return xrplResultEnvelope(raw);
+  }
+  try {
+    const { tx_json: tx, ...row } = decodeTransactionRow(xrplResultEnvelope(raw));
+    return { ...tx, ...row, ...(row.ledger_index === undefined ? {} : { inLedger: row.ledger_index }) };
+  } catch (error) {
+    warnings.push(`Could not decode the binary transaction (${error.message}); fetched it as JSON instead.`);
+    return xrplResultEnvelope(await xrplRpc("tx", [{ transaction: hash }]));
+  }
+}
+
+// Account state for diagnoseFailure(), read as of the ledger before the transaction; servers
+// without that history answer lgrNotFound and the current validated state is used instead.
+async function fetchFailureState(tx, txLedgerIndex) {
+  const warnings = [];
+  const methods = new Set();
+  let ledgerIndex = Number.isInteger(txLedgerIndex) && txLedgerIndex > 1 ? txLedgerIndex - 1 : "validated";
+  const call = async (method, params) => {
+    methods.add(method);
+    let raw = await xrplRpc(method, [{ ...params, ledger_index: ledgerIndex }]);
+    if (rpcErrorCode(raw) === "lgrNotFound" && ledgerIndex !== "validated") {
+      warnings.push(`Ledger ${ledgerIndex} is not available; the failure diagnosis uses the current validated state.`);
+      ledgerIndex = "validated";
+      raw = await xrplRpc(method, [{ ...params, ledger_index: ledgerIndex }]);
+    }
+    return raw;
+  };
+  const accountState = async (account) => {
+    try {
+      const raw = await call("account_info", { account });
+      const code = rpcErrorCode(raw);
+      if (code === "actNotFound") {
+        return { exists: false, accountData: null };
+      }
+      if (code) {
+        warnings.push(`account_info failed for ${account} (${code}).`);
+        return null;
+      }
+      return { exists: true, accountData: xrplResultEnvelope(raw)?.account_data ?? null };
+    } catch (error) {
+      warnings.push(`account_info failed for ${account} (${error.message}).`);
+      return null;
+    }
+  };
+  // null when the line does not exist, undefined when it could not be checked.
+  const trustLine = async (account, asset) => {
+    try {
+      const raw = await call("account_lines", { account, peer: asset.issuer });
+      const code = rpcErrorCode(raw);
+      if (code) {
+        warnings.push(`account_lines failed for ${account} (${code}).`);
+        return undefined;
+      }
+      const lines = xrplResultEnvelope(raw)?.lines ?? [];
+      return lines.find((line) => line.account === asset.issuer && sameCurrency(line.currency, asset.currency)) ?? null;
+    } catch (error) {
+      warnings.push(`account_lines failed for ${account} (${error.message}).`);
+      return undefined;
+    }
+  };
+
+  const { spend, receive } = failureAssets(tx);
+  const reserveSettings = await fetchReserveSettings();
+  const state = { issuers: {}, baseReserveXrp: reserveSettings ? toDecimalString(reserveSettings.baseXrp) : null };
+  state.sender = await accountState(tx.Account);
+  if (state.sender?.accountData && reserveSettings) {
+    state.sender.reserves = accountReserves({
+      account: tx.Account,
+      balanceDrops: state.sender.accountData.Balance,
+      ownerCount: state.sender.accountData.OwnerCount ?? 0,
+      reserves: reserveSettings
+    });
+  }
+  if (tx.Destination) {
+    state.destination = await accountState(tx.Destination);
+  }
+  if (spend?.asset.issuer && spend.asset.issuer !== tx.Account) {
+    state.senderLine = await trustLine(tx.Account, spend.asset);
+  }
+  if (receive?.asset.issuer && receive.asset.issuer !== tx.Destination && state.destination?.exists) {
+    state.destinationLine = await trustLine(tx.Destination, receive.asset);
+  }
+  const trustSetIssuer = tx.TransactionType === "TrustSet" ? tx.LimitAmount?.issuer : null;
+  for (const issuer of new Set([spend?.asset.issuer, receive?.asset.issuer, trustSetIssuer].filter(Boolean))) {
+    state.issuers[issuer] = (await accountState(issuer))?.accountData ?? null;
+  }
+  return { state, ledgerIndex, warnings, methods: [...methods], reserveSource: reserveSettings?.source ?? null };
+}
+
+// LOS token filter for a pair: the issued side (base first), or null for XRP/MPT-only pairs.
+function losPairTokenFilter(base, quote) {
+  for (const asset of [base, quote]) {
+    if (asset?.issuer && asset.currency && asset.currency !== "XRP") {
+      return tokenIdFromIssuerCurrency(asset.issuer, asset.currency);
+    }
+  }
+  return null;
+}
+
+// Recent DEX trades for one pair (optionally one AMM), newest first. LOS is asked for the pair's
+// token from the window's first ledger on; rows are then checked against both assets and the
+// window. Pages stop once a page reaches trades older than the window or the budget runs out.
+// `startMs`/`endMs` replace the window with an explicit [start, end) range.
+async function fetchPairTrades({ base, quote, window, startMs = null, endMs = null, size, maxPages, ammAccount = null }) {
+  const nowMs = Date.now();
+  const windowMs = startMs !== null ? nowMs - startMs : parseWindowMs(window);
+  const since = windowMs === null ? null : nowMs - windowMs;
+  const token = losPairTokenFilter(base, quote);
+  const warnings = [];
+  if (windowMs === null) {
+    warnings.push(`Unrecognized window "${window}"; expected forms like 15m, 1h, 24h, 7d. No time filter applied.`);
+  }
+  // The ledger bound is rounded down to the minute so calls within a minute share one search;
+  // the exact window is still applied to trade timestamps.
+  // A bound with no ledger in range (a start after the latest ledger, an end before the earliest)
+  // means there is nothing to fetch.
+  let outsideHistory = false;
+  let sinceLedger = null;
+  if (since !== null) {
+    try {
+      sinceLedger = (await resolveLedgerForTime(Math.floor(since / 60000) * 60000, "min")).ledgerIndex;
+      outsideHistory = sinceLedger === null;
+    } catch (error) {
+      warnings.push(`Could not resolve the window start to a ledger (${error.message}); trades are filtered by timestamp only.`);
+    }
+  }
+  let untilLedger = null;
+  if (endMs !== null) {
+    try {
+      untilLedger = (await resolveLedgerForTime(Math.ceil(endMs / 60000) * 60000, "max")).ledgerIndex;
+      outsideHistory = outsideHistory || untilLedger === null;
+    } catch (error) {
+      warnings.push(`Could not resolve the range end to a ledger (${error.message}); trades are filtered by timestamp only.`);
+    }
+  }
+  if (!token) {
+    warnings.push("Pair has no issued-token side to filter LOS by; trades are filtered locally only.");
+  }
+
+  // A failed LOS page reads as an empty last page; `failedPages` keeps that from passing as complete.
+  let failedPages = 0;
+  const collected = await collectPages({
+    budget: paginationBudget({ max_items: size, max_pages: maxPages }),
+    fetchPage: async (marker, { remainingItems }) => {
+      if (outsideHistory) {
+        return { transactions: [] };
+      }
+      const page = await tryLos("/transactions", {
+        transactionType: "dex-trade",
+        token: token ?? undefined,
+        ledger_index_min: sinceLedger ?? undefined,
+        ledger_index_max: untilLedger ?? undefined,
+        size: Math.min(remainingItems, 1000),
+        sort_field: "timestamp",
+        sort_order: "desc",
+        marker: marker ?? undefined
+      });
+      failedPages += page === null ? 1 : 0;
+      return page ?? { transactions: [] };
+    },
+    itemsOf: (page) => (Array.isArray(page?.transactions) ? page.transactions : []),
+    markerOf: (page) => {
+      const rows = Array.isArray(page?.transactions) ? page.transactions : [];
+      const oldest = rows.length ? tradeTimestampMs(rows[rows.length - 1]) : null;
+      return since !== null && oldest !== null && oldest < since ? null : losNextMarker(page);
+    }
+  });
+
+  const filtered = filterPairTrades(collected.items, { base, quote, windowMs, ammAccount, nowMs });
+  const { excluded } = filtered;
+  const trades = filtered.trades.filter((trade) => endMs === null || trade.at === null || Date.parse(trade.at) < endMs);
+  excluded.outsideWindow += filtered.trades.length - trades.length;
+  if (failedPages > 0) {
+    warnings.push(`${failedPages} LOS trade page(s) failed; trade history may be incomplete.`);
+  }
+  if (collected.items.length > 0 && excluded.otherPair === collected.items.length) {
+    warnings.push("No LOS rows could be matched to this pair; trade row shape may be unrecognized.");
+  }
+  if (excluded.undated > 0) {
+    warnings.push(`${excluded.undated} trade(s) without a timestamp excluded from the window.`);
+  }
+  if (!collected.pagination.complete && collected.pagination.stoppedBy) {
+    warnings.push(`Trade history stopped early (${collected.pagination.stoppedBy}); the window may not be fully covered.`);
+  }
+  return {
+    window,
+    since: since === null ? null : new Date(since).toISOString(),
+    sinceLedger,
+    trades,
+    excluded,
+    scanned: collected.items.length,
+    oldestScannedMs: collected.items.reduce((oldest, row) => {
+      const at = tradeTimestampMs(row);
+      return at !== null && (oldest === null || at < oldest) ? at : oldest;
+    }, null),
+    pagination: collected.pagination,
+    failedPages,
+    warnings
+  };
+}
+
+// Issuer whose account_tx sees every trade of the pair: its trust lines take part in each fill
+// and swap of its token. Null for XRP/MPT-only pairs.
+function pairLedgerAccount(base, quote) {
+  return [base, quote].find((asset) => asset?.issuer && asset.currency && asset.currency !== "XRP")?.issuer ?? null;
+}
+
+// Pair trades rebuilt from rippled metadata (offer fills and AMM swaps) over [startMs, endMs),
+// oldest first. `coveredToMs` is how far the scan got when the page budget ran out.
+async function fetchLedgerPairTrades({ base, quote, startMs, endMs, maxPages, pageLimit }) {
+  const account = pairLedgerAccount(base, quote);
+  let ammAccount = null;
+  try {
+    const ammRaw = await xrplRpc("amm_info", [{ asset: base, asset2: quote }]);
+    ammAccount = rpcErrorCode(ammRaw) ? null : xrplResultEnvelope(ammRaw)?.amm?.account ?? null;
+  } catch {
+    ammAccount = null;
+  }
+  const range = await resolveLedgerRange(startMs, endMs);
+  let lastSeenMs = null;
+  let scanned = 0;
+  const collected = await collectPages({
+    budget: paginationBudget({ max_pages: maxPages }),
+    // A range with no available ledgers has nothing to scan.
+    fetchPage: async (marker) => {
+      if (range.empty) {
+        return { result: { transactions: [] } };
+      }
+      return xrplRpc("account_tx", [
+        {
+          account,
+          ledger_index_min: range.ledger_index_min,
+          ledger_index_max: range.ledger_index_max,
+          forward: true,
+          limit: pageLimit,
+          ...(marker ? { marker } : {})
+        }
+      ]);
+    },
+    itemsOf: (page) =>
+      (xrplResultEnvelope(page)?.transactions ?? []).flatMap((row) => {
+        const tx = row?.tx_json ?? row?.tx ?? {};
+        const meta = row?.meta && typeof row.meta === "object" ? row.meta : row?.metaData ?? null;
+        const closeMs = ledgerCloseTimeMs({ close_time: tx.date, close_time_iso: row?.close_time_iso });
+        scanned += 1;
+        lastSeenMs = closeMs ?? lastSeenMs;
+        return ledgerTradeRows(tx, meta, { hash: row?.hash ?? tx.hash ?? null, timestampMs: closeMs, ammAccount, base, quote });
+      }),
+    markerOf: (page) => xrplResultEnvelope(page)?.marker ?? null,
+    stopReason: (page) => (rpcErrorCode(page) ? `error:${rpcErrorCode(page)}` : null)
+  });
+  if (collected.failedPage) {
+    throw new Error(`account_tx failed for ${account}: ${rpcErrorCode(collected.failedPage)}`);
+  }
+  // ledgerTradeRows only builds AMM rows for this pair's pool, so offer fills stay in.
+  const { trades } = filterPairTrades(collected.items, { base, quote });
+  const complete = collected.pagination.complete;
+  return {
+    account,
+    ammAccount,
+    ledgerRange: { min: range.ledger_index_min, max: range.ledger_index_max },
+    trades: trades.filter((trade) => trade.at !== null && Date.parse(trade.at) >= startMs && Date.parse(trade.at) < endMs),
+    scanned,
+    complete,
+    coveredToMs: complete ? endMs : lastSeenMs ?? startMs,
+    pagination: collected.pagination
+  };
+}
+
 // LOS ingestion freshness is probed across a few likely status endpoints.
 async function losFreshnessProbe() {
   const candidates = [
@@ -287,15 +1112,17 @@ async function losFreshnessProbe() {
 }
 
 async function xrplRpc(method, params = [], id = "xrpl-mcp") {
-  return fetchWithParse(XRPL_RPC_URL, {
-    method: "POST",
-    body: JSON.stringify({ method, params, id })
-  });
+  return withResponseCache(
+    `rpc:${method}:${JSON.stringify(params)}`,
+    { system: "rippled", method },
+    () => rpcPool.request(method, params, id),
+    (body) => xrplCacheTtl(method, params, body, { volatileTtlMs: CACHE_LEDGER_TTL_MS })
+  );
 }
 
 // Wrapper for plain HTTP GET tools where path/query are derived from validated args.
 function registerGetTool(name, description, schema, baseUrl, pathAndQueryBuilder) {
-  server.tool(name, description, schema, async (args) => {
+  defineTool(name, description, schema, async (args) => {
     try {
       const { path, query } = pathAndQueryBuilder(args);
       const url = urlWithPathAndQuery(baseUrl, path, query);
@@ -307,19 +1134,103 @@ function registerGetTool(name, description, schema, baseUrl, pathAndQueryBuilder
   });
 }
 
-// Wrapper for single-method XRPL JSON-RPC tools.
-function registerRpcTool(name, description, schema, method, paramsBuilder) {
-  server.tool(name, description, schema, async (args) => {
+// LOS list responses have used several shapes; take the first array-valued list key.
+function losListKey(payload) {
+  if (Array.isArray(payload)) {
+    return null;
+  }
+  return ["transactions", "results", "data"].find((key) => Array.isArray(payload?.[key])) ?? null;
+}
+
+function losNextMarker(payload) {
+  const marker = payload?.marker ?? payload?.next ?? null;
+  return marker === "" ? null : marker;
+}
+
+function rpcErrorCode(payload) {
+  const result = xrplResultEnvelope(payload);
+  return result?.status === "error" ? String(result.error ?? "error") : null;
+}
+
+function isPinnedLedgerSelector(params) {
+  return Boolean(params.ledger_hash) || /^[0-9]+$/.test(String(params.ledger_index ?? ""));
+}
+
+// Single-method XRPL list tool: one page by default, or with `fetch_all` follow `marker`
+// and merge `listKey` across pages. With `pinLedger`, later pages read the same ledger as page one.
+// With `timeArgs`, start_time/end_time/window are resolved to ledger_index_min/max first.
+function registerPaginatedRpcTool(
+  name,
+  description,
+  schema,
+  method,
+  listKey,
+  { pinLedger = false, timeArgs = false, decorate = (payload) => payload } = {}
+) {
+  defineTool(
+    name,
+    description,
+    { ...schema, ...(timeArgs ? timeRangeSchema : {}), ...paginationSchema },
+    async ({ fetch_all, max_items, max_pages, max_bytes, ...rawArgs }) => {
+      try {
+        const { args, timeRange } = timeArgs ? await applyTimeRange(rawArgs) : { args: rawArgs, timeRange: null };
+        if (timeRange?.empty) {
+          return toolResult(withTimeRange({ result: { [listKey]: [], status: "success" } }, timeRange));
+        }
+        if (!fetch_all) {
+          return toolResult(withPassthroughTimes(withTimeRange(decorate(await xrplRpc(method, [args]), args), timeRange)));
+        }
+        const collected = await collectPages({
+          budget: paginationBudget({ max_items, max_pages, max_bytes }),
+          fetchPage: (marker, { remainingItems, firstPage }) => {
+            const params = { ...args, limit: Math.min(args.limit ?? remainingItems, remainingItems) };
+            if (marker !== null) {
+              params.marker = marker;
+            }
+            if (pinLedger && firstPage && !isPinnedLedgerSelector(params)) {
+              params.ledger_index = xrplResultEnvelope(firstPage).ledger_index ?? params.ledger_index;
+            }
+            return xrplRpc(method, [params]);
+          },
+          itemsOf: (page) => xrplResultEnvelope(page)?.[listKey] ?? [],
+          markerOf: (page) => xrplResultEnvelope(page)?.marker ?? null,
+          stopReason: (page) => (rpcErrorCode(page) ? `error:${rpcErrorCode(page)}` : null)
+        });
+        if (collected.failedPage) {
+          return toolResult(withPassthroughTimes(withTimeRange(decorate(collected.failedPage, args), timeRange)));
+        }
+        const result = { ...xrplResultEnvelope(collected.firstPage), [listKey]: collected.items };
+        delete result.marker;
+        if (collected.marker !== null) {
+          result.marker = collected.marker;
+        }
+        return toolResult(
+          withPassthroughTimes(withTimeRange(decorate({ ...collected.firstPage, result, pagination: collected.pagination }, args), timeRange))
+        );
+      } catch (error) {
+        return toolError(error);
+      }
+    }
+  );
+}
+
+// Wrapper for single-method XRPL JSON-RPC tools (`timeArgs` as for registerPaginatedRpcTool).
+function registerRpcTool(name, description, schema, method, paramsBuilder, { timeArgs = false, decorate = (payload) => payload } = {}) {
+  defineTool(name, description, { ...schema, ...(timeArgs ? timeRangeSchema : {}) }, async (rawArgs) => {
     try {
+      const { args, timeRange } = timeArgs ? await applyTimeRange(rawArgs) : { args: rawArgs, timeRange: null };
+      if (timeRange?.empty) {
+        return toolResult(withTimeRange({ result: { status: "success" } }, timeRange));
+      }
       const data = await xrplRpc(method, [paramsBuilder(args)]);
-      return toolResult(data);
+      return toolResult(withPassthroughTimes(withTimeRange(decorate(data, args), timeRange)));
     } catch (error) {
       return toolError(error);
     }
   });
 }
 
-server.tool(
+defineTool(
   "los_get_token",
   "Get a single LOS token by tokenID (format: currencyHex.issuer).",
   {
@@ -336,7 +1247,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "los_batch_get_tokens",
   "Batch fetch LOS token objects. Requires tokenIds as an array of tokenID strings.",
   {
@@ -364,9 +1275,9 @@ registerGetTool(
   () => ({ path: "/trusted-tokens" })
 );
 
-registerGetTool(
+defineTool(
   "los_get_transactions",
-  "Query LOS token transactions with pagination and sorting.",
+  "Query LOS token transactions with pagination and sorting (fetch_all follows markers within a budget).",
   {
     token: z.string().optional(),
     transactionType: z.string().optional(),
@@ -376,10 +1287,47 @@ registerGetTool(
     sort_order: z.enum(["asc", "desc"]).optional(),
     marker: z.string().optional(),
     ledger_index_min: z.number().int().nonnegative().optional(),
-    ledger_index_max: z.number().int().nonnegative().optional()
+    ledger_index_max: z.number().int().nonnegative().optional(),
+    ...timeRangeSchema,
+    ...paginationSchema
   },
-  LOS_BASE_URL,
-  (args) => ({ path: "/transactions", query: args })
+  async ({ fetch_all, max_items, max_pages, max_bytes, ...rawArgs }) => {
+    try {
+      const { args, timeRange } = await applyTimeRange(rawArgs);
+      if (timeRange?.empty) {
+        return toolResult({ transactions: [], timeRange });
+      }
+      if (!fetch_all) {
+        const page = await callLos("/transactions", args);
+        return toolResult(timeRange && Array.isArray(page) ? { transactions: page, timeRange } : withTimeRange(page, timeRange));
+      }
+      let listKey = null;
+      const collected = await collectPages({
+        budget: paginationBudget({ max_items, max_pages, max_bytes }),
+        fetchPage: (marker, { remainingItems }) =>
+          callLos("/transactions", {
+            ...args,
+            size: Math.min(args.size ?? 1000, remainingItems, 1000),
+            marker: marker ?? args.marker
+          }),
+        itemsOf: (page) => {
+          listKey = listKey ?? losListKey(page);
+          return Array.isArray(page) ? page : page?.[listKey] ?? [];
+        },
+        markerOf: losNextMarker
+      });
+      const first = collected.firstPage;
+      if (Array.isArray(first)) {
+        return toolResult(withTimeRange({ transactions: collected.items, pagination: collected.pagination }, timeRange));
+      }
+      const merged = { ...first, [listKey ?? "transactions"]: collected.items };
+      delete merged.next;
+      merged.marker = collected.marker;
+      return toolResult(withTimeRange({ ...merged, pagination: collected.pagination }, timeRange));
+    } catch (error) {
+      return toolError(error);
+    }
+  }
 );
 
 registerGetTool(
@@ -540,10 +1488,11 @@ registerRpcTool(
     signer_lists: z.boolean().optional()
   },
   "account_info",
-  (args) => args
+  (args) => args,
+  { decorate: (payload) => withFlagNames(payload) }
 );
 
-registerRpcTool(
+registerPaginatedRpcTool(
   "xrpl_account_objects",
   "Get ledger objects owned by an account.",
   {
@@ -555,10 +1504,11 @@ registerRpcTool(
     marker: passthroughObject.optional()
   },
   "account_objects",
-  (args) => args
+  "account_objects",
+  { pinLedger: true, decorate: (payload, { account }) => withFlagNames(payload, { account }) }
 );
 
-registerRpcTool(
+registerPaginatedRpcTool(
   "xrpl_account_lines",
   "Get trust lines for an account.",
   {
@@ -569,10 +1519,12 @@ registerRpcTool(
     marker: passthroughObject.optional()
   },
   "account_lines",
-  (args) => args
+  "lines",
+  // Trust lines gain a readable displayCurrency next to their raw currency code.
+  { pinLedger: true, decorate: (payload) => withDisplayCurrencies(payload) }
 );
 
-registerRpcTool(
+registerPaginatedRpcTool(
   "xrpl_account_tx",
   "Get account transaction history.",
   {
@@ -585,7 +1537,8 @@ registerRpcTool(
     marker: passthroughObject.optional()
   },
   "account_tx",
-  (args) => args
+  "transactions",
+  { timeArgs: true }
 );
 
 registerRpcTool(
@@ -604,7 +1557,7 @@ registerRpcTool(
   (args) => args
 );
 
-registerRpcTool(
+registerPaginatedRpcTool(
   "xrpl_ledger_data",
   "Get raw ledger state data.",
   {
@@ -616,7 +1569,8 @@ registerRpcTool(
     type: z.string().optional()
   },
   "ledger_data",
-  (args) => args
+  "state",
+  { pinLedger: true, decorate: (payload) => withFlagNames(payload) }
 );
 
 registerRpcTool(
@@ -637,7 +1591,8 @@ registerRpcTool(
     ticket: passthroughObject.optional()
   },
   "ledger_entry",
-  (args) => args
+  (args) => args,
+  { decorate: (payload) => withFlagNames(payload) }
 );
 
 registerRpcTool(
@@ -665,7 +1620,8 @@ registerRpcTool(
     marker: passthroughObject.optional()
   },
   "book_offers",
-  (args) => args
+  (args) => args,
+  { decorate: (payload) => withFlagNames(payload) }
 );
 
 registerRpcTool(
@@ -690,7 +1646,8 @@ registerRpcTool(
     ledger_index: z.union([z.string(), z.number()]).optional()
   },
   "nft_info",
-  (args) => args
+  (args) => args,
+  { decorate: (payload) => withFlagNames(payload) }
 );
 
 registerRpcTool(
@@ -704,10 +1661,11 @@ registerRpcTool(
     marker: passthroughObject.optional()
   },
   "nft_history",
-  (args) => args
+  (args) => args,
+  { timeArgs: true }
 );
 
-registerRpcTool(
+registerPaginatedRpcTool(
   "xrpl_nfts_by_issuer",
   "List NFTs issued by an account (Clio method).",
   {
@@ -717,7 +1675,8 @@ registerRpcTool(
     marker: passthroughObject.optional()
   },
   "nfts_by_issuer",
-  (args) => args
+  "nfts",
+  { pinLedger: true, decorate: (payload) => withFlagNames(payload) }
 );
 
 registerRpcTool(
@@ -736,7 +1695,7 @@ registerRpcTool(
   () => ({})
 );
 
-server.tool(
+defineTool(
   "xrpl_public_api_call",
   "Call any XRPL JSON-RPC public API method against rippled/Clio endpoint.",
   {
@@ -754,7 +1713,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "xrplmeta_get",
   "GET XRPLMeta public API path with optional query params.",
   {
@@ -775,7 +1734,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "network_overview",
   "Get network identity, health summary, key rates, and LOS freshness in one call.",
   {},
@@ -783,7 +1742,13 @@ server.tool(
     try {
       // Combine rippled health and LOS indexing lag so agents can reason about freshness.
       const warnings = [];
-      const serverInfoRaw = await xrplRpc("server_info", [{}]);
+      let serverInfoRaw = null;
+      try {
+        serverInfoRaw = await xrplRpc("server_info", [{}]);
+      } catch (error) {
+        // Keep reporting upstream health even when rippled itself is the degraded source.
+        warnings.push(`rippled server_info failed: ${error instanceof Error ? error.message : String(error)}`);
+      }
       const serverInfo = xrplResultEnvelope(serverInfoRaw)?.info ?? xrplResultEnvelope(serverInfoRaw);
       const validatedLedger = serverInfo?.validated_ledger ?? {};
       const validatedLedgerIndex =
@@ -798,6 +1763,12 @@ server.tool(
       if (losFreshness.latestIndexedLedger === null) {
         warnings.push("LOS ingestion watermark endpoint was not detected from known paths.");
       }
+      const upstreamHealth = upstreamHealthSnapshot();
+      for (const breaker of upstreamHealth) {
+        if (breaker.state !== "closed") {
+          warnings.push(`${breaker.system} is degraded (circuit ${breaker.state}).`);
+        }
+      }
 
       return toToolEnvelope({
         data: {
@@ -819,7 +1790,9 @@ server.tool(
           dataFreshness: {
             losLatestIndexedLedger: losFreshness.latestIndexedLedger,
             losSourcePath: losFreshness.sourcePath
-          }
+          },
+          upstreamHealth,
+          rpcEndpoints: rpcPool.snapshot()
         },
         sources: [
           { system: "rippled", method: "server_info", at: nowIso() },
@@ -837,7 +1810,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "ledger_summary",
   "Get canonical ledger facts plus optional LOS artifact hints.",
   {
@@ -887,6 +1860,12 @@ server.tool(
             ledger?.close_time_iso ??
             ledgerResult?.close_time_human ??
             null,
+          // Raw header times; the envelope adds *_iso and *_relative next to them.
+          header: {
+            close_time: toNum(ledger?.close_time),
+            parent_close_time: toNum(ledger?.parent_close_time),
+            close_time_resolution: toNum(ledger?.close_time_resolution)
+          },
           txCount: toNum(ledger?.txn_count) ?? toNum(ledgerResult?.txn_count),
           feeMetrics: {
             baseFeeXrp: parseXrpDrops(ledger?.base_fee),
@@ -912,7 +1891,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "tx_explain",
   "Get a normalized transaction explanation with classifications and related objects.",
   {
@@ -926,19 +1905,22 @@ server.tool(
       if (Array.isArray(losTx?.transactions) && losTx.transactions.length > 0) {
         losTx = losTx.transactions[0];
       }
-      const txRaw = await xrplRpc("tx", [{ transaction: tx_hash }]);
-      const txResult = xrplResultEnvelope(txRaw);
+      const txResult = await fetchTransaction(tx_hash, warnings);
       const tx = txResult?.tx_json ?? txResult;
       const meta = txResult?.meta ?? txResult?.metaData ?? null;
 
       const transactionType = tx?.TransactionType ?? null;
+      const balanceChanges = extractBalanceChanges(tx, meta);
+      const explained = explainTransaction(tx, meta, { balanceChanges });
       const classification = {
+        category: explained.category,
         isDexTrade:
           transactionType === "OfferCreate" ||
           transactionType === "AMMSwap" ||
           transactionType === "OfferCancel",
         isTransfer: transactionType === "Payment",
         isAmmRelated: String(transactionType || "").startsWith("AMM"),
+        isPartialPayment: explained.partialPayment !== null,
         tokensInvolved: extractTokensFromTx(tx, meta)
       };
 
@@ -949,9 +1931,6 @@ server.tool(
 
       const amountIn = tx?.SendMax ?? tx?.Amount ?? null;
       const amountOut = meta?.delivered_amount ?? tx?.DeliverMax ?? tx?.Amount ?? null;
-      const explanation = `${transactionType ?? "Transaction"} by ${parties.sender ?? "unknown"} ${
-        parties.destination ? `to ${parties.destination}` : ""
-      }`.trim();
 
       const affectedAccounts = new Set();
       const nodes = Array.isArray(meta?.AffectedNodes) ? meta.AffectedNodes : [];
@@ -976,6 +1955,28 @@ server.tool(
       if (!losTx) {
         warnings.push("LOS enriched transaction record not found; classification is rippled-derived.");
       }
+      const resultCode = meta?.TransactionResult ?? null;
+      const result = describeResult(resultCode, { validated: txResult?.validated === true });
+      const sources = [
+        { system: "LOS", method: "GET /transactions", at: nowIso() },
+        { system: "rippled", method: "tx", at: nowIso() }
+      ];
+      let diagnosis = null;
+      if (resultCode && !result.success) {
+        const failure = await fetchFailureState(tx, toNum(txResult?.ledger_index));
+        diagnosis = {
+          likelyCauses: diagnoseFailure({ tx, result: resultCode, state: failure.state }),
+          stateLedger: failure.ledgerIndex
+        };
+        warnings.push(`Transaction failed with ${resultCode}: ${result.meaning}`, ...failure.warnings);
+        for (const method of [...failure.methods, failure.reserveSource].filter(Boolean)) {
+          sources.push({ system: "rippled", method, at: nowIso() });
+        }
+      }
+      if (explained.partialPayment) {
+        const { delivered, requested } = explained.partialPayment;
+        warnings.push(`Partial payment: delivered ${delivered.value} ${delivered.asset}, less than the ${requested.value} in Amount.`);
+      }
 
       return toToolEnvelope({
         data: {
@@ -988,26 +1989,36 @@ server.tool(
             ...classification,
             losFlags: losTx?.flags ?? null
           },
+          outcome: {
+            ...result,
+            fee: {
+              xrp: balanceChanges.fee?.xrp ?? null,
+              charged: result.feeCharged
+            },
+            diagnosis
+          },
           humanExplanation: {
-            summary: explanation,
+            summary: explained.summary,
+            details: explained.details,
             amounts: {
               in: amountIn,
               out: amountOut
             },
-            parties
+            partialPayment: explained.partialPayment,
+            parties,
+            balanceChanges: balanceChanges.accounts,
+            feeBurned: balanceChanges.fee
           },
           relatedObjects: {
             affectedAccounts: [...affectedAccounts],
             tokens: classification.tokensInvolved,
             amm: losTx?.amm ?? null,
-            offers: losTx?.offers ?? null
+            offers: losTx?.offers ?? null,
+            offersAffected: balanceChanges.offers
           },
           losEnrichment: losTx
         },
-        sources: [
-          { system: "LOS", method: "GET /transactions", at: nowIso() },
-          { system: "rippled", method: "tx", at: nowIso() }
-        ],
+        sources,
         freshness: {
           asOfLedger: toNum(txResult?.ledger_index) ?? null,
           asOfTime: nowIso()
@@ -1020,7 +2031,37 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
+  "decode_blob",
+  "Decode a hex blob from binary-mode results (tx_blob, meta, ledger entry data, ledger header) into JSON locally.",
+  {
+    blob: z.string().min(2),
+    kind: z.enum(BLOB_KINDS).optional()
+  },
+  async ({ blob, kind }) => {
+    try {
+      const decoded = decodeBlob(blob, kind ?? "auto");
+      const warnings = decoded.unknownFields.length
+        ? [`Fields not in the local field table were decoded by type only: ${decoded.unknownFields.join(", ")}.`]
+        : [];
+      return toToolEnvelope({
+        data: {
+          kind: decoded.kind,
+          hash: decoded.hash,
+          decoded: decoded.json,
+          unknownFields: decoded.unknownFields
+        },
+        sources: [{ system: "local-codec", method: "decode", at: nowIso() }],
+        freshness: { asOfTime: nowIso() },
+        warnings
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
   "account_overview",
   "Get an account activity and state summary.",
   {
@@ -1033,6 +2074,7 @@ server.tool(
       const warnings = [];
       const txLimit = toNum(options?.tx_limit) ?? 100;
       const linesLimit = toNum(options?.lines_limit) ?? 400;
+      const objectsLimit = toNum(options?.objects_limit) ?? 2000;
 
       const infoRaw = await xrplRpc("account_info", [{ account, ledger_index: "validated" }]);
       const linesRaw = await xrplRpc("account_lines", [{ account, ledger_index: "validated", limit: linesLimit }]);
@@ -1044,14 +2086,18 @@ server.tool(
 
       const trustlineCount = Array.isArray(lines) ? lines.length : 0;
       const topTokensByAbsBalance = (Array.isArray(lines) ? lines : [])
-        .map((line) => ({
-          currency: line.currency,
-          issuer: line.account,
-          balance: Number(line.balance),
-          absBalance: Math.abs(Number(line.balance))
-        }))
-        .sort((a, b) => b.absBalance - a.absBalance)
-        .slice(0, 5);
+        .map((line) => {
+          const balance = tryDecimal(line.balance) ?? ZERO;
+          return {
+            currency: line.currency,
+            issuer: line.account,
+            balance: toDecimalString(balance),
+            absBalance: abs(balance)
+          };
+        })
+        .sort((a, b) => compare(b.absBalance, a.absBalance))
+        .slice(0, 5)
+        .map((line) => ({ ...line, absBalance: toDecimalString(line.absBalance) }));
 
       const txTypeHistogram = {};
       const counterparties = new Map();
@@ -1064,11 +2110,25 @@ server.tool(
           counterparties.set(cp, (counterparties.get(cp) || 0) + 1);
         }
       }
+      // account_tx without `forward` lists newest first.
+      const latestTx = txs.length ? txs[0].tx_json || txs[0].tx || null : null;
       const recentCounterparties = [...counterparties.entries()]
         .sort((a, b) => b[1] - a[1])
         .slice(0, 10)
         .map(([address, count]) => ({ address, interactions: count }));
 
+      const accountFlags = decodeFlags("AccountRoot", accountData.Flags);
+      const flagSet = (name) => hasFlag("AccountRoot", accountData.Flags, name);
+      // Trust-line settings from account_lines, seen from this account (self) and its peers.
+      const lineFlagCounts = { frozenByPeer: 0, frozenBySelf: 0, deepFrozen: 0, authorizedBySelf: 0, noRippleSelf: 0 };
+      for (const line of Array.isArray(lines) ? lines : []) {
+        lineFlagCounts.frozenByPeer += line.freeze_peer ? 1 : 0;
+        lineFlagCounts.frozenBySelf += line.freeze ? 1 : 0;
+        lineFlagCounts.deepFrozen += line.deep_freeze || line.deep_freeze_peer ? 1 : 0;
+        lineFlagCounts.authorizedBySelf += line.authorized ? 1 : 0;
+        lineFlagCounts.noRippleSelf += line.no_ripple ? 1 : 0;
+      }
+
       const riskIndicators = [];
       if (trustlineCount > 250) {
         riskIndicators.push("High trustline count may indicate hub/exchange behavior.");
@@ -1076,34 +2136,125 @@ server.tool(
       if (Number(accountData.OwnerCount || 0) > 1000) {
         riskIndicators.push("High owner count; reserve pressure likely high.");
       }
-      if (Number(accountData.Flags || 0) !== 0) {
-        riskIndicators.push("Account has non-zero flags; inspect issuer permissions.");
+      if (flagSet("lsfGlobalFreeze")) {
+        riskIndicators.push("lsfGlobalFreeze: every token this account issues is frozen.");
+      }
+      if (flagSet("lsfAllowTrustLineClawback")) {
+        riskIndicators.push("lsfAllowTrustLineClawback: the issuer can claw back tokens it issued.");
+      }
+      if (flagSet("lsfRequireAuth")) {
+        riskIndicators.push("lsfRequireAuth: holders need issuer authorization before they can hold its tokens.");
+      }
+      if (flagSet("lsfNoFreeze")) {
+        riskIndicators.push("lsfNoFreeze: the issuer has permanently given up the ability to freeze its tokens.");
+      }
+      if (flagSet("lsfDisableMaster")) {
+        riskIndicators.push(
+          accountData.RegularKey
+            ? "lsfDisableMaster: master key disabled; the account signs with its regular key or a signer list."
+            : "lsfDisableMaster with no RegularKey: unless a signer list exists, the account is blackholed."
+        );
+      }
+      if (flagSet("lsfDepositAuth")) {
+        riskIndicators.push("lsfDepositAuth: only preauthorized senders can pay this account.");
+      }
+      if (flagSet("lsfRequireDestTag")) {
+        riskIndicators.push("lsfRequireDestTag: payments must carry a destination tag (typical of exchanges/custodians).");
+      }
+      // A negative line balance means others hold tokens this account issued.
+      const issuesTokens = (Array.isArray(lines) ? lines : []).some(
+        (line) => compare(tryDecimal(line.balance) ?? ZERO, ZERO) < 0
+      );
+      if (issuesTokens && !flagSet("lsfDefaultRipple")) {
+        riskIndicators.push("Issuer without lsfDefaultRipple: its tokens may not ripple between holders.");
+      }
+      if (flagSet("lsfAMM")) {
+        riskIndicators.push("lsfAMM: this is an AMM pool account.");
+      }
+      if (accountFlags.unknownBits) {
+        riskIndicators.push(`Unrecognized account flag bits ${accountFlags.unknownBits}; check for newer amendments.`);
+      }
+      if (lineFlagCounts.frozenByPeer > 0) {
+        riskIndicators.push(`${lineFlagCounts.frozenByPeer} trust line(s) frozen by the counterparty.`);
+      }
+      if (lineFlagCounts.deepFrozen > 0) {
+        riskIndicators.push(`${lineFlagCounts.deepFrozen} trust line(s) deep-frozen.`);
+      }
+
+      // Owned objects from the same validated ledger, for the per-type reserve breakdown.
+      const objectPages = await collectPages({
+        budget: paginationBudget({ max_items: objectsLimit }),
+        fetchPage: (marker, { remainingItems, firstPage }) =>
+          xrplRpc("account_objects", [
+            {
+              account,
+              ledger_index: xrplResultEnvelope(firstPage ?? infoRaw)?.ledger_index ?? "validated",
+              limit: Math.min(remainingItems, 400),
+              ...(marker !== null ? { marker } : {})
+            }
+          ]),
+        itemsOf: (page) => xrplResultEnvelope(page)?.account_objects ?? [],
+        markerOf: (page) => xrplResultEnvelope(page)?.marker ?? null,
+        stopReason: (page) => (rpcErrorCode(page) ? `error:${rpcErrorCode(page)}` : null)
+      });
+      const ownedObjects = objectPages.failedPage ? null : objectPages.items;
+      if (!ownedObjects) {
+        warnings.push(`account_objects failed (${rpcErrorCode(objectPages.failedPage)}); reserve breakdown by object type unavailable.`);
+      } else if (!objectPages.pagination.complete) {
+        warnings.push(`Owned objects truncated at ${ownedObjects.length} (${objectPages.pagination.stoppedBy}); breakdown is partial.`);
       }
 
       const ownerCount = Number(accountData.OwnerCount || 0);
-      const reserveEstimateXrp = 1 + ownerCount * 0.2;
+      const reserveSettings = await fetchReserveSettings();
+      const reserves = reserveSettings
+        ? accountReserves({
+            account,
+            balanceDrops: accountData.Balance,
+            ownerCount,
+            reserves: reserveSettings,
+            objects: ownedObjects
+          })
+        : null;
+      if (!reserves) {
+        warnings.push("Live reserve settings unavailable from server_state, server_info or FeeSettings.");
+      } else if (reserves.belowReserve) {
+        riskIndicators.push("Balance is below the current reserve requirement; no XRP is spendable.");
+      }
 
       return toToolEnvelope({
         data: {
           account,
           xrpBalance: parseXrpDrops(accountData.Balance),
           ownerCount,
-          reserveEstimateXrp,
+          spendableXrp: reserves?.spendableXrp ?? null,
+          reserves,
           flags: accountData.Flags ?? 0,
+          flagNames: accountFlags.names,
           trustlines: {
             count: trustlineCount,
+            flagCounts: lineFlagCounts,
             topTokensByBalance: topTokensByAbsBalance
           },
           recentActivity: {
             txTypeHistogram,
-            recentCounterparties
+            recentCounterparties,
+            latestTransaction: latestTx
+              ? {
+                  hash: txs[0].hash ?? latestTx.hash ?? null,
+                  TransactionType: latestTx.TransactionType ?? null,
+                  date: latestTx.date ?? null,
+                  ledger_index: txs[0].ledger_index ?? latestTx.ledger_index ?? null
+                }
+              : null
           },
           riskIndicators
         },
         sources: [
           { system: "rippled", method: "account_info", at: nowIso() },
           { system: "rippled", method: "account_lines", at: nowIso() },
-          { system: "rippled", method: "account_tx", at: nowIso() }
+          { system: "rippled", method: "account_tx", at: nowIso() },
+          { system: "rippled", method: "account_objects", at: nowIso() },
+          { system: "rippled", method: reserveSettings?.source ?? "server_state", at: nowIso() }
         ],
         freshness: {
           asOfLedger: toNum(xrplResultEnvelope(infoRaw)?.ledger_current_index) ?? null,
@@ -1117,7 +2268,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "token_overview",
   "Get one consolidated issued-token overview.",
   {
@@ -1129,9 +2280,10 @@ server.tool(
     try {
       // Merge LOS token analytics with live book/AMM checks from rippled.
       const warnings = [];
-      const tokenID = tokenIdFromIssuerCurrency(issuer, currency);
+      const decodedCurrency = decodeCurrency(currency);
+      const tokenID = decodedCurrency.valid ? tokenIdFromIssuerCurrency(issuer, currency) : null;
       if (!tokenID) {
-        return toolError("Unable to normalize currency to XRPL 160-bit code.");
+        return toolError(decodedCurrency.error ?? "Unable to normalize currency to XRPL 160-bit code.");
       }
 
       const tokenMeta = await tryLos(`/tokens/${encodeURIComponent(tokenID)}`);
@@ -1200,7 +2352,618 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
+  "issuer_profile",
+  "Get an issuer due-diligence profile: blackhole status, transfer fee, freeze/clawback powers, domain, trusted listing and issued currencies, each finding with a severity.",
+  {
+    issuer: z.string().min(10),
+    options: passthroughObject.optional()
+  },
+  async ({ issuer, options }) => {
+    try {
+      // Combine the issuer's AccountRoot with its obligations and the LOS trusted list.
+      const warnings = [];
+      const infoRaw = await xrplRpc("account_info", [{ account: issuer, ledger_index: "validated", signer_lists: true }]);
+      if (rpcErrorCode(infoRaw)) {
+        return toolError(`account_info failed for ${issuer}: ${rpcErrorCode(infoRaw)}`);
+      }
+      const info = xrplResultEnvelope(infoRaw);
+      const accountData = info?.account_data ?? {};
+      const signerLists = info?.signer_lists ?? accountData.signer_lists ?? [];
+      const ledgerIndex = info?.ledger_index ?? "validated";
+
+      // Issued currencies: gateway_balances obligations, else negative account_lines balances.
+      let currencies = null;
+      let currencySource = "gateway_balances";
+      try {
+        const gatewayRaw = await xrplRpc("gateway_balances", [{ account: issuer, ledger_index: ledgerIndex, strict: true }]);
+        if (!rpcErrorCode(gatewayRaw)) {
+          currencies = issuedCurrencies(xrplResultEnvelope(gatewayRaw)?.obligations);
+        }
+      } catch {
+        currencies = null;
+      }
+      if (currencies === null) {
+        currencySource = "account_lines";
+        const linesLimit = toNum(options?.lines_limit) ?? 400;
+        const linesRaw = await xrplRpc("account_lines", [{ account: issuer, ledger_index: ledgerIndex, limit: linesLimit }]);
+        const lines = xrplResultEnvelope(linesRaw)?.lines ?? [];
+        const totals = new Map();
+        for (const line of Array.isArray(lines) ? lines : []) {
+          const balance = tryDecimal(line.balance) ?? ZERO;
+          if (compare(balance, ZERO) < 0) {
+            totals.set(line.currency, add(totals.get(line.currency) ?? ZERO, abs(balance)));
+          }
+        }
+        currencies = issuedCurrencies(
+          Object.fromEntries([...totals.entries()].map(([currency, total]) => [currency, toDecimalString(total)]))
+        );
+        warnings.push(
+          xrplResultEnvelope(linesRaw)?.marker
+            ? `gateway_balances unavailable; issued currencies derived from the first ${lines.length} trust lines only.`
+            : "gateway_balances unavailable; issued currencies derived from account_lines."
+        );
+      }
+
+      // Two-way check of the Domain claim unless the caller opts out.
+      const claimedDomain = decodeDomain(accountData.Domain);
+      const domainVerification =
+        claimedDomain && options?.verify_domain !== false
+          ? await domainVerifier.verifyAccountDomain({ account: issuer, domain: claimedDomain })
+          : null;
+
+      const trusted = await tryLos("/trusted-tokens");
+      const trustedTokens = Array.isArray(trusted?.tokens) ? trusted.tokens : Array.isArray(trusted) ? trusted : null;
+      if (trustedTokens === null) {
+        warnings.push("LOS trusted token list unavailable; trusted listing not checked.");
+      }
+
+      return toToolEnvelope({
+        data: buildIssuerProfile({ issuer, accountData, signerLists, currencies, trustedTokens, domainVerification }),
+        sources: [
+          { system: "rippled", method: "account_info", at: nowIso() },
+          { system: "rippled", method: currencySource, at: nowIso() },
+          { system: "LOS", method: "GET /trusted-tokens", at: nowIso() },
+          ...(domainVerification?.tomlUrl ? [{ system: "http", method: `GET ${domainVerification.tomlUrl}`, at: nowIso() }] : [])
+        ],
+        freshness: {
+          asOfLedger: toNum(info?.ledger_index) ?? null,
+          asOfTime: nowIso()
+        },
+        warnings
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
+  "token_distribution",
+  "Get outstanding supply and holder distribution (top holders, top-10/100 share, Gini, zero-balance and frozen lines) for an issued token at one ledger.",
+  {
+    issuer: z.string().min(10),
+    currency: z.string().min(1),
+    hot_wallets: z.array(z.string()).optional(),
+    top_n: z.number().int().positive().max(1000).optional(),
+    ledger_index: z.union([z.string(), z.number()]).optional(),
+    options: passthroughObject.optional()
+  },
+  async ({ issuer, currency, hot_wallets, top_n, ledger_index, options }) => {
+    try {
+      // Supply and holder lines are read from the same ledger so the shares add up.
+      const warnings = [];
+      const decodedCurrency = decodeCurrency(currency);
+      if (!decodedCurrency.valid) {
+        return toolError(decodedCurrency.error);
+      }
+      const hotWallets = hot_wallets ?? [];
+      const maxLines = toNum(options?.max_lines) ?? 20000;
+
+      const gatewayRaw = await xrplRpc("gateway_balances", [
+        {
+          account: issuer,
+          ledger_index: ledger_index ?? "validated",
+          strict: true,
+          ...(hotWallets.length ? { hotwallet: hotWallets } : {})
+        }
+      ]);
+      if (rpcErrorCode(gatewayRaw)) {
+        return toolError(`gateway_balances failed for ${issuer}: ${rpcErrorCode(gatewayRaw)}`);
+      }
+      const gateway = xrplResultEnvelope(gatewayRaw);
+      const pinnedLedger = toNum(gateway?.ledger_index) ?? ledger_index ?? "validated";
+      if (toNum(gateway?.ledger_index) === null) {
+        warnings.push("gateway_balances did not report a ledger index; account_lines may read a different ledger.");
+      }
+      const obligation = Object.entries(gateway?.obligations ?? {}).find(([code]) => sameCurrency(code, currency));
+      const supply = obligation ? tryDecimal(obligation[1]) : null;
+      if (!obligation) {
+        warnings.push(`gateway_balances reports no outstanding ${decodedCurrency.display} obligations.`);
+      }
+
+      const linePages = await collectPages({
+        budget: paginationBudget({ max_items: maxLines, max_pages: Math.ceil(maxLines / 400) + 1 }),
+        fetchPage: (marker, { remainingItems }) =>
+          xrplRpc("account_lines", [
+            {
+              account: issuer,
+              ledger_index: pinnedLedger,
+              limit: Math.min(remainingItems, 400),
+              ...(marker !== null ? { marker } : {})
+            }
+          ]),
+        itemsOf: (page) => xrplResultEnvelope(page)?.lines ?? [],
+        markerOf: (page) => xrplResultEnvelope(page)?.marker ?? null,
+        stopReason: (page) => (rpcErrorCode(page) ? `error:${rpcErrorCode(page)}` : null)
+      });
+      if (linePages.failedPage) {
+        return toolError(`account_lines failed for ${issuer}: ${rpcErrorCode(linePages.failedPage)}`);
+      }
+      if (!linePages.pagination.complete) {
+        warnings.push(
+          `Trust lines truncated at ${linePages.items.length} (${linePages.pagination.stoppedBy}); holder stats and Gini cover listed lines only, shares use the full supply.`
+        );
+      }
+
+      const distribution = holderDistribution({
+        lines: linePages.items,
+        currency,
+        hotWallets,
+        supply,
+        topN: top_n ?? 20
+      });
+      // Hot-wallet holdings as gateway_balances reports them (excluded from supply).
+      const hotWalletBalances = Object.entries(gateway?.balances ?? {}).map(([account, amounts]) => ({
+        account,
+        balance:
+          (Array.isArray(amounts) ? amounts : []).find((amount) => sameCurrency(amount.currency, currency))?.value ?? "0"
+      }));
+
+      return toToolEnvelope({
+        data: {
+          token: { issuer, currency },
+          ledgerIndex: toNum(pinnedLedger),
+          supply: {
+            outstanding: supply === null ? null : toDecimalString(supply),
+            source: "gateway_balances",
+            excludedHotWallets: hotWalletBalances
+          },
+          ...distribution,
+          pagination: linePages.pagination
+        },
+        sources: [
+          { system: "rippled", method: "gateway_balances", at: nowIso() },
+          { system: "rippled", method: "account_lines", at: nowIso() }
+        ],
+        freshness: {
+          asOfLedger: toNum(pinnedLedger),
+          asOfTime: nowIso()
+        },
+        warnings
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+// Read the `base`/`quote` market at the pinned ledger: both order book sides and the AMM pool.
+async function fetchMarket(base, quote, ledgerIndex, bookLimit) {
+  const [askRaw, bidRaw] = await Promise.all([
+    xrplRpc("book_offers", [{ taker_gets: base, taker_pays: quote, limit: bookLimit, ledger_index: ledgerIndex }]),
+    xrplRpc("book_offers", [{ taker_gets: quote, taker_pays: base, limit: bookLimit, ledger_index: ledgerIndex }])
+  ]);
+  const bidOffers = xrplResultEnvelope(bidRaw)?.offers;
+  const bids = normalizeBookSide(bidOffers, "bid", base, quote);
+  const orderbook = analyzeOrderBook(
+    { asks: normalizeBookSide(xrplResultEnvelope(askRaw)?.offers, "ask", base, quote), bids },
+    { levels: 0 }
+  );
+  let amm = null;
+  try {
+    const ammRaw = await xrplRpc("amm_info", [{ asset: base, asset2: quote, ledger_index: ledgerIndex }]);
+    amm = rpcErrorCode(ammRaw) ? null : xrplResultEnvelope(ammRaw)?.amm ?? null;
+  } catch {
+    amm = null;
+  }
+  return { orderbook, bids, amm, bookTruncated: (bidOffers?.length ?? 0) >= bookLimit };
+}
+
+defineTool(
+  "portfolio_valuation",
+  "Value every holding of an account in XRP (and optionally a stablecoin) from live order books and AMM pools.",
+  {
+    account: z.string().min(10),
+    quote: passthroughObject.optional(),
+    options: passthroughObject.optional()
+  },
+  async ({ account, quote, options }) => {
+    try {
+      // Every price is read from the same validated ledger as the balances.
+      const warnings = [];
+      const maxAssets = toNum(options?.max_assets) ?? 50;
+      const bookLimit = toNum(options?.book_limit) ?? 20;
+      const XRP = { currency: "XRP" };
+
+      const infoRaw = await xrplRpc("account_info", [{ account, ledger_index: "validated" }]);
+      if (rpcErrorCode(infoRaw)) {
+        return toolError(`account_info failed for ${account}: ${rpcErrorCode(infoRaw)}`);
+      }
+      const info = xrplResultEnvelope(infoRaw);
+      const ledgerIndex = toNum(info?.ledger_index) ?? "validated";
+
+      const linePages = await collectPages({
+        budget: paginationBudget({ max_items: toNum(options?.lines_limit) ?? 2000 }),
+        fetchPage: (marker, { remainingItems }) =>
+          xrplRpc("account_lines", [
+            { account, ledger_index: ledgerIndex, limit: Math.min(remainingItems, 400), ...(marker !== null ? { marker } : {}) }
+          ]),
+        itemsOf: (page) => xrplResultEnvelope(page)?.lines ?? [],
+        markerOf: (page) => xrplResultEnvelope(page)?.marker ?? null,
+        stopReason: (page) => (rpcErrorCode(page) ? `error:${rpcErrorCode(page)}` : null)
+      });
+      if (linePages.failedPage) {
+        return toolError(`account_lines failed for ${account}: ${rpcErrorCode(linePages.failedPage)}`);
+      }
+      if (!linePages.pagination.complete) {
+        warnings.push(`Trust lines truncated at ${linePages.items.length} (${linePages.pagination.stoppedBy}); holdings are partial.`);
+      }
+
+      // Positive balances are holdings; negative ones are tokens this account issued.
+      const tokenHoldings = linePages.items
+        .map((line) => ({ asset: { currency: line.currency, issuer: line.account }, balance: tryDecimal(line.balance) ?? ZERO }))
+        .filter((holding) => compare(holding.balance, ZERO) > 0)
+        .sort((a, b) => compare(b.balance, a.balance));
+      if (tokenHoldings.length > maxAssets) {
+        warnings.push(`${tokenHoldings.length - maxAssets} holding(s) beyond options.max_assets (${maxAssets}) were not priced.`);
+      }
+
+      const sources = [
+        { system: "rippled", method: "account_info", at: nowIso() },
+        { system: "rippled", method: "account_lines", at: nowIso() }
+      ];
+      const holdings = [
+        { asset: XRP, balance: parseXrpDrops(info?.account_data?.Balance) ?? ZERO, price: { price: "1", source: "native" } }
+      ];
+      for (const [index, holding] of tokenHoldings.entries()) {
+        if (index >= maxAssets) {
+          holdings.push({ ...holding, price: null, note: "Not priced: beyond options.max_assets." });
+          continue;
+        }
+        let price;
+        if (decodeCurrency(holding.asset.currency).type === "lp_token") {
+          // LP tokens are valued through their pool's XRP reserve.
+          let amm = null;
+          try {
+            const ammRaw = await xrplRpc("amm_info", [{ amm_account: holding.asset.issuer, ledger_index: ledgerIndex }]);
+            amm = rpcErrorCode(ammRaw) ? null : xrplResultEnvelope(ammRaw)?.amm ?? null;
+          } catch {
+            amm = null;
+          }
+          const lpPrice = lpTokenPriceXrp(amm);
+          price = lpPrice === null ? { price: null, source: null } : { price: lpPrice, source: "amm_lp_share", method: "amm_info" };
+          if (lpPrice === null) {
+            holding.note = "LP token of a pool without an XRP side (or pool not found); not priced.";
+          }
+        } else {
+          // Value what selling the whole balance for XRP would realize, not balance * spot.
+          const market = await fetchMarket(holding.asset, XRP, ledgerIndex, bookLimit);
+          price = sellValue({ ...market, base: holding.asset, quote: XRP, amount: holding.balance });
+        }
+        holdings.push({ ...holding, price });
+        sources.push({
+          system: "rippled",
+          method: price.method ?? "book_offers+amm_info",
+          asset: assetKey(holding.asset),
+          priceSource: price.source,
+          at: nowIso()
+        });
+      }
+
+      // Optional stablecoin view: convert XRP values at the XRP/quote market price.
+      let quotePerXrp = null;
+      if (quote) {
+        const quotePrice = choosePrice({ ...(await fetchMarket(XRP, quote, ledgerIndex, bookLimit)), base: XRP, quote });
+        quotePerXrp = quotePrice.price;
+        sources.push({
+          system: "rippled",
+          method: quotePrice.method ?? "book_offers+amm_info",
+          asset: `XRP/${assetKey(quote)}`,
+          priceSource: quotePrice.source,
+          at: nowIso()
+        });
+        if (quotePerXrp === null) {
+          warnings.push(`No liquid XRP/${assetKey(quote)} market; values in the quote asset are unavailable.`);
+        }
+      }
+
+      const valuation = valuePortfolio({ holdings, quotePerXrp });
+      if (valuation.unpricedCount > 0) {
+        warnings.push(`${valuation.unpricedCount} asset(s) have no liquid XRP market and are excluded from the total.`);
+      }
+      if (valuation.partiallyLiquidCount > 0) {
+        warnings.push(
+          `${valuation.partiallyLiquidCount} asset(s) are only partly liquid; the total counts only what their order books can fill.`
+        );
+      }
+
+      return toToolEnvelope({
+        data: {
+          account,
+          ledgerIndex: toNum(ledgerIndex),
+          quote: quote ?? null,
+          quotePerXrp: quotePerXrp === null ? null : toDecimalString(quotePerXrp),
+          ...valuation
+        },
+        sources,
+        freshness: {
+          asOfLedger: toNum(ledgerIndex),
+          asOfTime: nowIso()
+        },
+        warnings
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
+  "resolve_ledger_range",
+  "Resolve ISO timestamps or relative windows (1h, 7d, 30d) to ledger_index_min/ledger_index_max by binary-searching ledger close times.",
+  timeRangeSchema,
+  async ({ start_time, end_time, window }) => {
+    try {
+      if (start_time === undefined && end_time === undefined && window === undefined) {
+        return toolError("Pass window, or start_time and/or end_time.");
+      }
+      const { startMs, endMs } = parseTimeRange({ start_time, end_time, window });
+      const range = await resolveLedgerRange(startMs, endMs);
+      const span = range.start?.span ?? range.end?.span;
+      const warnings = [];
+      if (range.start?.status === "before_earliest") {
+        warnings.push(`start is before the server's earliest available ledger (${span.min}); ledger_index_min is clamped to it.`);
+      }
+      if (range.start?.status === "after_latest") {
+        warnings.push("start is after the latest validated ledger; no ledgers fall inside the range yet, so ledger_index_min is null.");
+      }
+      if (range.end?.status === "before_earliest") {
+        warnings.push(`end is before the server's earliest available ledger (${span.min}); no available ledgers fall inside the range, so ledger_index_max is null.`);
+      }
+      return toToolEnvelope({
+        data: {
+          ledger_index_min: range.ledger_index_min,
+          ledger_index_max: range.ledger_index_max,
+          startTime: startMs === null ? null : new Date(startMs).toISOString(),
+          endTime: new Date(endMs).toISOString(),
+          start: range.start,
+          end: range.end,
+          empty: range.empty,
+          availableLedgers: span
+        },
+        sources: [
+          { system: "rippled", method: "server_info", at: nowIso() },
+          { system: "rippled", method: "ledger (close time search)", at: nowIso() }
+        ],
+        freshness: {
+          asOfLedger: span?.max ?? null,
+          asOfTime: nowIso()
+        },
+        warnings
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+// Arguments passed on resume that differ from the saved export record.
+function exportResumeConflicts(record, { format, destination, file_name, ledger_index_min, ledger_index_max }) {
+  const saved = {
+    format: record.format,
+    destination: record.destination,
+    file_name: record.destination === "file" ? record.id : null,
+    ledger_index_min: record.range.ledger_index_min,
+    ledger_index_max: record.range.ledger_index_max
+  };
+  return Object.entries({ format, destination, file_name, ledger_index_min, ledger_index_max })
+    .filter(([name, value]) => value !== undefined && value !== saved[name])
+    .map(([name, value]) => `${name} ${value} (saved: ${saved[name] ?? "none"})`);
+}
+
+defineTool(
+  "export_account_history",
+  "Export an account's transaction history for a ledger or date range as CSV or JSONL to a file or MCP resource; resumable with export_id.",
+  {
+    account: z.string().min(10),
+    format: z.enum(EXPORT_FORMATS).optional(),
+    destination: z.enum(["resource", "file"]).optional(),
+    file_name: z.string().optional(),
+    ledger_index_min: z.number().int().optional(),
+    ledger_index_max: z.number().int().optional(),
+    start_time: z.string().optional(),
+    end_time: z.string().optional(),
+    export_id: z.string().optional(),
+    options: passthroughObject.optional()
+  },
+  async ({ account, format, destination, file_name, ledger_index_min, ledger_index_max, start_time, end_time, export_id, options }) => {
+    try {
+      // Oldest first, so a resumed export keeps appending in chronological order.
+      const warnings = [];
+      let record;
+      let emptyRange = false;
+      if (export_id) {
+        record = await exportStore.load(export_id);
+        if (record.account !== account) {
+          return toolError(`Export ${export_id} belongs to ${record.account}, not ${account}.`);
+        }
+        // A resume keeps the saved format, destination and range; changing them would mix rows.
+        const conflicts = exportResumeConflicts(record, { format, destination, file_name, ledger_index_min, ledger_index_max });
+        for (const [name, value, saved] of [
+          ["start_time", start_time, record.range.start_time],
+          ["end_time", end_time, record.range.end_time]
+        ]) {
+          if (value === undefined) {
+            continue;
+          }
+          if (parseTimeInput(value) === null) {
+            return toolError('start_time and end_time must be ISO 8601 timestamps, "now", or relative windows like 7d.');
+          }
+          if (isAbsoluteTimeInput(value)) {
+            if (parseTimeInput(value) !== (saved === null ? null : Date.parse(saved))) {
+              conflicts.push(`${name} ${value} (saved: ${saved ?? "none"})`);
+            }
+          } else {
+            warnings.push(`${name} "${value}" is relative and was ignored; resumed exports keep their saved range.`);
+          }
+        }
+        if (conflicts.length) {
+          return toolError(
+            `Export ${export_id} was started with different settings: ${conflicts.join(", ")}. ` +
+              "Resume with only account and export_id, or start a new export."
+          );
+        }
+      } else {
+        const startMs = start_time ? parseTimeInput(start_time) : null;
+        const endMs = end_time ? parseTimeInput(end_time) : null;
+        if ((start_time && startMs === null) || (end_time && endMs === null)) {
+          return toolError('start_time and end_time must be ISO 8601 timestamps, "now", or relative windows like 7d.');
+        }
+        if ((destination ?? "resource") === "file" && !file_name) {
+          return toolError('destination "file" requires file_name.');
+        }
+        // Times narrow the account_tx ledger range where no ledger bound was given; rows are
+        // still filtered by time below, so a failed resolution only costs extra pages.
+        let timeRange = { ledger_index_min: null, ledger_index_max: null };
+        try {
+          timeRange = await resolveLedgerRange(
+            ledger_index_min === undefined ? startMs : null,
+            ledger_index_max === undefined ? endMs : null
+          );
+        } catch (error) {
+          warnings.push(`Could not resolve times to ledgers (${error.message}); scanning the full ledger range.`);
+        }
+        emptyRange = timeRange.empty === true;
+        record = await exportStore.create({
+          account,
+          format: format ?? "csv",
+          destination: destination ?? "resource",
+          fileName: file_name ?? null,
+          range: {
+            ledger_index_min: ledger_index_min ?? timeRange.ledger_index_min ?? -1,
+            ledger_index_max: ledger_index_max ?? timeRange.ledger_index_max ?? -1,
+            start_time: startMs === null ? null : new Date(startMs).toISOString(),
+            end_time: endMs === null ? null : new Date(endMs).toISOString()
+          }
+        });
+      }
+
+      const describe = (summary, rowsWritten) => ({
+        export: {
+          ...summary,
+          resourceUri: summary.destination === "resource" ? `xrpl-export://${summary.id}` : null
+        },
+        rowsWritten,
+        resume: summary.status === "complete" ? null : { export_id: summary.id }
+      });
+      if (record.status === "complete") {
+        warnings.push(`Export ${record.id} is already complete.`);
+        return toToolEnvelope({ data: describe(exportStore.summary(record), 0), sources: [], freshness: { asOfTime: nowIso() }, warnings });
+      }
+
+      if (exportStore.remainingBytes(record) === 0) {
+        return toolError(`Resource export ${record.id} is full (EXPORT_MAX_RESOURCE_BYTES); export to a file instead.`);
+      }
+      if (emptyRange) {
+        const { summary } = await exportStore.append(record, [], { marker: null, status: "complete" });
+        warnings.push("No available ledger falls inside the time range; the export has no rows.");
+        return toToolEnvelope({ data: describe(summary, 0), sources: [], freshness: { asOfTime: nowIso() }, warnings });
+      }
+
+      const { range } = record;
+      const startMs = range.start_time ? Date.parse(range.start_time) : null;
+      const endMs = range.end_time ? Date.parse(range.end_time) : null;
+      const rowTimeMs = (row) => (row.time ? Date.parse(row.time) : null);
+      let reachedEnd = false;
+      let resumeMarker = record.marker;
+      const collected = await collectPages({
+        budget: paginationBudget({
+          max_pages: toNum(options?.max_pages) ?? 10,
+          max_bytes: Math.min(5 * 1024 * 1024, exportStore.remainingBytes(record))
+        }),
+        fetchPage: (marker) => {
+          const pageMarker = marker ?? resumeMarker;
+          resumeMarker = null;
+          return xrplRpc("account_tx", [
+            {
+              account,
+              ledger_index_min: range.ledger_index_min,
+              ledger_index_max: range.ledger_index_max,
+              forward: true,
+              limit: toNum(options?.page_limit) ?? 200,
+              ...(pageMarker ? { marker: pageMarker } : {})
+            }
+          ]);
+        },
+        // Each row keeps the marker that resumes at it, in case the resource cap cuts the page short.
+        itemsOf: (page) =>
+          (xrplResultEnvelope(page)?.transactions ?? [])
+            .map((entry) => ({ row: normalizeHistoryRow(entry, account), marker: historyRowMarker(entry) }))
+            .filter(({ row }) => {
+              const time = rowTimeMs(row);
+              if (endMs !== null && time !== null && time > endMs) {
+                reachedEnd = true;
+                return false;
+              }
+              return startMs === null || time === null || time >= startMs;
+            }),
+        markerOf: (page) => (reachedEnd ? null : xrplResultEnvelope(page)?.marker ?? null),
+        stopReason: (page) => (rpcErrorCode(page) ? `error:${rpcErrorCode(page)}` : null)
+      });
+      if (collected.failedPage) {
+        return toolError(`account_tx failed for ${account}: ${rpcErrorCode(collected.failedPage)}; export ${record.id} can be resumed.`);
+      }
+
+      const complete = reachedEnd || collected.pagination.complete;
+      const appended = await exportStore.append(
+        record,
+        collected.items.map((item) => item.row),
+        {
+          marker: complete ? null : collected.marker,
+          status: complete ? "complete" : "partial",
+          rowMarkers: collected.items.map((item) => item.marker)
+        }
+      );
+      const { summary } = appended;
+      const rows = collected.items.slice(0, appended.written).map((item) => item.row);
+      if (!complete && appended.written === collected.items.length) {
+        warnings.push(`Export paused (${collected.pagination.stoppedBy}); call again with export_id "${record.id}" to continue.`);
+      }
+      if (exportStore.remainingBytes(record) === 0) {
+        warnings.push("Resource export reached EXPORT_MAX_RESOURCE_BYTES; use a file destination for larger histories.");
+      }
+
+      return toToolEnvelope({
+        data: {
+          ...describe(summary, rows.length),
+          firstRowTime: rows[0]?.time ?? null,
+          lastRowTime: rows[rows.length - 1]?.time ?? null
+        },
+        sources: [{ system: "rippled", method: "account_tx", at: nowIso() }],
+        freshness: {
+          asOfLedger: toNum(xrplResultEnvelope(collected.firstPage)?.ledger_index_max) ?? null,
+          asOfTime: nowIso()
+        },
+        warnings
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
   "market_snapshot",
   "Get a live market snapshot for base/quote including orderbook, AMM, and recent LOS trades.",
   {
@@ -1214,10 +2977,31 @@ server.tool(
       const warnings = [];
       const window = String(options?.window || "1h");
       const txSize = toNum(options?.size) ?? 200;
-      const bookRaw = await xrplRpc("book_offers", [{ taker_gets: base, taker_pays: quote, limit: 50 }]);
-      const bookResult = xrplResultEnvelope(bookRaw);
-      const offers = bookResult?.offers ?? [];
-      const best = Array.isArray(offers) && offers.length ? offers[0] : null;
+      const bookLimit = toNum(options?.book_limit) ?? 50;
+      const depthPercents = [options?.depth_percents ?? DEFAULT_DEPTH_PERCENTS]
+        .flat()
+        .map(toNum)
+        .filter((n) => n !== null && n > 0);
+      // Asks sell base for quote; bids sell quote for base. Both are priced in quote per base.
+      const [askRaw, bidRaw] = await Promise.all([
+        xrplRpc("book_offers", [{ taker_gets: base, taker_pays: quote, limit: bookLimit }]),
+        xrplRpc("book_offers", [{ taker_gets: quote, taker_pays: base, limit: bookLimit }])
+      ]);
+      const askResult = xrplResultEnvelope(askRaw);
+      const bidResult = xrplResultEnvelope(bidRaw);
+      const orderbook = analyzeOrderBook(
+        {
+          asks: normalizeBookSide(askResult?.offers, "ask", base, quote),
+          bids: normalizeBookSide(bidResult?.offers, "bid", base, quote)
+        },
+        { depthPercents }
+      );
+      if (orderbook.unfundedExcluded > 0) {
+        warnings.push(`${orderbook.unfundedExcluded} unfunded offer(s) excluded from the order book.`);
+      }
+      if (!orderbook.bestBid || !orderbook.bestAsk) {
+        warnings.push("Order book is one-sided or empty; mid, spread and depth are unavailable.");
+      }
       let ammRaw = null;
       try {
         ammRaw = await xrplRpc("amm_info", [{ asset: base, asset2: quote }]);
@@ -1225,45 +3009,41 @@ server.tool(
         ammRaw = null;
       }
 
-      const losTrades = await tryLos("/transactions", {
-        transactionType: "dex-trade",
+      const pairTrades = await fetchPairTrades({
+        base,
+        quote,
+        window,
         size: txSize,
-        sort_field: "timestamp",
-        sort_order: "desc"
+        maxPages: toNum(options?.max_pages) ?? 5
       });
-
-      const recentTrades = Array.isArray(losTrades?.transactions) ? losTrades.transactions : [];
-      const vwapNumerator = recentTrades.reduce((sum, t) => sum + Number(t.price || 0) * Number(t.amount || 0), 0);
-      const vwapDenominator = recentTrades.reduce((sum, t) => sum + Number(t.amount || 0), 0);
-      const vwap = vwapDenominator > 0 ? vwapNumerator / vwapDenominator : null;
-
-      if (!recentTrades.length) {
-        warnings.push("No LOS trade samples returned for VWAP estimate.");
+      warnings.push(...pairTrades.warnings);
+      if (!pairTrades.trades.length) {
+        warnings.push("No LOS trades for this pair in the window; VWAP unavailable.");
       }
 
       return toToolEnvelope({
         data: {
-          orderbook: {
-            bestBidAskProxy: best,
-            spread: best?.quality ? Number(best.quality) : null,
-            mid: best?.quality ? Number(best.quality) : null,
-            offerCount: Array.isArray(offers) ? offers.length : 0
-          },
+          orderbook,
           amm: xrplResultEnvelope(ammRaw)?.amm ?? xrplResultEnvelope(ammRaw) ?? null,
           recentTrades: {
             window,
-            count: recentTrades.length,
-            vwap,
-            sample: recentTrades.slice(0, 20)
+            since: pairTrades.since,
+            sinceLedger: pairTrades.sinceLedger,
+            priceUnit: "quote per base",
+            ...summarizeTrades(pairTrades.trades),
+            scanned: pairTrades.scanned,
+            excluded: pairTrades.excluded,
+            sample: pairTrades.trades.slice(0, 20).map(renderTrade)
           }
         },
         sources: [
-          { system: "rippled", method: "book_offers", at: nowIso() },
+          { system: "rippled", method: "book_offers (asks)", at: nowIso() },
+          { system: "rippled", method: "book_offers (bids)", at: nowIso() },
           { system: "rippled", method: "amm_info", at: nowIso() },
           { system: "LOS", method: "GET /transactions?transactionType=dex-trade", at: nowIso() }
         ],
         freshness: {
-          asOfLedger: toNum(bookResult?.ledger_index) ?? null,
+          asOfLedger: toNum(askResult?.ledger_index) ?? null,
           asOfTime: nowIso()
         },
         warnings
@@ -1274,7 +3054,157 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
+  "pair_candles",
+  "Build OHLCV candles (1m to 1d) for a base/quote pair over a time range from LOS trades, falling back to rippled offer fills and AMM swaps; each candle reports its source and whether it is complete.",
+  {
+    base: passthroughObject,
+    quote: passthroughObject,
+    interval: z.string().optional(),
+    ...timeRangeSchema,
+    options: passthroughObject.optional()
+  },
+  async ({ base, quote, interval, start_time, end_time, window, options }) => {
+    try {
+      // LOS first; rippled metadata covers what LOS cannot (unavailable, no rows, or budget ran out).
+      const warnings = [];
+      const intervalMs = parseCandleInterval(interval ?? "1h");
+      if (intervalMs === null) {
+        return toolError(`interval must be 1m to 1d and divide a day evenly (1m, 5m, 15m, 30m, 1h, 4h, 1d), got "${interval}".`);
+      }
+      const timeArgs = start_time === undefined && end_time === undefined && window === undefined ? { window: "24h" } : { start_time, end_time, window };
+      const parsed = parseTimeRange(timeArgs);
+      if (parsed.startMs === null) {
+        return toolError("pair_candles needs a start: pass window or start_time.");
+      }
+      const startMs = alignDown(parsed.startMs, intervalMs);
+      const endMs = parsed.endMs;
+      const candleCount = Math.ceil((endMs - startMs) / intervalMs);
+      if (candleCount > MAX_CANDLES) {
+        return toolError(`The range needs ${candleCount} candles; the limit is ${MAX_CANDLES}. Use a longer interval or a shorter range.`);
+      }
+      const mode = String(options?.source ?? "auto");
+      if (!["auto", "los", "ledger"].includes(mode)) {
+        return toolError(`options.source must be auto, los or ledger, got "${mode}".`);
+      }
+      const ledgerAccount = pairLedgerAccount(base, quote);
+      if (mode === "ledger" && !ledgerAccount) {
+        return toolError("Ledger candles need an issued-token side (XRP/MPT-only pairs have no issuer account to scan).");
+      }
+
+      const segments = [];
+      const trades = [];
+      const sources = [];
+      let losSegment = null;
+      if (mode !== "ledger") {
+        const los = await fetchPairTrades({
+          base,
+          quote,
+          startMs,
+          endMs,
+          size: toNum(options?.max_trades) ?? 5000,
+          maxPages: toNum(options?.max_pages) ?? 10
+        });
+        warnings.push(...los.warnings);
+        sources.push({ system: "LOS", method: "GET /transactions?transactionType=dex-trade", at: nowIso() });
+        const failed = los.failedPages > 0;
+        const complete = los.pagination.complete && !failed;
+        // LOS pages run newest first, so its history is complete from the oldest row scanned on.
+        const coveredFromMs = complete ? startMs : Math.min(endMs, alignUp((los.oldestScannedMs ?? endMs) + 1, intervalMs));
+        if (mode === "los" || !ledgerAccount || los.trades.length > 0) {
+          losSegment = { source: "los", fromMs: mode === "auto" && ledgerAccount ? coveredFromMs : startMs, toMs: endMs, coveredFromMs, coveredToMs: endMs };
+          trades.push(
+            ...los.trades
+              .filter((trade) => trade.at !== null && Date.parse(trade.at) >= losSegment.fromMs)
+              .reverse()
+              .map((trade) => ({ ...trade, source: "los" }))
+          );
+        } else {
+          warnings.push(failed ? "LOS trade history is unavailable; candles use rippled ledger metadata." : "LOS has no trades for this pair in the range; candles use rippled ledger metadata.");
+        }
+      }
+
+      const ledgerToMs = losSegment ? losSegment.fromMs : endMs;
+      let ledgerScan = null;
+      if (mode !== "los" && ledgerAccount && ledgerToMs > startMs) {
+        ledgerScan = await fetchLedgerPairTrades({
+          base,
+          quote,
+          startMs,
+          endMs: ledgerToMs,
+          maxPages: toNum(options?.ledger_max_pages) ?? 10,
+          pageLimit: toNum(options?.ledger_page_limit) ?? 200
+        });
+        segments.push({ source: "ledger", fromMs: startMs, toMs: ledgerToMs, coveredFromMs: startMs, coveredToMs: ledgerScan.coveredToMs });
+        trades.push(...ledgerScan.trades.map((trade) => ({ ...trade, source: "ledger" })));
+        sources.push(
+          { system: "rippled", method: `account_tx (${ledgerScan.account})`, at: nowIso() },
+          { system: "rippled", method: "amm_info", at: nowIso() }
+        );
+        if (!ledgerScan.complete) {
+          warnings.push(`Ledger scan stopped early (${ledgerScan.pagination.stoppedBy}) at ${new Date(ledgerScan.coveredToMs).toISOString()}; raise options.ledger_max_pages to cover more.`);
+        }
+      }
+      if (losSegment) {
+        segments.push(losSegment);
+      }
+
+      const candles = buildCandles({ trades, segments, startMs, endMs, intervalMs });
+      const incomplete = candles.filter((candle) => !candle.complete).length;
+      if (incomplete > 0) {
+        warnings.push(`${incomplete} candle(s) are incomplete: still open, or their source did not cover the whole interval.`);
+      }
+      const bySource = candles.reduce((counts, candle) => {
+        const key = candle.source ?? "none";
+        return { ...counts, [key]: (counts[key] ?? 0) + 1 };
+      }, {});
+
+      return toToolEnvelope({
+        data: {
+          base: assetKey(base),
+          quote: assetKey(quote),
+          priceUnit: "quote per base",
+          interval: interval ?? "1h",
+          start: new Date(startMs).toISOString(),
+          end: new Date(endMs).toISOString(),
+          summary: {
+            ...summarizeTrades(trades),
+            candles: candles.length,
+            completeCandles: candles.length - incomplete,
+            candlesBySource: bySource
+          },
+          segments: segments.map((segment) => ({
+            source: segment.source,
+            from: new Date(segment.fromMs).toISOString(),
+            to: new Date(segment.toMs).toISOString(),
+            coveredFrom: new Date(segment.coveredFromMs).toISOString(),
+            coveredTo: new Date(Math.min(segment.coveredToMs, endMs)).toISOString()
+          })),
+          ledgerScan: ledgerScan
+            ? {
+                account: ledgerScan.account,
+                ammAccount: ledgerScan.ammAccount,
+                ledgerRange: ledgerScan.ledgerRange,
+                transactionsScanned: ledgerScan.scanned,
+                pagination: ledgerScan.pagination
+              }
+            : null,
+          candles
+        },
+        sources: [...sources, { system: "rippled", method: "ledger (close time search)", at: nowIso() }],
+        freshness: {
+          asOfLedger: ledgerScan?.ledgerRange.max ?? null,
+          asOfTime: nowIso()
+        },
+        warnings
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
   "amm_overview",
   "Get AMM state and recent swap activity.",
   {
@@ -1297,27 +3227,45 @@ server.tool(
       const ammRaw = await xrplRpc("amm_info", [params]);
       const amm = xrplResultEnvelope(ammRaw)?.amm ?? xrplResultEnvelope(ammRaw);
 
-      const txSize = toNum(options?.size) ?? 200;
-      const losSwaps = await tryLos("/transactions", {
-        transactionType: "dex-trade",
-        size: txSize,
-        sort_field: "timestamp",
-        sort_order: "desc"
-      });
-
-      const swaps = Array.isArray(losSwaps?.transactions) ? losSwaps.transactions : [];
-      const volume = swaps.reduce((sum, row) => sum + Math.abs(Number(row.amount || 0)), 0);
+      // Pool assets come from amm_info so amm_id lookups are pair-filtered too; price is amount2 per amount.
+      const window = String(options?.window || "24h");
+      const poolBase = parseAmount(amm?.amount)?.asset ?? assetA;
+      const poolQuote = parseAmount(amm?.amount2)?.asset ?? assetB;
+      const pairTrades = poolBase && poolQuote
+        ? await fetchPairTrades({
+            base: poolBase,
+            quote: poolQuote,
+            window,
+            size: toNum(options?.size) ?? 200,
+            maxPages: toNum(options?.max_pages) ?? 5,
+            ammAccount: amm?.account ?? amm_id ?? null
+          })
+        : null;
+      if (pairTrades) {
+        warnings.push(...pairTrades.warnings);
+      } else {
+        warnings.push("Pool assets unknown; swap activity unavailable.");
+      }
+      const swaps = pairTrades?.trades ?? [];
 
       return toToolEnvelope({
         data: {
           amm,
           recentSwaps: {
-            count: swaps.length,
-            volume,
-            sample: swaps.slice(0, 20)
+            window,
+            since: pairTrades?.since ?? null,
+            sinceLedger: pairTrades?.sinceLedger ?? null,
+            base: assetKey(poolBase),
+            quote: assetKey(poolQuote),
+            priceUnit: "quote per base",
+            ...summarizeTrades(swaps),
+            scanned: pairTrades?.scanned ?? 0,
+            excluded: pairTrades?.excluded ?? null,
+            sample: swaps.slice(0, 20).map(renderTrade)
           },
           priceImpactHooks: {
-            note: "Use reserves plus candidate trade size to estimate slippage."
+            tool: "amm_simulate_swap",
+            note: "Quote a swap of a given size (exact_in or exact_out) against the current reserves and trading_fee."
           }
         },
         sources: [
@@ -1336,7 +3284,67 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
+  "amm_simulate_swap",
+  "Simulate an AMM swap: expected output (or required input), effective price, price impact, and fee paid.",
+  {
+    amm_id: z.string().optional(),
+    assetA: passthroughObject.optional(),
+    assetB: passthroughObject.optional(),
+    asset_in: passthroughObject,
+    amount_in: z.union([z.string(), z.number()]).optional(),
+    amount_out: z.union([z.string(), z.number()]).optional(),
+    ledger_index: z.union([z.string(), z.number()]).optional()
+  },
+  async ({ amm_id, assetA, assetB, asset_in, amount_in, amount_out, ledger_index }) => {
+    try {
+      // Quote against the pool's current reserves; amounts are whole units (XRP, not drops).
+      if ((amount_in === undefined) === (amount_out === undefined)) {
+        throw new Error("Provide exactly one of amount_in or amount_out.");
+      }
+      const amountIn = amount_in === undefined ? undefined : tryDecimal(amount_in);
+      const amountOut = amount_out === undefined ? undefined : tryDecimal(amount_out);
+      if (amountIn === null || amountOut === null) {
+        throw new Error("amount_in/amount_out must be a decimal number within the XRPL amount range.");
+      }
+      const params = amm_id ? { amm_account: amm_id } : { asset: assetA, asset2: assetB };
+      if (ledger_index !== undefined) {
+        params.ledger_index = ledger_index;
+      }
+      const ammRaw = await xrplRpc("amm_info", [params]);
+      const errorCode = rpcErrorCode(ammRaw);
+      if (errorCode) {
+        throw new Error(`amm_info failed: ${errorCode}`);
+      }
+      const ammResult = xrplResultEnvelope(ammRaw);
+      const amm = ammResult?.amm ?? ammResult;
+      const quote = simulateSwap(amm, { assetIn: asset_in, amountIn, amountOut });
+
+      const warnings = [];
+      if (amm?.auction_slot?.account) {
+        warnings.push("The auction slot holder trades at a discounted fee; this quote uses the standard trading_fee.");
+      }
+      warnings.push("Quote assumes the pool alone fills the swap; payments may also route through order book offers.");
+
+      return toToolEnvelope({
+        data: {
+          ammAccount: amm?.account ?? amm_id ?? null,
+          quote
+        },
+        sources: [{ system: "rippled", method: "amm_info", at: nowIso() }],
+        freshness: {
+          asOfLedger: toNum(ammResult?.ledger_index ?? ammResult?.ledger_current_index) ?? null,
+          asOfTime: nowIso()
+        },
+        warnings
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
   "validator_set_overview",
   "Get validator set composition and recent change-oriented summary.",
   {
@@ -1380,7 +3388,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "validator_health",
   "Get validator performance summary over a report window.",
   {
@@ -1398,7 +3406,41 @@ server.tool(
         urlWithPathAndQuery(DATA_XRPL_BASE_URL, `/v1/network/validator/${encodeURIComponent(pubkey_or_node)}/reports`)
       );
       const reportList = Array.isArray(reports?.reports) ? reports.reports : Array.isArray(reports) ? reports : [];
-      const recent = reportList.slice(-30);
+      // A window ("7d", or an ISO start) selects daily reports by date and is resolved to ledger
+      // bounds; without one, the last 30 reports are used.
+      let recent = reportList.slice(-30);
+      let windowRange = null;
+      if (window) {
+        let parsed = null;
+        try {
+          parsed = parseTimeRange({ window });
+        } catch {
+          warnings.push(`Unrecognized window "${window}"; expected forms like 24h, 7d, 30d. Using the last 30 reports.`);
+        }
+        if (parsed) {
+          const startDayMs = Math.floor(parsed.startMs / 86400000) * 86400000;
+          recent = reportList.filter((report) => {
+            const dateMs = Date.parse(report?.date ?? report?.time ?? "");
+            return !Number.isNaN(dateMs) && dateMs >= startDayMs && dateMs <= parsed.endMs;
+          });
+          if (!recent.length && reportList.length) {
+            warnings.push("No validator reports fall inside the window.");
+          }
+          windowRange = {
+            since: new Date(parsed.startMs).toISOString(),
+            until: new Date(parsed.endMs).toISOString(),
+            ledger_index_min: null,
+            ledger_index_max: null
+          };
+          try {
+            const resolved = await resolveLedgerRange(parsed.startMs, parsed.endMs);
+            windowRange.ledger_index_min = resolved.ledger_index_min;
+            windowRange.ledger_index_max = resolved.ledger_index_max;
+          } catch (error) {
+            warnings.push(`Could not resolve the window to ledgers (${error.message}).`);
+          }
+        }
+      }
       const signed = recent.reduce((sum, r) => sum + Number(r.signed || r.validations_signed || 0), 0);
       const missed = recent.reduce((sum, r) => sum + Number(r.missed || r.validations_missed || 0), 0);
       const uptimeish = signed + missed > 0 ? signed / (signed + missed) : null;
@@ -1407,20 +3449,44 @@ server.tool(
         warnings.push("Validator report history is empty for this key.");
       }
 
+      // Domain claim: the manifest's master-key signature attests it, xrp-ledger.toml confirms it.
+      const masterKey = validator?.master_key ?? validator?.validation_public_key ?? pubkey_or_node;
+      let manifest = validator?.manifest ?? null;
+      try {
+        const manifestRaw = await xrplRpc("manifest", [{ public_key: masterKey }]);
+        manifest = rpcErrorCode(manifestRaw) ? manifest : xrplResultEnvelope(manifestRaw)?.manifest ?? manifest;
+      } catch {
+        // Fall back to any manifest VHS returned.
+      }
+      if (!manifest) {
+        warnings.push("No validator manifest available; the domain cannot be checked against a master-key attestation.");
+      }
+      const domainVerification = await domainVerifier.verifyValidatorDomain({
+        publicKey: masterKey,
+        manifest,
+        claimedDomain: validator?.domain ?? null
+      });
+      warnings.push(...domainVerification.notes);
+
       return toToolEnvelope({
         data: {
           validator,
           window: window || "last-30-reports",
+          windowRange,
           metrics: {
             validationsSigned: signed,
             validationsMissed: missed,
             uptimeScore: uptimeish
           },
-          recentReports: recent
+          recentReports: recent,
+          domainVerification
         },
         sources: [
           { system: "VHS", method: "GET /v1/network/validator/{pubkey}", at: nowIso() },
-          { system: "VHS", method: "GET /v1/network/validator/{pubkey}/reports", at: nowIso() }
+          { system: "VHS", method: "GET /v1/network/validator/{pubkey}/reports", at: nowIso() },
+          { system: "rippled", method: "manifest", at: nowIso() },
+          ...(windowRange ? [{ system: "rippled", method: "ledger (close time search)", at: nowIso() }] : []),
+          ...(domainVerification.tomlUrl ? [{ system: "http", method: `GET ${domainVerification.tomlUrl}`, at: nowIso() }] : [])
         ],
         freshness: {
           asOfTime: nowIso()
@@ -1433,7 +3499,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "amendment_status",
   "Get enabled amendments and governance context.",
   {
@@ -1473,7 +3539,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "search_transactions",
   "Search LOS transactions with open-ended filters and return aggregate summary.",
   {
@@ -1484,12 +3550,13 @@ server.tool(
   async ({ filters, cursor, size }) => {
     try {
       // Open-ended LOS query endpoint with aggregate block for agent convenience.
+      const { args: ledgerFilters, timeRange } = await applyTimeRange(filters);
       const query = {
-        ...filters,
+        ...ledgerFilters,
         marker: cursor || filters.marker,
         size: size ?? filters.size ?? 200
       };
-      const payload = await callLos("/transactions", query);
+      const payload = timeRange?.empty ? { transactions: [] } : await callLos("/transactions", query);
       const rows = Array.isArray(payload?.transactions) ? payload.transactions : Array.isArray(payload) ? payload : [];
       const txTypes = {};
       for (const row of rows) {
@@ -1504,8 +3571,11 @@ server.tool(
           aggregates: {
             count: rows.length,
             txTypeHistogram: txTypes,
-            totalAmount: rows.reduce((sum, row) => sum + Number(row.amount || 0), 0)
-          }
+            totalAmount: toDecimalString(
+              rows.reduce((total, row) => add(total, decimalFromLosValue(row.amount) ?? ZERO), ZERO)
+            )
+          },
+          ...(timeRange ? { timeRange } : {})
         },
         sources: [{ system: "LOS", method: "GET /transactions", at: nowIso() }],
         freshness: { asOfTime: nowIso() },
@@ -1517,7 +3587,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "resolve_entities",
   "Resolve user input into canonical XRPL/LOS entity identifiers and suggested next tools.",
   {
@@ -1528,6 +3598,7 @@ server.tool(
       // Lightweight identifier resolver to reduce guessing in multi-step tool chains.
       const value = input.trim();
       const suggestions = [];
+      const warnings = [];
       let entity = {
         type: "unknown",
         normalized: value
@@ -1536,12 +3607,27 @@ server.tool(
       if (/^[A-Fa-f0-9]{64}$/.test(value)) {
         entity = { type: "tx_hash", normalized: value.toUpperCase() };
         suggestions.push("tx_explain", "xrpl_tx");
-      } else if (/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/.test(value)) {
-        entity = { type: "account", normalized: value };
-        suggestions.push("account_overview", "xrpl_account_info");
+      } else if (/^[rXT][1-9A-HJ-NP-Za-km-z]{24,50}$/.test(value)) {
+        // Addresses are checksum-validated; X-addresses resolve to their classic account and tag.
+        try {
+          const address = normalizeAddress(value);
+          entity = address.isXAddress
+            ? { type: "x_address", normalized: address.classicAddress, tag: address.tag, network: address.network }
+            : { type: "account", normalized: address.classicAddress };
+          suggestions.push("account_overview", "xrpl_account_info");
+        } catch (error) {
+          entity = { type: "invalid_address", normalized: value };
+          warnings.push(error.message);
+        }
       } else if (/^[A-Fa-f0-9]{40}\.r[1-9A-HJ-NP-Za-km-z]{24,34}$/.test(value)) {
-        entity = { type: "token_id", normalized: value.toUpperCase() };
-        suggestions.push("token_overview", "los_get_token");
+        const issuer = value.split(".")[1];
+        if (isValidClassicAddress(issuer)) {
+          entity = { type: "token_id", normalized: `${value.slice(0, 40).toUpperCase()}.${issuer}` };
+          suggestions.push("token_overview", "los_get_token");
+        } else {
+          entity = { type: "invalid_token_id", normalized: value };
+          warnings.push(`Token issuer ${issuer} has an invalid address checksum.`);
+        }
       } else if (/^[0-9]+$/.test(value)) {
         entity = { type: "ledger_index", normalized: Number(value) };
         suggestions.push("ledger_summary", "xrpl_ledger");
@@ -1557,7 +3643,111 @@ server.tool(
         },
         sources: [{ system: "local-resolver", method: "pattern-match", at: nowIso() }],
         freshness: { asOfTime: nowIso() },
-        warnings: entity.type === "unknown" ? ["Input did not match known XRPL identifier patterns."] : []
+        warnings: entity.type === "unknown" ? ["Input did not match known XRPL identifier patterns."] : warnings
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
+  "xrpl_subscribe",
+  "Subscribe to rippled WebSocket streams (ledger, transactions, accounts, order books); events are buffered for xrpl_read_events.",
+  {
+    streams: z.array(z.enum(SUBSCRIBABLE_STREAMS)).optional(),
+    accounts: z.array(z.string().min(25)).optional(),
+    accounts_proposed: z.array(z.string().min(25)).optional(),
+    books: z.array(passthroughObject).optional(),
+    notify: z.boolean().optional()
+  },
+  async ({ notify, ...request }) => {
+    try {
+      const subscription = await subscriptions.subscribe(request, { notify: Boolean(notify) });
+      return toToolEnvelope({
+        data: subscription,
+        sources: [{ system: "rippled", method: "subscribe (WebSocket)", at: nowIso() }],
+        freshness: { asOfLedger: toNum(subscription.result?.ledger_index) ?? null, asOfTime: nowIso() }
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
+  "xrpl_unsubscribe",
+  "Cancel one subscription created by xrpl_subscribe.",
+  {
+    subscription_id: z.string().min(1)
+  },
+  async ({ subscription_id }) => {
+    try {
+      const data = await subscriptions.unsubscribe(subscription_id);
+      return toToolEnvelope({
+        data,
+        sources: [{ system: "rippled", method: "unsubscribe (WebSocket)", at: nowIso() }]
+      });
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
+  "xrpl_list_subscriptions",
+  "List active WebSocket subscriptions, connection state, and event buffer usage.",
+  {},
+  async () => {
+    try {
+      return toolResult(subscriptions.status());
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
+  "xrpl_read_events",
+  "Read buffered subscription events in order, optionally for one subscription and after a seq cursor.",
+  {
+    subscription_id: z.string().optional(),
+    after_seq: z.number().int().nonnegative().optional(),
+    limit: z.number().int().positive().max(1000).optional(),
+    include_raw: z.boolean().optional()
+  },
+  async ({ subscription_id, after_seq, limit, include_raw }) => {
+    try {
+      const page = subscriptions.readEvents({ subscriptionId: subscription_id, afterSeq: after_seq, limit });
+      if (!include_raw) {
+        page.events = page.events.map(({ message, ...event }) => event);
+      }
+      return toolResult(page);
+    } catch (error) {
+      return toolError(error);
+    }
+  }
+);
+
+defineTool(
+  "cache_control",
+  "Inspect or clear the upstream response cache (optionally only one system's entries).",
+  {
+    action: z.enum(["stats", "clear"]),
+    system: z.enum(["LOS", "VHS", "rippled", "XRPLMeta"]).optional()
+  },
+  async ({ action, system }) => {
+    try {
+      if (action === "clear") {
+        const removed = responseCache.clear(system ? (meta) => meta?.system === system : undefined);
+        return toolResult({ cleared: removed, system: system ?? "all", stats: responseCache.stats() });
+      }
+      return toolResult({
+        stats: responseCache.stats(),
+        config: {
+          ledgerTtlMs: CACHE_LEDGER_TTL_MS,
+          serviceTtlMs: CACHE_SERVICE_TTL_MS
+        }
       });
     } catch (error) {
       return toolError(error);
@@ -1565,7 +3755,7 @@ server.tool(
   }
 );
 
-server.tool(
+defineTool(
   "xrpl_list_recommended_methods",
   "List the curated high-utility XRPL methods this MCP server exposes as dedicated tools.",
   {},
@@ -0,0 +1,423 @@
+// rippled WebSocket `subscribe` client: one shared connection, locally tracked subscriptions,
+// reconnect with resubscribe, and a bounded in-memory event log.
+
+export const SUBSCRIBABLE_STREAMS = [
+  "ledger",
+  "transactions",
+  "transactions_proposed",
+  "validations",
+  "manifests",
+  "server",
+  "consensus",
+  "peer_status",
+  "book_changes"
+];
+
+// rippled message `type` -> stream that produces it (transactions are matched separately).
+const STREAM_FOR_MESSAGE_TYPE = {
+  ledgerClosed: "ledger",
+  validationReceived: "validations",
+  manifestReceived: "manifests",
+  serverStatus: "server",
+  consensusPhase: "consensus",
+  peerStatusChange: "peer_status",
+  bookChanges: "book_changes"
+};
+
+function sameAsset(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+  const currencyA = typeof a === "string" ? "XRP" : a.currency;
+  const currencyB = typeof b === "string" ? "XRP" : b.currency;
+  if (currencyA !== currencyB) {
+    return false;
+  }
+  return currencyA === "XRP" || a.issuer === b.issuer;
+}
+
+function transactionAccounts(message) {
+  const tx = message.transaction ?? message.tx_json ?? {};
+  const accounts = new Set([tx.Account, tx.Destination].filter(Boolean));
+  const nodes = Array.isArray(message.meta?.AffectedNodes) ? message.meta.AffectedNodes : [];
+  for (const node of nodes) {
+    const body = node.ModifiedNode || node.CreatedNode || node.DeletedNode || {};
+    for (const fields of [body.FinalFields, body.NewFields]) {
+      if (!fields) {
+        continue;
+      }
+      for (const key of ["Account", "Destination", "Owner"]) {
+        if (typeof fields[key] === "string") {
+          accounts.add(fields[key]);
+        }
+      }
+      for (const key of ["HighLimit", "LowLimit"]) {
+        if (fields[key]?.issuer) {
+          accounts.add(fields[key].issuer);
+        }
+      }
+    }
+  }
+  return accounts;
+}
+
+function transactionTouchesBook(message, book) {
+  const tx = message.transaction ?? message.tx_json ?? {};
+  const offers = [tx];
+  const nodes = Array.isArray(message.meta?.AffectedNodes) ? message.meta.AffectedNodes : [];
+  for (const node of nodes) {
+    const body = node.ModifiedNode || node.CreatedNode || node.DeletedNode || {};
+    if (body.LedgerEntryType === "Offer") {
+      offers.push(body.FinalFields ?? body.NewFields ?? {});
+    }
+  }
+  return offers.some(
+    (offer) =>
+      (sameAsset(offer.TakerGets, book.taker_gets) && sameAsset(offer.TakerPays, book.taker_pays)) ||
+      (book.both && sameAsset(offer.TakerGets, book.taker_pays) && sameAsset(offer.TakerPays, book.taker_gets))
+  );
+}
+
+export function subscriptionMatches(subscription, message) {
+  const { streams = [], accounts = [], accounts_proposed: accountsProposed = [], books = [] } = subscription.request;
+  if (message.type === "transaction") {
+    const validated = message.validated !== false;
+    if (streams.includes("transactions_proposed") || (validated && streams.includes("transactions"))) {
+      return true;
+    }
+    if (accounts.length || accountsProposed.length) {
+      const touched = transactionAccounts(message);
+      if (accountsProposed.some((a) => touched.has(a)) || (validated && accounts.some((a) => touched.has(a)))) {
+        return true;
+      }
+    }
+    return validated && books.some((book) => transactionTouchesBook(message, book));
+  }
+  const stream = STREAM_FOR_MESSAGE_TYPE[message.type];
+  return Boolean(stream && streams.includes(stream));
+}
+
+function summarizeMessage(message) {
+  if (message.type === "ledgerClosed") {
+    return {
+      ledgerIndex: message.ledger_index ?? null,
+      ledgerHash: message.ledger_hash ?? null,
+      txnCount: message.txn_count ?? null,
+      closeTime: message.ledger_time ?? null
+    };
+  }
+  if (message.type === "transaction") {
+    const tx = message.transaction ?? message.tx_json ?? {};
+    return {
+      hash: tx.hash ?? message.hash ?? null,
+      transactionType: tx.TransactionType ?? null,
+      account: tx.Account ?? null,
+      destination: tx.Destination ?? null,
+      result: message.engine_result ?? message.meta?.TransactionResult ?? null,
+      validated: message.validated !== false,
+      ledgerIndex: message.ledger_index ?? null
+    };
+  }
+  return { ledgerIndex: message.ledger_index ?? null };
+}
+
+// Subscribe-request fields that rippled accepts, deduplicated across subscriptions.
+function unionRequest(subscriptions) {
+  const streams = new Set();
+  const accounts = new Set();
+  const accountsProposed = new Set();
+  const books = new Map();
+  for (const sub of subscriptions) {
+    (sub.request.streams ?? []).forEach((s) => streams.add(s));
+    (sub.request.accounts ?? []).forEach((a) => accounts.add(a));
+    (sub.request.accounts_proposed ?? []).forEach((a) => accountsProposed.add(a));
+    for (const book of sub.request.books ?? []) {
+      books.set(JSON.stringify(book), book);
+    }
+  }
+  return { streams, accounts, accountsProposed, books };
+}
+
+function requestFromUnion({ streams, accounts, accountsProposed, books }) {
+  const request = {};
+  if (streams.size) {
+    request.streams = [...streams];
+  }
+  if (accounts.size) {
+    request.accounts = [...accounts];
+  }
+  if (accountsProposed.size) {
+    request.accounts_proposed = [...accountsProposed];
+  }
+  if (books.size) {
+    request.books = [...books.values()];
+  }
+  return request;
+}
+
+export function createSubscriptionManager({
+  url,
+  createSocket,
+  maxEvents = 1000,
+  requestTimeoutMs = 15000,
+  reconnect = { baseMs: 1000, maxMs: 30000 },
+  onEvent = () => {}
+}) {
+  const subscriptions = new Map();
+  const pending = new Map();
+  const events = [];
+  let socket = null;
+  let connecting = null;
+  let state = "idle";
+  let nextCommandId = 1;
+  let nextSubscriptionId = 1;
+  let nextSeq = 1;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let lastError = null;
+  let connectedAt = null;
+
+  function rejectPending(error) {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    pending.clear();
+  }
+
+  function recordEvent(message) {
+    const matched = [...subscriptions.values()].filter((sub) => subscriptionMatches(sub, message));
+    if (!matched.length) {
+      return;
+    }
+    const event = {
+      seq: nextSeq,
+      receivedAt: new Date().toISOString(),
+      type: message.type,
+      subscriptionIds: matched.map((sub) => sub.id),
+      summary: summarizeMessage(message),
+      message
+    };
+    nextSeq += 1;
+    events.push(event);
+    if (events.length > maxEvents) {
+      events.splice(0, events.length - maxEvents);
+    }
+    for (const sub of matched) {
+      sub.eventCount += 1;
+      sub.lastEventAt = event.receivedAt;
+    }
+    onEvent(event, matched);
+  }
+
+  function handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(String(raw));
+    } catch {
+      return;
+    }
+    if (message.type === "response" && pending.has(message.id)) {
+      const { resolve, reject, timer } = pending.get(message.id);
+      clearTimeout(timer);
+      pending.delete(message.id);
+      if (message.status === "error" || message.error) {
+        reject(new Error(`rippled ${message.error ?? "error"}: ${message.error_message ?? JSON.stringify(message)}`));
+      } else {
+        resolve(message.result ?? {});
+      }
+      return;
+    }
+    recordEvent(message);
+  }
+
+  function scheduleReconnect() {
+    if (reconnectTimer || subscriptions.size === 0) {
+      state = subscriptions.size === 0 ? "idle" : state;
+      return;
+    }
+    state = "reconnecting";
+    const delay = Math.min(reconnect.maxMs, reconnect.baseMs * 2 ** reconnectAttempts);
+    reconnectAttempts += 1;
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      try {
+        await connect();
+        const request = requestFromUnion(unionRequest(subscriptions.values()));
+        if (Object.keys(request).length) {
+          await send({ command: "subscribe", ...request });
+        }
+      } catch (error) {
+        lastError = error instanceof Error ? error.message : String(error);
+        scheduleReconnect();
+      }
+    }, delay);
+    reconnectTimer.unref?.();
+  }
+
+  function connect() {
+    if (socket && state === "open") {
+      return Promise.resolve();
+    }
+    if (connecting) {
+      return connecting;
+    }
+    state = "connecting";
+    connecting = new Promise((resolve, reject) => {
+      const ws = createSocket(url);
+      let opened = false;
+      ws.on("open", () => {
+        opened = true;
+        socket = ws;
+        state = "open";
+        connectedAt = new Date().toISOString();
+        reconnectAttempts = 0;
+        resolve();
+      });
+      ws.on("message", handleMessage);
+      ws.on("error", (error) => {
+        lastError = error instanceof Error ? error.message : String(error);
+        if (!opened) {
+          reject(new Error(`WebSocket connection to ${url} failed: ${lastError}`));
+        }
+      });
+      ws.on("close", () => {
+        // close() detaches the socket first, so only unexpected drops trigger a reconnect.
+        const dropped = socket === ws;
+        if (dropped) {
+          socket = null;
+        }
+        connectedAt = null;
+        rejectPending(new Error(`WebSocket connection to ${url} closed.`));
+        if (!opened) {
+          reject(new Error(`WebSocket connection to ${url} closed before opening.`));
+          state = "idle";
+          return;
+        }
+        if (dropped) {
+          scheduleReconnect();
+        }
+      });
+    }).finally(() => {
+      connecting = null;
+    });
+    return connecting;
+  }
+
+  async function send(command) {
+    await connect();
+    const id = nextCommandId;
+    nextCommandId += 1;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`rippled ${command.command} timed out after ${requestTimeoutMs}ms.`));
+      }, requestTimeoutMs);
+      if (!socket) {
+        clearTimeout(timer);
+        reject(new Error(`WebSocket connection to ${url} is not open.`));
+        return;
+      }
+      pending.set(id, { resolve, reject, timer });
+      socket.send(JSON.stringify({ id, ...command }));
+    });
+  }
+
+  async function subscribe(request, { notify = false } = {}) {
+    const cleaned = requestFromUnion(unionRequest([{ request }]));
+    if (!Object.keys(cleaned).length) {
+      throw new Error("Subscription needs at least one of streams, accounts, accounts_proposed or books.");
+    }
+    // Register before sending so events rippled delivers ahead of its response are kept.
+    const id = `sub-${nextSubscriptionId}`;
+    nextSubscriptionId += 1;
+    const subscription = {
+      id,
+      request: cleaned,
+      notify,
+      pending: true,
+      createdAt: new Date().toISOString(),
+      eventCount: 0,
+      lastEventAt: null
+    };
+    subscriptions.set(id, subscription);
+    let result;
+    try {
+      result = await send({ command: "subscribe", ...cleaned });
+    } catch (error) {
+      subscriptions.delete(id);
+      if (subscriptions.size === 0) {
+        close();
+      }
+      throw error;
+    }
+    subscription.pending = false;
+    return { subscriptionId: id, request: cleaned, result };
+  }
+
+  // Only unsubscribe items that no remaining subscription still needs.
+  async function unsubscribe(id) {
+    const sub = subscriptions.get(id);
+    if (!sub) {
+      throw new Error(`Unknown subscription id: ${id}`);
+    }
+    subscriptions.delete(id);
+    const remaining = unionRequest(subscriptions.values());
+    const own = unionRequest([sub]);
+    const release = requestFromUnion({
+      streams: new Set([...own.streams].filter((s) => !remaining.streams.has(s))),
+      accounts: new Set([...own.accounts].filter((a) => !remaining.accounts.has(a))),
+      accountsProposed: new Set([...own.accountsProposed].filter((a) => !remaining.accountsProposed.has(a))),
+      books: new Map([...own.books].filter(([key]) => !remaining.books.has(key)))
+    });
+    let result = null;
+    if (Object.keys(release).length && socket && state === "open") {
+      result = await send({ command: "unsubscribe", ...release });
+    }
+    if (subscriptions.size === 0) {
+      close();
+    }
+    return { subscriptionId: id, released: release, result };
+  }
+
+  function readEvents({ subscriptionId, afterSeq = 0, limit = 100 } = {}) {
+    if (subscriptionId && !subscriptions.has(subscriptionId)) {
+      throw new Error(`Unknown subscription id: ${subscriptionId}`);
+    }
+    const matching = events.filter(
+      (event) => event.seq > afterSeq && (!subscriptionId || event.subscriptionIds.includes(subscriptionId))
+    );
+    const page = matching.slice(0, limit);
+    return {
+      events: page,
+      nextAfterSeq: page.length ? page[page.length - 1].seq : afterSeq,
+      hasMore: matching.length > page.length,
+      oldestBufferedSeq: events.length ? events[0].seq : null
+    };
+  }
+
+  function status() {
+    return {
+      url,
+      connection: state,
+      connectedAt,
+      lastError,
+      bufferedEvents: events.length,
+      maxEvents,
+      subscriptions: [...subscriptions.values()].map((sub) => ({ ...sub }))
+    };
+  }
+
+  function close() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    const ws = socket;
+    socket = null;
+    state = "idle";
+    if (ws) {
+      ws.close();
+    }
+  }
+
+  return { subscribe, unsubscribe, readEvents, status, close };
+}
@@ -0,0 +1,332 @@
+// Small TOML parser for xrp-ledger.toml files: tables, arrays of tables, dotted keys, basic and
+// literal strings (single and multi-line), integers, floats, booleans, arrays and inline tables.
+// Dates and times are kept as strings.
+
+const BARE_KEY = /[A-Za-z0-9_-]/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?)?$|^\d{2}:\d{2}:\d{2}(\.\d+)?$/;
+const ESCAPES = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", '"': '"', "\\": "\\" };
+
+const isTable = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+export function parseToml(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  let at = 0;
+  const root = {};
+  let current = root;
+  // Tables created implicitly by a dotted header may be defined later; explicit ones may not repeat.
+  const defined = new Set();
+
+  const fail = (message) => {
+    const line = src.slice(0, at).split("\n").length;
+    throw new Error(`TOML line ${line}: ${message}`);
+  };
+  const peek = (offset = 0) => src[at + offset];
+  const startsWith = (token) => src.startsWith(token, at);
+
+  function skipSpaces() {
+    while (peek() === " " || peek() === "\t") {
+      at += 1;
+    }
+  }
+  function skipComment() {
+    if (peek() === "#") {
+      while (at < src.length && peek() !== "\n") {
+        at += 1;
+      }
+    }
+  }
+  function skipBlank() {
+    for (;;) {
+      skipSpaces();
+      skipComment();
+      if (peek() === "\n" || (peek() === "\r" && peek(1) === "\n")) {
+        at += peek() === "\r" ? 2 : 1;
+      } else {
+        return;
+      }
+    }
+  }
+  function endOfLine() {
+    skipSpaces();
+    skipComment();
+    if (at >= src.length) {
+      return;
+    }
+    if (peek() === "\r" && peek(1) === "\n") {
+      at += 2;
+    } else if (peek() === "\n") {
+      at += 1;
+    } else {
+      fail(`unexpected "${peek()}"`);
+    }
+  }
+
+  function parseBasicString(multiline) {
+    at += multiline ? 3 : 1;
+    if (multiline && (startsWith("\r\n") || peek() === "\n")) {
+      at += peek() === "\r" ? 2 : 1;
+    }
+    let out = "";
+    for (;;) {
+      if (at >= src.length) {
+        fail("unterminated string");
+      }
+      if (multiline ? startsWith('"""') : peek() === '"') {
+        at += multiline ? 3 : 1;
+        return out;
+      }
+      const char = peek();
+      if (!multiline && char === "\n") {
+        fail("newline in string");
+      }
+      if (char !== "\\") {
+        out += char;
+        at += 1;
+        continue;
+      }
+      const next = peek(1);
+      if (ESCAPES[next] !== undefined) {
+        out += ESCAPES[next];
+        at += 2;
+      } else if (next === "u" || next === "U") {
+        const digits = next === "u" ? 4 : 8;
+        const hex = src.slice(at + 2, at + 2 + digits);
+        if (!new RegExp(`^[0-9A-Fa-f]{${digits}}$`).test(hex)) {
+          fail("invalid unicode escape");
+        }
+        out += String.fromCodePoint(Number.parseInt(hex, 16));
+        at += 2 + digits;
+      } else if (multiline && /[ \t\r\n]/.test(next)) {
+        // Line-ending backslash: drop the newline and the whitespace that follows.
+        at += 1;
+        while (/[ \t\r\n]/.test(peek() ?? "")) {
+          at += 1;
+        }
+      } else {
+        fail(`invalid escape "\\${next}"`);
+      }
+    }
+  }
+
+  function parseLiteralString(multiline) {
+    at += multiline ? 3 : 1;
+    if (multiline && (startsWith("\r\n") || peek() === "\n")) {
+      at += peek() === "\r" ? 2 : 1;
+    }
+    const close = multiline ? "'''" : "'";
+    const end = src.indexOf(close, at);
+    if (end < 0) {
+      fail("unterminated string");
+    }
+    const out = src.slice(at, end);
+    if (!multiline && out.includes("\n")) {
+      fail("newline in string");
+    }
+    at = end + close.length;
+    return out;
+  }
+
+  function parseKey() {
+    const parts = [];
+    for (;;) {
+      skipSpaces();
+      if (peek() === '"') {
+        parts.push(parseBasicString(false));
+      } else if (peek() === "'") {
+        parts.push(parseLiteralString(false));
+      } else {
+        const start = at;
+        while (at < src.length && BARE_KEY.test(peek())) {
+          at += 1;
+        }
+        if (start === at) {
+          fail("expected a key");
+        }
+        parts.push(src.slice(start, at));
+      }
+      if (parts[parts.length - 1] === "__proto__") {
+        fail('key "__proto__" is not allowed');
+      }
+      skipSpaces();
+      if (peek() !== ".") {
+        return parts;
+      }
+      at += 1;
+    }
+  }
+
+  function parseScalar() {
+    const start = at;
+    while (at < src.length && !/[,\]}\s#]/.test(peek())) {
+      at += 1;
+    }
+    // Date-times may use a space between date and time.
+    if (/^\d{4}-\d{2}-\d{2}$/.test(src.slice(start, at)) && peek() === " " && /\d/.test(peek(1) ?? "")) {
+      at += 1;
+      while (at < src.length && !/[,\]}\s#]/.test(peek())) {
+        at += 1;
+      }
+    }
+    const token = src.slice(start, at);
+    if (token === "true" || token === "false") {
+      return token === "true";
+    }
+    if (/^[+-]?(inf|nan)$/.test(token)) {
+      return token.endsWith("nan") ? Number.NaN : token.startsWith("-") ? -Infinity : Infinity;
+    }
+    if (/^0x[0-9A-Fa-f](_?[0-9A-Fa-f])*$/.test(token)) {
+      return Number.parseInt(token.slice(2).replaceAll("_", ""), 16);
+    }
+    if (/^0o[0-7](_?[0-7])*$/.test(token)) {
+      return Number.parseInt(token.slice(2).replaceAll("_", ""), 8);
+    }
+    if (/^0b[01](_?[01])*$/.test(token)) {
+      return Number.parseInt(token.slice(2).replaceAll("_", ""), 2);
+    }
+    if (/^[+-]?(0|[1-9](_?\d)*)((\.\d(_?\d)*)?([eE][+-]?\d(_?\d)*)?)$/.test(token)) {
+      return Number(token.replaceAll("_", ""));
+    }
+    if (DATE_TIME.test(token)) {
+      return token;
+    }
+    fail(token ? `invalid value "${token}"` : "expected a value");
+  }
+
+  function parseValue() {
+    if (startsWith('"""')) {
+      return parseBasicString(true);
+    }
+    if (startsWith("'''")) {
+      return parseLiteralString(true);
+    }
+    if (peek() === '"') {
+      return parseBasicString(false);
+    }
+    if (peek() === "'") {
+      return parseLiteralString(false);
+    }
+    if (peek() === "[") {
+      at += 1;
+      const items = [];
+      for (;;) {
+        skipBlank();
+        if (peek() === "]") {
+          at += 1;
+          return items;
+        }
+        items.push(parseValue());
+        skipBlank();
+        if (peek() === ",") {
+          at += 1;
+        } else if (peek() !== "]") {
+          fail("expected , or ] in array");
+        }
+      }
+    }
+    if (peek() === "{") {
+      at += 1;
+      const table = {};
+      skipSpaces();
+      if (peek() === "}") {
+        at += 1;
+        return table;
+      }
+      for (;;) {
+        const key = parseKey();
+        if (peek() !== "=") {
+          fail("expected = after key");
+        }
+        at += 1;
+        skipSpaces();
+        assign(table, key, parseValue());
+        skipSpaces();
+        if (peek() === "}") {
+          at += 1;
+          return table;
+        }
+        if (peek() !== ",") {
+          fail("expected , or } in inline table");
+        }
+        at += 1;
+      }
+    }
+    return parseScalar();
+  }
+
+  function descend(table, key) {
+    if (!Object.hasOwn(table, key)) {
+      table[key] = {};
+    }
+    const next = Array.isArray(table[key]) ? table[key][table[key].length - 1] : table[key];
+    if (!isTable(next)) {
+      fail(`key "${key}" is not a table`);
+    }
+    return next;
+  }
+
+  function assign(table, keyParts, value) {
+    let target = table;
+    for (const part of keyParts.slice(0, -1)) {
+      target = descend(target, part);
+    }
+    const last = keyParts[keyParts.length - 1];
+    if (Object.hasOwn(target, last)) {
+      fail(`duplicate key "${keyParts.join(".")}"`);
+    }
+    target[last] = value;
+  }
+
+  for (;;) {
+    skipBlank();
+    if (at >= src.length) {
+      return root;
+    }
+    if (startsWith("[[")) {
+      at += 2;
+      const key = parseKey();
+      if (!startsWith("]]")) {
+        fail("expected ]] after array-of-tables header");
+      }
+      at += 2;
+      let parent = root;
+      for (const part of key.slice(0, -1)) {
+        parent = descend(parent, part);
+      }
+      const last = key[key.length - 1];
+      if (!Object.hasOwn(parent, last)) {
+        parent[last] = [];
+      }
+      if (!Array.isArray(parent[last])) {
+        fail(`"${key.join(".")}" is not an array of tables`);
+      }
+      current = {};
+      parent[last].push(current);
+    } else if (peek() === "[") {
+      at += 1;
+      const key = parseKey();
+      if (peek() !== "]") {
+        fail("expected ] after table header");
+      }
+      at += 1;
+      const path = key.join("\u0000");
+      if (defined.has(path)) {
+        fail(`table [${key.join(".")}] defined twice`);
+      }
+      defined.add(path);
+      let target = root;
+      for (const part of key) {
+        target = descend(target, part);
+      }
+      current = target;
+    } else {
+      const key = parseKey();
+      if (peek() !== "=") {
+        fail("expected = after key");
+      }
+      at += 1;
+      skipSpaces();
+      assign(current, key, parseValue());
+    }
+    endOfLine();
+  }
+}
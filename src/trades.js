@@ -0,0 +1,176 @@
+// Pair-scoped DEX trade normalization for LOS trade rows. A row only counts toward a pair when
+// both of its legs can be matched to the pair's assets; every kept trade is expressed as a
+// base amount, a quote amount and a price in quote per base.
+
+import { abs, add, assetKey, compare, div, isZero, mul, parseAmount, sign, toDecimalString, tryDecimal, ZERO } from "./amount.js";
+
+const WINDOW_UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Pairs of Amount fields that describe the two sides of a trade, in the shapes LOS and
+// rippled use. Which side is which does not matter; assets decide the orientation.
+const LEG_FIELDS = [
+  ["taker_gets", "taker_pays"],
+  ["TakerGets", "TakerPays"],
+  ["amount_in", "amount_out"],
+  ["sold", "bought"],
+  ["base_amount", "quote_amount"]
+];
+
+// "15m" / "1h" / "24h" / "7d" -> milliseconds, or null when unparseable.
+export function parseWindowMs(window) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([smhdw])\s*$/i.exec(String(window ?? ""));
+  if (!match) {
+    return null;
+  }
+  return Math.round(Number(match[1]) * WINDOW_UNITS_MS[match[2].toLowerCase()]);
+}
+
+// Epoch seconds, epoch milliseconds or ISO strings -> epoch milliseconds.
+export function tradeTimestampMs(row) {
+  const raw = row?.timestamp ?? row?.time ?? row?.date ?? row?.close_time_iso ?? row?.executed_at ?? null;
+  if (raw === null || raw === undefined || raw === "") {
+    return null;
+  }
+  if (typeof raw === "number" || /^\d+$/.test(String(raw))) {
+    const n = Number(raw);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const parsed = Date.parse(String(raw));
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function assetFromDescriptor(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === "string") {
+    if (value === "XRP") {
+      return { currency: "XRP" };
+    }
+    const [currency, issuer] = value.split(".");
+    return issuer ? { currency, issuer } : null;
+  }
+  if (typeof value === "object" && (value.currency || value.mpt_issuance_id)) {
+    return value;
+  }
+  return null;
+}
+
+// { base, quote } decimals for a row, or null when the row cannot be tied to this pair.
+function pairLegs(row, baseKey, quoteKey) {
+  for (const [a, b] of LEG_FIELDS) {
+    const first = parseAmount(row?.[a]);
+    const second = parseAmount(row?.[b]);
+    if (!first || !second) {
+      continue;
+    }
+    const keys = [assetKey(first.asset), assetKey(second.asset)];
+    if (keys[0] === baseKey && keys[1] === quoteKey) {
+      return { base: first.value, quote: second.value };
+    }
+    if (keys[0] === quoteKey && keys[1] === baseKey) {
+      return { base: second.value, quote: first.value };
+    }
+    return null;
+  }
+
+  // Rows that name their pair explicitly and carry a scalar price/amount (amount in row base).
+  const rowBase = assetKey(assetFromDescriptor(row?.base));
+  const rowQuote = assetKey(assetFromDescriptor(row?.quote));
+  const price = tryDecimal(row?.price);
+  const amount = tryDecimal(row?.amount);
+  if (!rowBase || !rowQuote || price === null || amount === null) {
+    return null;
+  }
+  if (rowBase === baseKey && rowQuote === quoteKey) {
+    return { base: amount, quote: mul(amount, price) };
+  }
+  if (rowBase === quoteKey && rowQuote === baseKey) {
+    return { base: mul(amount, price), quote: amount };
+  }
+  return null;
+}
+
+function rowAmmAccount(row) {
+  return row?.amm_account ?? row?.amm?.account ?? null;
+}
+
+// Keep trades for base/quote inside the window. With `ammAccount`, only that pool's swaps count:
+// rows naming no AMM (order-book fills) or another AMM are excluded as otherAmm. `nowMs` is injectable.
+export function filterPairTrades(rows, { base, quote, windowMs = null, ammAccount = null, nowMs = Date.now() }) {
+  const baseKey = assetKey(base);
+  const quoteKey = assetKey(quote);
+  const since = windowMs === null ? null : nowMs - windowMs;
+  const trades = [];
+  const excluded = { otherPair: 0, otherAmm: 0, outsideWindow: 0, undated: 0 };
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const legs = pairLegs(row, baseKey, quoteKey);
+    if (!legs) {
+      excluded.otherPair += 1;
+      continue;
+    }
+    // Legs may be signed balance deltas; sizes are magnitudes.
+    const base = abs(legs.base);
+    const quote = abs(legs.quote);
+    if (sign(base) === 0 || sign(quote) === 0) {
+      excluded.otherPair += 1;
+      continue;
+    }
+    if (ammAccount && rowAmmAccount(row) !== ammAccount) {
+      excluded.otherAmm += 1;
+      continue;
+    }
+    const at = tradeTimestampMs(row);
+    if (since !== null) {
+      if (at === null) {
+        excluded.undated += 1;
+        continue;
+      }
+      if (at < since) {
+        excluded.outsideWindow += 1;
+        continue;
+      }
+    }
+    trades.push({
+      at: at === null ? null : new Date(at).toISOString(),
+      hash: row?.hash ?? row?.tx_hash ?? null,
+      base,
+      quote,
+      price: div(quote, base, { digits: 15 })
+    });
+  }
+  return { trades, excluded };
+}
+
+export function summarizeTrades(trades) {
+  let baseVolume = ZERO;
+  let quoteVolume = ZERO;
+  let high = null;
+  let low = null;
+  for (const trade of trades) {
+    baseVolume = add(baseVolume, trade.base);
+    quoteVolume = add(quoteVolume, trade.quote);
+    high = high === null || compare(trade.price, high) > 0 ? trade.price : high;
+    low = low === null || compare(trade.price, low) < 0 ? trade.price : low;
+  }
+  const render = (value) => (value === null ? null : toDecimalString(value));
+  return {
+    count: trades.length,
+    baseVolume: toDecimalString(baseVolume),
+    quoteVolume: toDecimalString(quoteVolume),
+    // Volume-weighted price is total quote over total base.
+    vwap: isZero(baseVolume) ? null : toDecimalString(div(quoteVolume, baseVolume, { digits: 15 })),
+    high: render(high),
+    low: render(low)
+  };
+}
+
+export function renderTrade(trade) {
+  return {
+    at: trade.at,
+    hash: trade.hash,
+    base: toDecimalString(trade.base),
+    quote: toDecimalString(trade.quote),
+    price: toDecimalString(trade.price)
+  };
+}
@@ -0,0 +1,1085 @@
+// Plain-language transaction explanations. One explainer per TransactionType turns the
+// transaction fields (and, where the outcome matters, its metadata) into a summary sentence plus
+// decoded details; types without an explainer get a generic "<Type> by <sender>" summary.
+
+import {
+  abs,
+  assetKey,
+  compare,
+  describeAmount,
+  dropsToXrp,
+  parseAmount,
+  sign,
+  sub,
+  toDecimalString,
+  tryDecimal
+} from "./amount.js";
+import { extractBalanceChanges } from "./balanceChanges.js";
+import { displayCurrency } from "./currency.js";
+import { decodeDomain } from "./issuerProfile.js";
+import { describeResult } from "./resultCodes.js";
+import { formatDuration, rippleTimeToIso } from "./rippleTime.js";
+
+const CATEGORIES = {
+  Payment: "payment",
+  AccountDelete: "account",
+  AccountSet: "account",
+  SetRegularKey: "account",
+  SignerListSet: "account",
+  TicketCreate: "account",
+  DepositPreauth: "account",
+  TrustSet: "trustline",
+  OfferCreate: "dex",
+  OfferCancel: "dex",
+  Clawback: "clawback"
+};
+
+const CATEGORY_PREFIXES = [
+  ["Escrow", "escrow"],
+  ["PaymentChannel", "payment_channel"],
+  ["Check", "check"],
+  ["NFToken", "nft"],
+  ["AMM", "amm"],
+  ["DID", "did"],
+  ["Oracle", "oracle"],
+  ["MPToken", "mpt"],
+  ["XChain", "xchain"]
+];
+
+const TRUST_SET_FLAGS = {
+  tfSetfAuth: 0x00010000,
+  tfSetNoRipple: 0x00020000,
+  tfClearNoRipple: 0x00040000,
+  tfSetFreeze: 0x00100000,
+  tfClearFreeze: 0x00200000,
+  tfSetDeepFreeze: 0x00400000,
+  tfClearDeepFreeze: 0x00800000
+};
+
+const ACCOUNT_SET_FLAGS = {
+  1: "asfRequireDest",
+  2: "asfRequireAuth",
+  3: "asfDisallowXRP",
+  4: "asfDisableMaster",
+  5: "asfAccountTxnID",
+  6: "asfNoFreeze",
+  7: "asfGlobalFreeze",
+  8: "asfDefaultRipple",
+  9: "asfDepositAuth",
+  10: "asfAuthorizedNFTokenMinter",
+  12: "asfDisallowIncomingNFTokenOffer",
+  13: "asfDisallowIncomingCheck",
+  14: "asfDisallowIncomingPayChan",
+  15: "asfDisallowIncomingTrustline",
+  16: "asfAllowTrustLineClawback",
+  17: "asfAllowTrustLineLocking"
+};
+
+// Legacy AccountSet transaction flags, equivalent to setting or clearing an asf flag.
+const ACCOUNT_SET_TX_FLAGS = [
+  [0x00010000, "set", "asfRequireDest"],
+  [0x00020000, "clear", "asfRequireDest"],
+  [0x00040000, "set", "asfRequireAuth"],
+  [0x00080000, "clear", "asfRequireAuth"],
+  [0x00100000, "set", "asfDisallowXRP"],
+  [0x00200000, "clear", "asfDisallowXRP"]
+];
+
+const OFFER_CREATE_FLAGS = {
+  tfPassive: 0x00010000,
+  tfImmediateOrCancel: 0x00020000,
+  tfFillOrKill: 0x00040000,
+  tfSell: 0x00080000
+};
+
+const NFTOKEN_MINT_FLAGS = {
+  tfBurnable: 0x00000001,
+  tfOnlyXRP: 0x00000002,
+  tfTransferable: 0x00000008,
+  tfMutable: 0x00000010
+};
+
+const AMM_DEPOSIT_MODES = [
+  [0x00010000, "LP token amount (tfLPToken)"],
+  [0x00080000, "single asset (tfSingleAsset)"],
+  [0x00100000, "two assets (tfTwoAsset)"],
+  [0x00200000, "single asset for an LP token amount (tfOneAssetLPToken)"],
+  [0x00400000, "single asset with a price limit (tfLimitLPToken)"],
+  [0x00800000, "two assets into an empty pool (tfTwoAssetIfEmpty)"]
+];
+
+const AMM_WITHDRAW_MODES = [
+  [0x00010000, "LP token amount (tfLPToken)"],
+  [0x00020000, "all LP tokens (tfWithdrawAll)"],
+  [0x00040000, "all LP tokens as one asset (tfOneAssetWithdrawAll)"],
+  [0x00080000, "single asset (tfSingleAsset)"],
+  [0x00100000, "two assets (tfTwoAsset)"],
+  [0x00200000, "single asset for an LP token amount (tfOneAssetLPToken)"],
+  [0x00400000, "single asset with a price limit (tfLimitLPToken)"]
+];
+
+const MPT_ISSUANCE_FLAGS = {
+  tfMPTCanLock: 0x00000002,
+  tfMPTRequireAuth: 0x00000004,
+  tfMPTCanEscrow: 0x00000008,
+  tfMPTCanTrade: 0x00000010,
+  tfMPTCanTransfer: 0x00000020,
+  tfMPTCanClawback: 0x00000040
+};
+
+const TF_PARTIAL_PAYMENT = 0x00020000;
+const TF_SELL_NFTOKEN = 0x00000001;
+const TF_RENEW = 0x00010000;
+const TF_CLOSE = 0x00020000;
+const TF_MPT_LOCK = 0x00000001;
+const TF_MPT_UNLOCK = 0x00000002;
+const TF_MPT_UNAUTHORIZE = 0x00000001;
+const TRANSFER_RATE_BASE = 1000000000;
+
+function hasBit(flags, bit) {
+  return ((Number(flags) >>> 0) & bit) !== 0;
+}
+
+function setFlagNames(flags, table) {
+  return Object.entries(table)
+    .filter(([, bit]) => hasBit(flags, bit))
+    .map(([name]) => name);
+}
+
+function assetLabel(asset) {
+  if (asset?.mpt_issuance_id) {
+    return `MPT ${asset.mpt_issuance_id}`;
+  }
+  if (!asset?.currency || asset.currency === "XRP") {
+    return "XRP";
+  }
+  const currency = displayCurrency(asset.currency) ?? asset.currency;
+  return asset.issuer ? `${currency} (issuer ${asset.issuer})` : currency;
+}
+
+// Short pool-side name without the issuer: "XRP", "USD".
+function assetName(asset) {
+  if (asset?.mpt_issuance_id) {
+    return `MPT ${asset.mpt_issuance_id}`;
+  }
+  return !asset?.currency || asset.currency === "XRP" ? "XRP" : displayCurrency(asset.currency) ?? asset.currency;
+}
+
+// Any XRPL Amount (drops string, issued object, MPT object) -> "12.5 XRP" / "100 USD (issuer r...)".
+export function amountText(amount) {
+  const parsed = parseAmount(amount);
+  return parsed ? `${toDecimalString(parsed.value)} ${assetLabel(parsed.asset)}` : null;
+}
+
+// balanceChanges entry ({ asset, value, currency, issuer | mpt_issuance_id }) -> unsigned text.
+function changeText(change) {
+  return amountText({ ...change, value: toDecimalString(abs(tryDecimal(change.value))) });
+}
+
+function timeText(seconds) {
+  return rippleTimeToIso(seconds) ?? String(seconds);
+}
+
+function percentText(value) {
+  return `${toDecimalString(tryDecimal(value))}%`;
+}
+
+// NFToken and MPT transfer fees are in units of 1/1000 of a percent (0-50000).
+function transferFeeText(fee) {
+  return Number.isInteger(fee) ? percentText(fee / 1000) : null;
+}
+
+// AMM trading fees are in units of 1/1000 of a percent as well (0-1000).
+const tradingFeeText = transferFeeText;
+
+function hexText(hex) {
+  return typeof hex === "string" ? decodeDomain(hex) ?? hex : null;
+}
+
+function joinList(items) {
+  if (items.length <= 1) {
+    return items.join("");
+  }
+  return `${items.slice(0, -1).join(", ")} and ${items.at(-1)}`;
+}
+
+function withClauses(text, clauses) {
+  const present = clauses.filter(Boolean);
+  return present.length > 0 ? `${text}, ${present.join(", ")}` : text;
+}
+
+// Metadata nodes of one ledger entry type, as { kind, fields, previous, index }.
+function metaNodes(meta, entryType) {
+  const nodes = Array.isArray(meta?.AffectedNodes) ? meta.AffectedNodes : [];
+  return nodes
+    .map((node) => {
+      const kind = node.CreatedNode ? "created" : node.DeletedNode ? "deleted" : "modified";
+      const body = node.CreatedNode ?? node.DeletedNode ?? node.ModifiedNode ?? {};
+      return {
+        kind,
+        type: body.LedgerEntryType,
+        fields: body.FinalFields ?? body.NewFields ?? {},
+        previous: body.PreviousFields ?? {},
+        index: body.LedgerIndex ?? null
+      };
+    })
+    .filter((node) => node.type === entryType);
+}
+
+function xrpDelta(previous, final) {
+  const before = tryDecimal(previous);
+  const after = tryDecimal(final);
+  return before === null || after === null ? null : dropsToXrp(sub(after, before));
+}
+
+function bridgeText(bridge) {
+  if (!bridge) {
+    return "unknown bridge";
+  }
+  return `the ${assetName(bridge.LockingChainIssue)}/${assetName(bridge.IssuingChainIssue)} bridge (locking door ${
+    bridge.LockingChainDoor
+  }, issuing door ${bridge.IssuingChainDoor})`;
+}
+
+function poolText(tx) {
+  return `${assetName(tx.Asset)}/${assetName(tx.Asset2)} AMM pool`;
+}
+
+// The sender's own balance changes, split into what it paid and what it received.
+function ownFlows({ tx, changes }) {
+  const own = changes.accounts.find((entry) => entry.account === tx.Account)?.changes ?? [];
+  return {
+    paid: own.filter((change) => sign(tryDecimal(change.value)) < 0).map(changeText),
+    received: own.filter((change) => sign(tryDecimal(change.value)) > 0).map(changeText)
+  };
+}
+
+function flowClauses(flows) {
+  return [
+    flows.paid.length > 0 ? `paid ${joinList(flows.paid)}` : null,
+    flows.received.length > 0 ? `received ${joinList(flows.received)}` : null
+  ];
+}
+
+// Each explainer gets { tx, meta, changes, succeeded } and returns { summary, details }.
+const EXPLAINERS = {
+  Payment({ tx, meta }) {
+    const requested = tx.DeliverMax ?? tx.Amount;
+    const delivered = meta?.delivered_amount ?? requested;
+    const sendMax = parseAmount(tx.SendMax);
+    const crossCurrency = sendMax !== null && assetKey(sendMax.asset) !== assetKey(parseAmount(requested)?.asset);
+    const details = {
+      requested: describeAmount(requested),
+      delivered: describeAmount(meta?.delivered_amount),
+      sendMax: describeAmount(tx.SendMax),
+      destinationTag: tx.DestinationTag ?? null,
+      partialPaymentFlag: hasBit(tx.Flags, TF_PARTIAL_PAYMENT),
+      paths: Array.isArray(tx.Paths) ? tx.Paths.length : 0
+    };
+    if (tx.Destination === tx.Account) {
+      return {
+        summary: `Currency conversion by ${tx.Account}: ${amountText(delivered) ?? "unknown amount"} received, spending up to ${
+          amountText(tx.SendMax) ?? "the same asset"
+        }`,
+        details
+      };
+    }
+    return {
+      summary: withClauses(`Payment of ${amountText(delivered) ?? "unknown amount"} from ${tx.Account} to ${tx.Destination}`, [
+        tx.DestinationTag !== undefined ? `destination tag ${tx.DestinationTag}` : null,
+        crossCurrency ? `paid with up to ${amountText(tx.SendMax)}` : null
+      ]),
+      details
+    };
+  },
+
+  AccountDelete({ tx, meta }) {
+    const delivered = amountText(meta?.delivered_amount);
+    return {
+      summary: `Deletion of account ${tx.Account}, sending its remaining XRP${delivered ? ` (${delivered})` : ""} to ${tx.Destination}`,
+      details: {
+        destination: tx.Destination ?? null,
+        destinationTag: tx.DestinationTag ?? null,
+        delivered: describeAmount(meta?.delivered_amount)
+      }
+    };
+  },
+
+  TrustSet({ tx }) {
+    const limit = tx.LimitAmount ?? {};
+    const flags = setFlagNames(tx.Flags, TRUST_SET_FLAGS);
+    const currency = displayCurrency(limit.currency) ?? limit.currency;
+    const zeroLimit = sign(tryDecimal(limit.value) ?? tryDecimal(0)) === 0;
+    return {
+      summary: withClauses(`Trust line from ${tx.Account} to ${limit.issuer} for ${currency} with limit ${limit.value}`, [
+        zeroLimit ? "which removes the line once its balance and settings are back to default" : null,
+        flags.length > 0 ? `flags ${flags.join(", ")}` : null
+      ]),
+      details: {
+        counterparty: limit.issuer ?? null,
+        currency: limit.currency ?? null,
+        limit: limit.value ?? null,
+        flags,
+        qualityIn: tx.QualityIn ?? null,
+        qualityOut: tx.QualityOut ?? null
+      }
+    };
+  },
+
+  AccountSet({ tx }) {
+    const set = [];
+    const cleared = [];
+    if (tx.SetFlag !== undefined) {
+      set.push(ACCOUNT_SET_FLAGS[tx.SetFlag] ?? `flag ${tx.SetFlag}`);
+    }
+    if (tx.ClearFlag !== undefined) {
+      cleared.push(ACCOUNT_SET_FLAGS[tx.ClearFlag] ?? `flag ${tx.ClearFlag}`);
+    }
+    for (const [bit, action, name] of ACCOUNT_SET_TX_FLAGS) {
+      if (hasBit(tx.Flags, bit)) {
+        (action === "set" ? set : cleared).push(name);
+      }
+    }
+    const domain = tx.Domain === undefined ? undefined : tx.Domain === "" ? null : hexText(tx.Domain);
+    let transferFee;
+    if (tx.TransferRate !== undefined) {
+      transferFee =
+        tx.TransferRate === 0 || tx.TransferRate === TRANSFER_RATE_BASE
+          ? "0%"
+          : percentText((tx.TransferRate - TRANSFER_RATE_BASE) / 1e7);
+    }
+    const changes = [
+      set.length > 0 ? `sets ${set.join(", ")}` : null,
+      cleared.length > 0 ? `clears ${cleared.join(", ")}` : null,
+      domain === undefined ? null : domain === null ? "clears the domain" : `domain ${domain}`,
+      transferFee === undefined ? null : `transfer fee ${transferFee}`,
+      tx.TickSize === undefined ? null : tx.TickSize === 0 ? "clears the tick size" : `tick size ${tx.TickSize}`,
+      tx.NFTokenMinter === undefined ? null : `NFT minter ${tx.NFTokenMinter}`,
+      tx.EmailHash === undefined ? null : "email hash",
+      tx.MessageKey === undefined ? null : "message key"
+    ].filter(Boolean);
+    return {
+      summary:
+        changes.length > 0
+          ? `Account settings change by ${tx.Account}: ${changes.join("; ")}`
+          : `Account settings transaction by ${tx.Account} with no setting changes`,
+      details: {
+        setFlags: set,
+        clearedFlags: cleared,
+        domain: domain ?? null,
+        transferFee: transferFee ?? null,
+        tickSize: tx.TickSize ?? null,
+        nftokenMinter: tx.NFTokenMinter ?? null
+      }
+    };
+  },
+
+  SetRegularKey({ tx }) {
+    return {
+      summary: tx.RegularKey ? `Regular key of ${tx.Account} set to ${tx.RegularKey}` : `Removal of the regular key of ${tx.Account}`,
+      details: { regularKey: tx.RegularKey ?? null }
+    };
+  },
+
+  SignerListSet({ tx }) {
+    const signers = (tx.SignerEntries ?? []).map((entry) => ({
+      account: entry.SignerEntry?.Account ?? null,
+      weight: entry.SignerEntry?.SignerWeight ?? null
+    }));
+    if (!tx.SignerQuorum) {
+      return { summary: `Removal of the signer list of ${tx.Account}`, details: { quorum: 0, signers } };
+    }
+    const totalWeight = signers.reduce((total, signer) => total + (signer.weight ?? 0), 0);
+    return {
+      summary: `Signer list for ${tx.Account}: quorum ${tx.SignerQuorum} of total weight ${totalWeight} from ${signers.length} signers (${signers
+        .map((signer) => `${signer.account} weight ${signer.weight}`)
+        .join(", ")})`,
+      details: { quorum: tx.SignerQuorum, totalWeight, signers }
+    };
+  },
+
+  TicketCreate({ tx }) {
+    return {
+      summary: `Creation of ${tx.TicketCount} ticket(s) by ${tx.Account}`,
+      details: { ticketCount: tx.TicketCount ?? null }
+    };
+  },
+
+  DepositPreauth({ tx }) {
+    const authorized = tx.Authorize ?? tx.Unauthorize ?? null;
+    return {
+      summary: tx.Authorize
+        ? `Deposit preauthorization by ${tx.Account} for ${tx.Authorize}`
+        : `Removal of the deposit preauthorization by ${tx.Account} for ${authorized}`,
+      details: { account: authorized, authorized: Boolean(tx.Authorize) }
+    };
+  },
+
+  OfferCreate({ tx, changes }) {
+    const flags = setFlagNames(tx.Flags, OFFER_CREATE_FLAGS);
+    const crossed = changes.offers.filled.length;
+    const placed = changes.offers.created.some((offer) => offer.owner === tx.Account);
+    return {
+      summary: withClauses(`Offer by ${tx.Account} to sell ${amountText(tx.TakerGets)} for ${amountText(tx.TakerPays)}`, [
+        flags.length > 0 ? `flags ${flags.join(", ")}` : null,
+        crossed > 0 ? `crossed ${crossed} existing offer(s)` : null,
+        placed ? "the remainder was placed on the order book" : null,
+        tx.OfferSequence !== undefined ? `replacing offer #${tx.OfferSequence}` : null
+      ]),
+      details: {
+        sells: describeAmount(tx.TakerGets),
+        buys: describeAmount(tx.TakerPays),
+        flags,
+        offersCrossed: crossed,
+        placedOnBook: placed,
+        expiration: tx.Expiration ?? null
+      }
+    };
+  },
+
+  OfferCancel({ tx }) {
+    return {
+      summary: `Cancellation of offer #${tx.OfferSequence} by ${tx.Account}`,
+      details: { offerSequence: tx.OfferSequence ?? null }
+    };
+  },
+
+  EscrowCreate({ tx }) {
+    return {
+      summary: withClauses(`Escrow of ${amountText(tx.Amount)} from ${tx.Account} to ${tx.Destination}`, [
+        tx.FinishAfter !== undefined ? `finishable after ${timeText(tx.FinishAfter)}` : null,
+        tx.CancelAfter !== undefined ? `cancellable after ${timeText(tx.CancelAfter)}` : null,
+        tx.Condition ? "released only with the matching crypto-condition fulfillment" : null
+      ]),
+      details: {
+        amount: describeAmount(tx.Amount),
+        destination: tx.Destination ?? null,
+        finishAfter: tx.FinishAfter ?? null,
+        cancelAfter: tx.CancelAfter ?? null,
+        hasCondition: Boolean(tx.Condition)
+      }
+    };
+  },
+
+  EscrowFinish({ tx, meta }) {
+    const escrow = metaNodes(meta, "Escrow").find((node) => node.kind === "deleted")?.fields ?? {};
+    return {
+      summary: withClauses(`Release of escrow #${tx.OfferSequence} owned by ${tx.Owner}`, [
+        escrow.Amount !== undefined ? `delivering ${amountText(escrow.Amount)} to ${escrow.Destination}` : null,
+        tx.Account !== tx.Owner ? `finished by ${tx.Account}` : null
+      ]),
+      details: {
+        owner: tx.Owner ?? null,
+        offerSequence: tx.OfferSequence ?? null,
+        amount: describeAmount(escrow.Amount),
+        destination: escrow.Destination ?? null,
+        fulfillment: Boolean(tx.Fulfillment)
+      }
+    };
+  },
+
+  EscrowCancel({ tx, meta }) {
+    const escrow = metaNodes(meta, "Escrow").find((node) => node.kind === "deleted")?.fields ?? {};
+    return {
+      summary: withClauses(`Cancellation of escrow #${tx.OfferSequence} owned by ${tx.Owner}`, [
+        escrow.Amount !== undefined ? `returning ${amountText(escrow.Amount)} to the owner` : null
+      ]),
+      details: {
+        owner: tx.Owner ?? null,
+        offerSequence: tx.OfferSequence ?? null,
+        amount: describeAmount(escrow.Amount)
+      }
+    };
+  },
+
+  PaymentChannelCreate({ tx, meta }) {
+    const channel = metaNodes(meta, "PayChannel").find((node) => node.kind === "created")?.index ?? null;
+    return {
+      summary: withClauses(`Payment channel from ${tx.Account} to ${tx.Destination} funded with ${amountText(tx.Amount)}`, [
+        tx.SettleDelay !== undefined ? `settle delay ${formatDuration(tx.SettleDelay)}` : null,
+        tx.CancelAfter !== undefined ? `closes after ${timeText(tx.CancelAfter)}` : null
+      ]),
+      details: {
+        channel,
+        amount: describeAmount(tx.Amount),
+        destination: tx.Destination ?? null,
+        settleDelay: tx.SettleDelay ?? null,
+        publicKey: tx.PublicKey ?? null,
+        cancelAfter: tx.CancelAfter ?? null
+      }
+    };
+  },
+
+  PaymentChannelFund({ tx }) {
+    return {
+      summary: withClauses(`Top-up of payment channel ${tx.Channel} with ${amountText(tx.Amount)} by ${tx.Account}`, [
+        tx.Expiration !== undefined ? `expiration moved to ${timeText(tx.Expiration)}` : null
+      ]),
+      details: { channel: tx.Channel ?? null, amount: describeAmount(tx.Amount), expiration: tx.Expiration ?? null }
+    };
+  },
+
+  PaymentChannelClaim({ tx, meta }) {
+    const node = metaNodes(meta, "PayChannel")[0];
+    const claimed = node ? xrpDelta(node.previous.Balance, node.fields.Balance) : null;
+    const closing = hasBit(tx.Flags, TF_CLOSE);
+    return {
+      summary: withClauses(`Claim on payment channel ${tx.Channel} by ${tx.Account}`, [
+        claimed !== null ? `${toDecimalString(claimed)} XRP paid to ${node.fields.Destination}` : null,
+        tx.Balance !== undefined && claimed === null ? `channel balance set to ${amountText(tx.Balance)}` : null,
+        closing ? (node?.kind === "deleted" ? "the channel was closed" : "requesting the channel to close") : null,
+        hasBit(tx.Flags, TF_RENEW) ? "clearing the channel expiration" : null
+      ]),
+      details: {
+        channel: tx.Channel ?? null,
+        balance: describeAmount(tx.Balance),
+        authorized: describeAmount(tx.Amount),
+        claimedXrp: claimed === null ? null : toDecimalString(claimed),
+        close: closing,
+        renew: hasBit(tx.Flags, TF_RENEW)
+      }
+    };
+  },
+
+  CheckCreate({ tx, meta }) {
+    const check = metaNodes(meta, "Check").find((node) => node.kind === "created")?.index ?? null;
+    return {
+      summary: withClauses(`Check from ${tx.Account} to ${tx.Destination} for up to ${amountText(tx.SendMax)}`, [
+        tx.Expiration !== undefined ? `expires ${timeText(tx.Expiration)}` : null
+      ]),
+      details: {
+        checkId: check,
+        sendMax: describeAmount(tx.SendMax),
+        destination: tx.Destination ?? null,
+        expiration: tx.Expiration ?? null
+      }
+    };
+  },
+
+  CheckCash({ tx, meta }) {
+    const check = metaNodes(meta, "Check").find((node) => node.kind === "deleted")?.fields ?? {};
+    const received = meta?.delivered_amount ?? tx.Amount;
+    return {
+      summary: withClauses(`Cashing of check ${tx.CheckID} by ${tx.Account}`, [
+        received !== undefined ? `receiving ${amountText(received)}` : null,
+        tx.DeliverMin !== undefined ? `at least ${amountText(tx.DeliverMin)} requested` : null,
+        check.Account ? `written by ${check.Account}` : null
+      ]),
+      details: {
+        checkId: tx.CheckID ?? null,
+        amount: describeAmount(tx.Amount),
+        deliverMin: describeAmount(tx.DeliverMin),
+        delivered: describeAmount(meta?.delivered_amount),
+        writer: check.Account ?? null
+      }
+    };
+  },
+
+  CheckCancel({ tx }) {
+    return {
+      summary: `Cancellation of check ${tx.CheckID} by ${tx.Account}`,
+      details: { checkId: tx.CheckID ?? null }
+    };
+  },
+
+  NFTokenMint({ tx, meta }) {
+    const flags = setFlagNames(tx.Flags, NFTOKEN_MINT_FLAGS);
+    return {
+      summary: withClauses(`NFT mint by ${tx.Account}`, [
+        tx.Issuer ? `on behalf of issuer ${tx.Issuer}` : null,
+        `taxon ${tx.NFTokenTaxon}`,
+        tx.TransferFee ? `transfer fee ${transferFeeText(tx.TransferFee)}` : null,
+        flags.length > 0 ? `flags ${flags.join(", ")}` : null,
+        tx.Amount !== undefined ? `with a sell offer for ${amountText(tx.Amount)}${tx.Destination ? ` to ${tx.Destination}` : ""}` : null
+      ]),
+      details: {
+        nftokenId: meta?.nftoken_id ?? null,
+        issuer: tx.Issuer ?? tx.Account ?? null,
+        taxon: tx.NFTokenTaxon ?? null,
+        transferFee: tx.TransferFee ? transferFeeText(tx.TransferFee) : null,
+        flags,
+        uri: hexText(tx.URI),
+        offerId: meta?.offer_id ?? null
+      }
+    };
+  },
+
+  NFTokenBurn({ tx }) {
+    return {
+      summary: withClauses(`Burn of NFT ${tx.NFTokenID} by ${tx.Account}`, [tx.Owner && tx.Owner !== tx.Account ? `held by ${tx.Owner}` : null]),
+      details: { nftokenId: tx.NFTokenID ?? null, owner: tx.Owner ?? tx.Account ?? null }
+    };
+  },
+
+  NFTokenCreateOffer({ tx, meta }) {
+    const selling = hasBit(tx.Flags, TF_SELL_NFTOKEN);
+    const base = selling
+      ? `Sell offer by ${tx.Account} for NFT ${tx.NFTokenID} at ${amountText(tx.Amount)}`
+      : `Buy offer by ${tx.Account} for NFT ${tx.NFTokenID} held by ${tx.Owner} at ${amountText(tx.Amount)}`;
+    return {
+      summary: withClauses(base, [
+        tx.Destination ? `only for ${tx.Destination}` : null,
+        tx.Expiration !== undefined ? `expires ${timeText(tx.Expiration)}` : null
+      ]),
+      details: {
+        offerId: meta?.offer_id ?? null,
+        nftokenId: tx.NFTokenID ?? null,
+        side: selling ? "sell" : "buy",
+        amount: describeAmount(tx.Amount),
+        owner: tx.Owner ?? null,
+        destination: tx.Destination ?? null,
+        expiration: tx.Expiration ?? null
+      }
+    };
+  },
+
+  NFTokenCancelOffer({ tx }) {
+    const offers = tx.NFTokenOffers ?? [];
+    return { summary: `Cancellation of ${offers.length} NFT offer(s) by ${tx.Account}`, details: { offers } };
+  },
+
+  NFTokenAcceptOffer({ tx, meta }) {
+    const offers = metaNodes(meta, "NFTokenOffer").filter((node) => node.kind === "deleted");
+    const sell = offers.find((node) => node.index === tx.NFTokenSellOffer)?.fields ?? null;
+    const buy = offers.find((node) => node.index === tx.NFTokenBuyOffer)?.fields ?? null;
+    const brokered = Boolean(tx.NFTokenSellOffer && tx.NFTokenBuyOffer);
+    const seller = sell?.Owner ?? (tx.NFTokenBuyOffer ? tx.Account : null);
+    const buyer = buy?.Owner ?? (tx.NFTokenSellOffer ? tx.Account : null);
+    const price = (brokered ? buy : sell ?? buy)?.Amount;
+    const nftokenId = meta?.nftoken_id ?? sell?.NFTokenID ?? buy?.NFTokenID ?? null;
+    return {
+      summary: withClauses(
+        `Sale of NFT ${nftokenId ?? "(unknown id)"} from ${seller ?? "unknown seller"} to ${buyer ?? "unknown buyer"}${
+          price !== undefined ? ` for ${amountText(price)}` : ""
+        }`,
+        [
+          brokered ? `brokered by ${tx.Account}` : null,
+          tx.NFTokenBrokerFee !== undefined ? `broker fee ${amountText(tx.NFTokenBrokerFee)}` : null
+        ]
+      ),
+      details: {
+        nftokenId,
+        seller,
+        buyer,
+        price: describeAmount(price),
+        brokered,
+        brokerFee: describeAmount(tx.NFTokenBrokerFee),
+        sellOffer: tx.NFTokenSellOffer ?? null,
+        buyOffer: tx.NFTokenBuyOffer ?? null
+      }
+    };
+  },
+
+  AMMCreate({ tx }) {
+    return {
+      summary: `Creation of the ${assetName(parseAmount(tx.Amount)?.asset)}/${assetName(parseAmount(tx.Amount2)?.asset)} AMM pool by ${
+        tx.Account
+      } with ${amountText(tx.Amount)} and ${amountText(tx.Amount2)}, trading fee ${tradingFeeText(tx.TradingFee)}`,
+      details: {
+        amount: describeAmount(tx.Amount),
+        amount2: describeAmount(tx.Amount2),
+        tradingFee: tradingFeeText(tx.TradingFee)
+      }
+    };
+  },
+
+  AMMDeposit(context) {
+    const { tx, succeeded } = context;
+    const mode = AMM_DEPOSIT_MODES.find(([bit]) => hasBit(tx.Flags, bit))?.[1] ?? null;
+    const flows = ownFlows(context);
+    const requested = [amountText(tx.Amount), amountText(tx.Amount2), amountText(tx.LPTokenOut)].filter(Boolean);
+    return {
+      summary: withClauses(`Deposit into the ${poolText(tx)} by ${tx.Account}`, [
+        mode ? `mode ${mode}` : null,
+        ...(succeeded ? flowClauses(flows) : [requested.length > 0 ? `requested ${joinList(requested)}` : null])
+      ]),
+      details: {
+        mode,
+        amount: describeAmount(tx.Amount),
+        amount2: describeAmount(tx.Amount2),
+        lpTokenOut: describeAmount(tx.LPTokenOut),
+        effectivePrice: describeAmount(tx.EPrice),
+        paid: flows.paid,
+        received: flows.received
+      }
+    };
+  },
+
+  AMMWithdraw(context) {
+    const { tx, succeeded } = context;
+    const mode = AMM_WITHDRAW_MODES.find(([bit]) => hasBit(tx.Flags, bit))?.[1] ?? null;
+    const flows = ownFlows(context);
+    const requested = [amountText(tx.Amount), amountText(tx.Amount2), amountText(tx.LPTokenIn)].filter(Boolean);
+    return {
+      summary: withClauses(`Withdrawal from the ${poolText(tx)} by ${tx.Account}`, [
+        mode ? `mode ${mode}` : null,
+        ...(succeeded ? flowClauses(flows) : [requested.length > 0 ? `requested ${joinList(requested)}` : null])
+      ]),
+      details: {
+        mode,
+        amount: describeAmount(tx.Amount),
+        amount2: describeAmount(tx.Amount2),
+        lpTokenIn: describeAmount(tx.LPTokenIn),
+        effectivePrice: describeAmount(tx.EPrice),
+        paid: flows.paid,
+        received: flows.received
+      }
+    };
+  },
+
+  AMMVote({ tx }) {
+    return {
+      summary: `Vote by ${tx.Account} for a ${tradingFeeText(tx.TradingFee)} trading fee on the ${poolText(tx)}`,
+      details: { tradingFee: tradingFeeText(tx.TradingFee) }
+    };
+  },
+
+  AMMBid(context) {
+    const { tx, succeeded } = context;
+    const flows = ownFlows(context);
+    const authAccounts = (tx.AuthAccounts ?? []).map((entry) => entry.AuthAccount?.Account ?? null);
+    return {
+      summary: withClauses(`Auction slot bid by ${tx.Account} on the ${poolText(tx)}`, [
+        succeeded && flows.paid.length > 0 ? `paid ${joinList(flows.paid)}` : null,
+        tx.BidMin !== undefined ? `minimum ${amountText(tx.BidMin)}` : null,
+        tx.BidMax !== undefined ? `maximum ${amountText(tx.BidMax)}` : null,
+        authAccounts.length > 0 ? `sharing the discount with ${joinList(authAccounts)}` : null
+      ]),
+      details: { bidMin: describeAmount(tx.BidMin), bidMax: describeAmount(tx.BidMax), paid: flows.paid, authAccounts }
+    };
+  },
+
+  AMMDelete({ tx }) {
+    return {
+      summary: `Deletion of the empty ${poolText(tx)} by ${tx.Account}`,
+      details: { asset: tx.Asset ?? null, asset2: tx.Asset2 ?? null }
+    };
+  },
+
+  // For issued currencies Amount.issuer names the holder; MPT clawbacks name it in Holder.
+  Clawback({ tx, changes, succeeded }) {
+    const amount = tx.Amount ?? {};
+    const isMpt = Boolean(amount.mpt_issuance_id);
+    const holder = isMpt ? tx.Holder : amount.issuer;
+    const asset = isMpt
+      ? { mpt_issuance_id: amount.mpt_issuance_id }
+      : { currency: amount.currency, issuer: tx.Account };
+    const holderChange = changes.accounts
+      .find((entry) => entry.account === holder)
+      ?.changes.find((change) => change.asset === assetKey(asset));
+    const requestedText = `${amount.value} ${assetLabel(asset)}`;
+    return {
+      summary: withClauses(`Clawback by issuer ${tx.Account} of ${requestedText} from ${holder}`, [
+        succeeded && holderChange && compare(abs(tryDecimal(holderChange.value)), tryDecimal(amount.value)) !== 0
+          ? `${changeText(holderChange)} actually recovered`
+          : null
+      ]),
+      details: {
+        holder: holder ?? null,
+        requested: { asset: assetKey(asset), value: amount.value ?? null },
+        recovered: holderChange ? toDecimalString(abs(tryDecimal(holderChange.value))) : null
+      }
+    };
+  },
+
+  DIDSet({ tx, meta }) {
+    const created = metaNodes(meta, "DID").some((node) => node.kind === "created");
+    const parts = [
+      tx.URI !== undefined ? `URI ${hexText(tx.URI) || "(cleared)"}` : null,
+      tx.DIDDocument !== undefined ? (tx.DIDDocument ? "DID document" : "DID document cleared") : null,
+      tx.Data !== undefined ? (tx.Data ? "attestation data" : "attestation data cleared") : null
+    ].filter(Boolean);
+    return {
+      summary: `${created ? "Creation" : "Update"} of the DID of ${tx.Account}${parts.length > 0 ? `: ${parts.join(", ")}` : ""}`,
+      details: { created, uri: hexText(tx.URI), document: hexText(tx.DIDDocument), data: hexText(tx.Data) }
+    };
+  },
+
+  DIDDelete({ tx }) {
+    return { summary: `Deletion of the DID of ${tx.Account}`, details: {} };
+  },
+
+  // AssetPrice is a hex UInt64 scaled by 10^-Scale; LastUpdateTime is Unix time, not Ripple time.
+  OracleSet({ tx }) {
+    const prices = (tx.PriceDataSeries ?? []).map((entry) => {
+      const data = entry.PriceData ?? {};
+      const pair = `${displayCurrency(data.BaseAsset) ?? data.BaseAsset}/${displayCurrency(data.QuoteAsset) ?? data.QuoteAsset}`;
+      let price = null;
+      if (typeof data.AssetPrice === "string" && /^[0-9A-Fa-f]+$/.test(data.AssetPrice)) {
+        price = toDecimalString(tryDecimal(`${BigInt(`0x${data.AssetPrice}`)}e-${data.Scale ?? 0}`));
+      }
+      return { pair, price };
+    });
+    const lastUpdate = Number.isFinite(tx.LastUpdateTime) ? new Date(tx.LastUpdateTime * 1000).toISOString() : null;
+    return {
+      summary: withClauses(`Price oracle #${tx.OracleDocumentID} update by ${tx.Account}`, [
+        tx.Provider ? `provider ${hexText(tx.Provider)}` : null,
+        prices.length > 0
+          ? prices.map((entry) => (entry.price === null ? `${entry.pair} removed` : `${entry.pair} ${entry.price}`)).join(", ")
+          : null,
+        lastUpdate ? `as of ${lastUpdate}` : null
+      ]),
+      details: {
+        oracleDocumentId: tx.OracleDocumentID ?? null,
+        provider: hexText(tx.Provider),
+        assetClass: hexText(tx.AssetClass),
+        uri: hexText(tx.URI),
+        lastUpdateTime: lastUpdate,
+        prices
+      }
+    };
+  },
+
+  OracleDelete({ tx }) {
+    return {
+      summary: `Deletion of price oracle #${tx.OracleDocumentID} by ${tx.Account}`,
+      details: { oracleDocumentId: tx.OracleDocumentID ?? null }
+    };
+  },
+
+  MPTokenIssuanceCreate({ tx, meta }) {
+    const flags = setFlagNames(tx.Flags, MPT_ISSUANCE_FLAGS);
+    return {
+      summary: withClauses(`Creation of a multi-purpose token issuance by ${tx.Account}`, [
+        tx.MaximumAmount !== undefined ? `maximum supply ${tx.MaximumAmount}` : null,
+        tx.AssetScale !== undefined ? `asset scale ${tx.AssetScale}` : null,
+        tx.TransferFee ? `transfer fee ${transferFeeText(tx.TransferFee)}` : null,
+        flags.length > 0 ? `flags ${flags.join(", ")}` : null
+      ]),
+      details: {
+        mptIssuanceId: meta?.mpt_issuance_id ?? null,
+        maximumAmount: tx.MaximumAmount ?? null,
+        assetScale: tx.AssetScale ?? null,
+        transferFee: tx.TransferFee ? transferFeeText(tx.TransferFee) : null,
+        flags,
+        metadata: hexText(tx.MPTokenMetadata)
+      }
+    };
+  },
+
+  MPTokenIssuanceDestroy({ tx }) {
+    return {
+      summary: `Destruction of MPT issuance ${tx.MPTokenIssuanceID} by ${tx.Account}`,
+      details: { mptIssuanceId: tx.MPTokenIssuanceID ?? null }
+    };
+  },
+
+  MPTokenIssuanceSet({ tx }) {
+    const action = hasBit(tx.Flags, TF_MPT_LOCK) ? "Lock" : hasBit(tx.Flags, TF_MPT_UNLOCK) ? "Unlock" : "Update";
+    return {
+      summary: `${action} of MPT issuance ${tx.MPTokenIssuanceID} by ${tx.Account} ${tx.Holder ? `for holder ${tx.Holder}` : "for all holders"}`,
+      details: { mptIssuanceId: tx.MPTokenIssuanceID ?? null, holder: tx.Holder ?? null, action: action.toLowerCase() }
+    };
+  },
+
+  // Sent by a holder to opt in (or out), or by the issuer with Holder to (un)authorize a holder.
+  MPTokenAuthorize({ tx }) {
+    const revoke = hasBit(tx.Flags, TF_MPT_UNAUTHORIZE);
+    let summary;
+    if (tx.Holder) {
+      summary = `${revoke ? "Revocation of" : "Authorization of"} holder ${tx.Holder} for MPT issuance ${tx.MPTokenIssuanceID} by issuer ${tx.Account}`;
+    } else {
+      summary = revoke
+        ? `${tx.Account} stops holding MPT issuance ${tx.MPTokenIssuanceID}`
+        : `${tx.Account} opts in to hold MPT issuance ${tx.MPTokenIssuanceID}`;
+    }
+    return {
+      summary,
+      details: { mptIssuanceId: tx.MPTokenIssuanceID ?? null, holder: tx.Holder ?? null, unauthorize: revoke }
+    };
+  },
+
+  XChainCreateBridge({ tx }) {
+    return {
+      summary: withClauses(`Creation of ${bridgeText(tx.XChainBridge)} by ${tx.Account}`, [
+        `signature reward ${amountText(tx.SignatureReward)}`,
+        tx.MinAccountCreateAmount !== undefined ? `minimum account-create amount ${amountText(tx.MinAccountCreateAmount)}` : null
+      ]),
+      details: {
+        bridge: tx.XChainBridge ?? null,
+        signatureReward: describeAmount(tx.SignatureReward),
+        minAccountCreateAmount: describeAmount(tx.MinAccountCreateAmount)
+      }
+    };
+  },
+
+  XChainModifyBridge({ tx }) {
+    return {
+      summary: withClauses(`Settings change of ${bridgeText(tx.XChainBridge)} by ${tx.Account}`, [
+        tx.SignatureReward !== undefined ? `signature reward ${amountText(tx.SignatureReward)}` : null,
+        tx.MinAccountCreateAmount !== undefined ? `minimum account-create amount ${amountText(tx.MinAccountCreateAmount)}` : null
+      ]),
+      details: {
+        bridge: tx.XChainBridge ?? null,
+        signatureReward: describeAmount(tx.SignatureReward),
+        minAccountCreateAmount: describeAmount(tx.MinAccountCreateAmount)
+      }
+    };
+  },
+
+  XChainCreateClaimID({ tx, meta }) {
+    const created = metaNodes(meta, "XChainOwnedClaimID").find((node) => node.kind === "created");
+    const claimId = created?.fields.XChainClaimID ?? null;
+    return {
+      summary: withClauses(`Cross-chain claim ID${claimId !== null ? ` ${claimId}` : ""} reserved by ${tx.Account} on ${bridgeText(tx.XChainBridge)}`, [
+        `for a transfer from ${tx.OtherChainSource} on the other chain`,
+        `signature reward ${amountText(tx.SignatureReward)}`
+      ]),
+      details: {
+        claimId,
+        bridge: tx.XChainBridge ?? null,
+        otherChainSource: tx.OtherChainSource ?? null,
+        signatureReward: describeAmount(tx.SignatureReward)
+      }
+    };
+  },
+
+  XChainCommit({ tx }) {
+    return {
+      summary: withClauses(`Cross-chain commit of ${amountText(tx.Amount)} by ${tx.Account} on ${bridgeText(tx.XChainBridge)}`, [
+        `claim ID ${tx.XChainClaimID}`,
+        tx.OtherChainDestination ? `to ${tx.OtherChainDestination} on the other chain` : null
+      ]),
+      details: {
+        bridge: tx.XChainBridge ?? null,
+        claimId: tx.XChainClaimID ?? null,
+        amount: describeAmount(tx.Amount),
+        otherChainDestination: tx.OtherChainDestination ?? null
+      }
+    };
+  },
+
+  XChainClaim({ tx }) {
+    return {
+      summary: `Cross-chain claim of ${amountText(tx.Amount)} by ${tx.Account} for claim ID ${tx.XChainClaimID} on ${bridgeText(
+        tx.XChainBridge
+      )}, delivered to ${tx.Destination}`,
+      details: {
+        bridge: tx.XChainBridge ?? null,
+        claimId: tx.XChainClaimID ?? null,
+        amount: describeAmount(tx.Amount),
+        destination: tx.Destination ?? null
+      }
+    };
+  },
+
+  XChainAccountCreateCommit({ tx }) {
+    return {
+      summary: `Cross-chain account creation commit by ${tx.Account}: ${amountText(tx.Amount)} to create ${tx.Destination} on the other chain via ${bridgeText(
+        tx.XChainBridge
+      )}, signature reward ${amountText(tx.SignatureReward)}`,
+      details: {
+        bridge: tx.XChainBridge ?? null,
+        amount: describeAmount(tx.Amount),
+        destination: tx.Destination ?? null,
+        signatureReward: describeAmount(tx.SignatureReward)
+      }
+    };
+  },
+
+  XChainAddClaimAttestation({ tx }) {
+    return {
+      summary: `Witness attestation from ${tx.AttestationSignerAccount} for claim ID ${tx.XChainClaimID}: ${amountText(tx.Amount)} sent by ${
+        tx.OtherChainSource
+      } on the other chain${tx.Destination ? ` for ${tx.Destination}` : ""}`,
+      details: {
+        bridge: tx.XChainBridge ?? null,
+        claimId: tx.XChainClaimID ?? null,
+        amount: describeAmount(tx.Amount),
+        otherChainSource: tx.OtherChainSource ?? null,
+        destination: tx.Destination ?? null,
+        attestationSigner: tx.AttestationSignerAccount ?? null,
+        wasLockingChainSend: tx.WasLockingChainSend ?? null
+      }
+    };
+  },
+
+  XChainAddAccountCreateAttestation({ tx }) {
+    return {
+      summary: `Witness attestation from ${tx.AttestationSignerAccount} for account creation #${tx.XChainAccountCreateCount}: ${amountText(
+        tx.Amount
+      )} from ${tx.OtherChainSource} on the other chain to create ${tx.Destination}`,
+      details: {
+        bridge: tx.XChainBridge ?? null,
+        createCount: tx.XChainAccountCreateCount ?? null,
+        amount: describeAmount(tx.Amount),
+        otherChainSource: tx.OtherChainSource ?? null,
+        destination: tx.Destination ?? null,
+        attestationSigner: tx.AttestationSignerAccount ?? null,
+        signatureReward: describeAmount(tx.SignatureReward)
+      }
+    };
+  }
+};
+
+export const EXPLAINED_TRANSACTION_TYPES = Object.keys(EXPLAINERS);
+
+export function transactionCategory(type) {
+  if (typeof type !== "string") {
+    return "other";
+  }
+  if (Object.hasOwn(CATEGORIES, type)) {
+    return CATEGORIES[type];
+  }
+  return CATEGORY_PREFIXES.find(([prefix]) => type.startsWith(prefix))?.[1] ?? "other";
+}
+
+// A payment (or any transaction with Amount/DeliverMax) whose delivered_amount is less than the
+// amount requested, or null. Old transactions report delivered_amount "unavailable".
+export function partialPaymentInfo(tx, meta) {
+  const requested = parseAmount(tx?.DeliverMax ?? tx?.Amount);
+  const delivered = parseAmount(meta?.delivered_amount);
+  if (!requested || !delivered || assetKey(requested.asset) !== assetKey(delivered.asset)) {
+    return null;
+  }
+  if (compare(delivered.value, requested.value) >= 0) {
+    return null;
+  }
+  return {
+    requested: describeAmount(tx.DeliverMax ?? tx.Amount),
+    delivered: describeAmount(meta.delivered_amount),
+    shortfall: toDecimalString(sub(requested.value, delivered.value))
+  };
+}
+
+// tx + meta -> { type, category, explained, summary, details, partialPayment }. `explained` is
+// false when the type has no dedicated explainer.
+export function explainTransaction(tx, meta, { balanceChanges = null } = {}) {
+  const type = tx?.TransactionType ?? null;
+  const result = meta?.TransactionResult ?? null;
+  const succeeded = result === null || result === "tesSUCCESS";
+  const context = { tx: tx ?? {}, meta, changes: balanceChanges ?? extractBalanceChanges(tx, meta), succeeded };
+  const explainer = type && Object.hasOwn(EXPLAINERS, type) ? EXPLAINERS[type] : null;
+  let explanation;
+  if (explainer) {
+    explanation = explainer(context);
+  } else {
+    const sender = tx?.Account ?? "unknown";
+    explanation = {
+      summary: `${type ?? "Transaction"} by ${sender}${tx?.Destination ? ` to ${tx.Destination}` : ""}`,
+      details: {}
+    };
+  }
+
+  const partialPayment = partialPaymentInfo(tx, meta);
+  let summary = explanation.summary;
+  if (partialPayment) {
+    summary += `. Partial payment: only ${amountText(meta.delivered_amount)} of the ${amountText(
+      tx.DeliverMax ?? tx.Amount
+    )} in Amount was delivered`;
+  }
+  if (!succeeded) {
+    const outcome = describeResult(result);
+    summary += `. Failed with ${result}: ${outcome.meaning.replace(/\.$/, "")}; ${
+      outcome.feeCharged ? "only the fee was charged" : "no fee was charged"
+    }`;
+  }
+  return {
+    type,
+    category: transactionCategory(type),
+    explained: Boolean(explainer),
+    summary: `${summary}.`,
+    details: explanation.details,
+    partialPayment
+  };
+}
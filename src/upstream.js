@@ -0,0 +1,153 @@
+// Outbound-call resilience: per-attempt timeouts, jittered retries for idempotent
+// requests, and one circuit breaker per upstream system.
+
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT"
+]);
+
+// Only these rippled methods change ledger state; everything else is safe to retry.
+const NON_IDEMPOTENT_RPC_METHODS = new Set(["submit", "submit_multisigned"]);
+
+export function isIdempotentRpcMethod(method) {
+  return !NON_IDEMPOTENT_RPC_METHODS.has(method);
+}
+
+function errorCode(error) {
+  return error?.code ?? error?.cause?.code ?? null;
+}
+
+// Transient failures: network resets/timeouts, 5xx, and 429 throttling. 4xx is the caller's fault.
+export function isTransientError(error) {
+  if (!error || error.circuitOpen) {
+    return false;
+  }
+  const status = Number(error.status);
+  if (Number.isFinite(status) && status > 0) {
+    return status >= 500 || status === 429;
+  }
+  const code = errorCode(error);
+  if (code && RETRYABLE_ERROR_CODES.has(code)) {
+    return true;
+  }
+  // undici reports connection-level failures as a bare "fetch failed" TypeError.
+  return error instanceof TypeError && /fetch failed/i.test(error.message);
+}
+
+// Full-jitter exponential backoff: uniform in [0, min(maxMs, baseMs * 2^attempt)].
+export function backoffDelayMs(attempt, { baseMs, maxMs }) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function createCircuitBreaker(system, { failureThreshold, resetTimeoutMs }) {
+  let state = "closed";
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let lastFailure = null;
+  let halfOpenProbeInFlight = false;
+
+  function assertCanRequest() {
+    if (state === "open") {
+      if (Date.now() - openedAt < resetTimeoutMs) {
+        const retryAt = new Date(openedAt + resetTimeoutMs).toISOString();
+        const error = new Error(
+          `${system} circuit breaker is open after ${consecutiveFailures} consecutive failures; failing fast until ${retryAt}.`
+        );
+        error.circuitOpen = true;
+        throw error;
+      }
+      state = "half-open";
+    }
+    if (state === "half-open") {
+      if (halfOpenProbeInFlight) {
+        const error = new Error(`${system} circuit breaker is half-open; a probe request is already in flight.`);
+        error.circuitOpen = true;
+        throw error;
+      }
+      halfOpenProbeInFlight = true;
+    }
+  }
+
+  function recordSuccess() {
+    state = "closed";
+    consecutiveFailures = 0;
+    openedAt = null;
+    halfOpenProbeInFlight = false;
+  }
+
+  function recordFailure(error) {
+    consecutiveFailures += 1;
+    lastFailure = {
+      at: new Date().toISOString(),
+      message: error instanceof Error ? error.message : String(error)
+    };
+    if (state === "half-open" || consecutiveFailures >= failureThreshold) {
+      state = "open";
+      openedAt = Date.now();
+    }
+    halfOpenProbeInFlight = false;
+  }
+
+  // A non-transient outcome (e.g. HTTP 404) proves the upstream is reachable.
+  function recordNeutral() {
+    recordSuccess();
+  }
+
+  function snapshot() {
+    return {
+      system,
+      state: state === "open" && Date.now() - openedAt >= resetTimeoutMs ? "half-open" : state,
+      consecutiveFailures,
+      openedAt: openedAt === null ? null : new Date(openedAt).toISOString(),
+      lastFailure
+    };
+  }
+
+  return { assertCanRequest, recordSuccess, recordFailure, recordNeutral, snapshot };
+}
+
+// Run one outbound call under the system's breaker. `attemptFn` receives an AbortSignal
+// bounded by `timeoutMs`; idempotent calls retry transient failures up to `maxRetries` times.
+export async function callWithResilience(attemptFn, { system, breaker, timeoutMs, idempotent, retry }) {
+  const maxRetries = idempotent ? retry.maxRetries : 0;
+  for (let attempt = 0; ; attempt += 1) {
+    breaker.assertCanRequest();
+    try {
+      const result = await attemptFn(AbortSignal.timeout(timeoutMs));
+      breaker.recordSuccess();
+      return result;
+    } catch (rawError) {
+      const error =
+        rawError?.name === "TimeoutError"
+          ? Object.assign(new Error(`${system} request timed out after ${timeoutMs}ms.`), { code: "ETIMEDOUT" })
+          : rawError;
+      if (!isTransientError(error)) {
+        breaker.recordNeutral();
+        throw error;
+      }
+      breaker.recordFailure(error);
+      if (attempt >= maxRetries) {
+        if (attempt > 0) {
+          error.message = `${error.message} (after ${attempt + 1} attempts)`;
+        }
+        throw error;
+      }
+      await sleep(backoffDelayMs(attempt, retry));
+    }
+  }
+}
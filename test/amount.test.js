@@ -0,0 +1,22 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { decimal, parseAmount, toDecimalString, tryDecimal } from "../src/amount.js";
+
+const ISSUER = "rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf";
+
+test("exponents beyond the XRPL amount range are rejected", () => {
+  for (const value of ["1e200000", "1e97", "-1e97", "1e-97", "0.1e-96", "1e99999999999999999999"]) {
+    assert.throws(() => decimal(value), /outside the XRPL amount range/, value);
+    assert.equal(tryDecimal(value), null, value);
+  }
+  assert.equal(parseAmount({ currency: "USD", issuer: ISSUER, value: "1e200000" }), null);
+  assert.equal(parseAmount("1e200000"), null);
+});
+
+test("values across the IOU and drops range still parse", () => {
+  assert.equal(toDecimalString(decimal("9999999999999999e80")), `9999999999999999${"0".repeat(80)}`);
+  assert.equal(toDecimalString(decimal("1000000000000000e-96")), `0.${"0".repeat(80)}1`);
+  assert.equal(toDecimalString(decimal("0e999999")), "0");
+  assert.equal(parseAmount("100000000000000000").drops, 100000000000000000n);
+  assert.equal(toDecimalString(parseAmount({ currency: "USD", issuer: ISSUER, value: "1.5e3" }).value), "1500");
+});
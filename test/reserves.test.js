@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { accountReserves, ownerCountUnits } from "../src/reserves.js";
+
+const ACCOUNT = "rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh";
+const OTHER = "rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf";
+const reserves = { baseXrp: "1", incXrp: "0.2", source: "server_info" };
+
+test("escrows, checks and channels count only toward the sender's OwnerCount", () => {
+  for (const type of ["Escrow", "Check", "PayChannel"]) {
+    assert.equal(ownerCountUnits({ LedgerEntryType: type, Account: ACCOUNT, Destination: OTHER }, ACCOUNT), 1);
+    assert.equal(ownerCountUnits({ LedgerEntryType: type, Account: OTHER, Destination: ACCOUNT }, ACCOUNT), 0);
+  }
+});
+
+test("an incoming escrow and check add no reserve to the destination", () => {
+  const result = accountReserves({
+    account: ACCOUNT,
+    balanceDrops: "10000000",
+    ownerCount: 1,
+    reserves,
+    objects: [
+      { LedgerEntryType: "Escrow", Account: OTHER, Destination: ACCOUNT },
+      { LedgerEntryType: "Check", Account: OTHER, Destination: ACCOUNT },
+      { LedgerEntryType: "Offer", Account: ACCOUNT }
+    ]
+  });
+  assert.equal(result.unattributedOwnerCount, 0);
+  const byType = Object.fromEntries(result.byObjectType.map((group) => [group.type, group]));
+  assert.deepEqual(byType.Escrow, { type: "Escrow", objects: 1, ownerCount: 0, reserveXrp: "0" });
+  assert.equal(byType.Check.ownerCount, 0);
+  assert.equal(byType.Offer.reserveXrp, "0.2");
+});
@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { diagnoseFailure } from "../src/resultCodes.js";
+
+const HOLDER = "rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh";
+const ISSUER = "rGWrZyQqhTp9Xu7G5Pkayo7bXjH4k4QYpf";
+const DESTINATION = "rPEPPER7kfTD9w2To4CQk6UCfuHM9c6GDY";
+
+const payment = {
+  TransactionType: "Payment",
+  Account: HOLDER,
+  Destination: DESTINATION,
+  Amount: { currency: "USD", issuer: ISSUER, value: "5" }
+};
+
+// An account_lines entry as rippled returns it from the holder's side.
+function line(flags = {}) {
+  return { account: ISSUER, currency: "USD", balance: "10", limit: "100", limit_peer: "0", ...flags };
+}
+
+function frozenCauses(senderLine) {
+  return diagnoseFailure({ tx: payment, result: "tecPATH_DRY", state: { senderLine } }).filter(
+    (entry) => entry.cause === "frozen_trust_line"
+  );
+}
+
+test("an issuer's deep freeze is reported from deep_freeze_peer", () => {
+  const causes = frozenCauses(line({ freeze_peer: true, deep_freeze_peer: true }));
+  assert.deepEqual(causes.map((entry) => entry.detail), [`The sender's trust line for USD issued by ${ISSUER} is deep-frozen by its issuer.`]);
+});
+
+test("an issuer's plain freeze is reported from freeze_peer", () => {
+  const causes = frozenCauses(line({ freeze_peer: true }));
+  assert.deepEqual(causes.map((entry) => entry.detail), [`The sender's trust line for USD issued by ${ISSUER} is frozen by its issuer.`]);
+});
+
+test("the holder's own freeze and deep_freeze flags do not explain the failure", () => {
+  assert.deepEqual(frozenCauses(line({ freeze: true, deep_freeze: true })), []);
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { test } from "node:test";
+import { createSubscriptionManager } from "../src/subscriptions.js";
+
+// Stand-in for a ws socket: opens on the next tick and records what is sent.
+function fakeSocket() {
+  const socket = new EventEmitter();
+  socket.sent = [];
+  socket.closed = false;
+  socket.send = (text) => socket.sent.push(JSON.parse(text));
+  socket.close = () => {
+    socket.closed = true;
+  };
+  socket.reply = (message) => socket.emit("message", JSON.stringify(message));
+  setImmediate(() => socket.emit("open"));
+  return socket;
+}
+
+function setup() {
+  const sockets = [];
+  const manager = createSubscriptionManager({
+    url: "wss://example.test",
+    createSocket: () => {
+      const socket = fakeSocket();
+      sockets.push(socket);
+      return socket;
+    }
+  });
+  const nextCommand = async () => {
+    while (!sockets.at(-1)?.sent.length) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    return { socket: sockets.at(-1), command: sockets.at(-1).sent.at(-1) };
+  };
+  return { manager, nextCommand };
+}
+
+test("events that arrive before the subscribe response are kept", async () => {
+  const { manager, nextCommand } = setup();
+  const subscribing = manager.subscribe({ streams: ["ledger"] });
+  const { socket, command } = await nextCommand();
+  socket.reply({ type: "ledgerClosed", ledger_index: 100 });
+  socket.reply({ type: "response", id: command.id, status: "success", result: {} });
+  const { subscriptionId } = await subscribing;
+
+  const { events } = manager.readEvents({ subscriptionId });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].summary.ledgerIndex, 100);
+  assert.equal(manager.status().subscriptions[0].pending, false);
+  manager.close();
+});
+
+test("a rejected first subscribe removes the subscription and closes the socket", async () => {
+  const { manager, nextCommand } = setup();
+  const subscribing = manager.subscribe({ accounts: ["rBad"] });
+  const { socket, command } = await nextCommand();
+  socket.reply({ type: "response", id: command.id, status: "error", error: "actMalformed" });
+
+  await assert.rejects(subscribing, /actMalformed/);
+  const status = manager.status();
+  assert.deepEqual(status.subscriptions, []);
+  assert.equal(status.connection, "idle");
+  assert.equal(socket.closed, true);
+});
+
+test("a rejected subscribe keeps the connection for existing subscriptions", async () => {
+  const { manager, nextCommand } = setup();
+  const first = manager.subscribe({ streams: ["ledger"] });
+  let { socket, command } = await nextCommand();
+  socket.reply({ type: "response", id: command.id, status: "success", result: {} });
+  await first;
+
+  const second = manager.subscribe({ accounts: ["rBad"] });
+  while (socket.sent.length < 2) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  command = socket.sent.at(-1);
+  socket.reply({ type: "response", id: command.id, status: "error", error: "actMalformed" });
+
+  await assert.rejects(second, /actMalformed/);
+  assert.equal(manager.status().subscriptions.length, 1);
+  assert.equal(manager.status().connection, "open");
+  assert.equal(socket.closed, false);
+  manager.close();
+});